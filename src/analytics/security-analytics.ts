@@ -1,4 +1,4 @@
-import { SecurityThreat, SecurityAnalytics } from '../types';
+import { AimlessConfig, SecurityThreat, SecurityAnalytics } from '../types';
 
 interface AnalyticsEntry {
   timestamp: Date;
@@ -20,8 +20,8 @@ export class SecurityAnalyticsEngine {
     this.retentionDays = retentionDays;
     this.startTime = new Date();
     
-    // Cleanup old entries every hour
-    setInterval(() => this.cleanup(), 3600000);
+    // Cleanup old entries every hour, without keeping the process alive
+    setInterval(() => this.cleanup(), 3600000).unref?.();
   }
 
   logRequest(entry: Omit<AnalyticsEntry, 'timestamp'>): void {
@@ -181,3 +181,22 @@ ${analytics.topAttackIPs.slice(0, 5).map((ip, i) =>
     return `${seconds}s`;
   }
 }
+
+// One engine per config object, so every adapter created from the same
+// Aimless instance reports into the same analytics
+const engines = new WeakMap<AimlessConfig, SecurityAnalyticsEngine>();
+
+/**
+ * Analytics engine for a config, or undefined when `rasp.analytics` is off
+ */
+export function getAnalyticsEngine(config: AimlessConfig): SecurityAnalyticsEngine | undefined {
+  const analytics = config.rasp?.analytics;
+  if (!analytics?.enabled) return undefined;
+
+  let engine = engines.get(config);
+  if (!engine) {
+    engine = new SecurityAnalyticsEngine(analytics.retention);
+    engines.set(config, engine);
+  }
+  return engine;
+}
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Build a persisted-query manifest from a folder of .graphql documents
+ *
+ * Usage:
+ *   aimless-graphql-manifest <documents-dir> [output.json]
+ *
+ * Writes to stdout when no output file is given.
+ */
+import * as fs from 'fs';
+import * as path from 'path';
+import { buildPersistedQueryManifest } from '../graphql/persisted-queries';
+
+function main(args: string[]): number {
+  const [directory, output] = args;
+
+  if (!directory || directory === '--help' || directory === '-h') {
+    console.error('Usage: aimless-graphql-manifest <documents-dir> [output.json]');
+    return directory ? 0 : 1;
+  }
+
+  if (!fs.existsSync(directory) || !fs.statSync(directory).isDirectory()) {
+    console.error(`Not a directory: ${directory}`);
+    return 1;
+  }
+
+  const manifest = buildPersistedQueryManifest(path.resolve(directory));
+  const json = JSON.stringify(manifest, null, 2) + '\n';
+  const count = Object.keys(manifest.operations).length;
+
+  if (count === 0) {
+    console.error(`No GraphQL operations found in ${directory}`);
+    return 1;
+  }
+
+  if (output) {
+    fs.writeFileSync(output, json);
+    console.error(`Wrote ${count} operations to ${output}`);
+  } else {
+    process.stdout.write(json);
+  }
+
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -0,0 +1,221 @@
+import { SecurityThreat, ThreatType } from '../types';
+
+/**
+ * Allowlist manifest written by `aimless-graphql-manifest`
+ */
+export interface PersistedQueryManifest {
+  version: 1;
+  generatedAt?: string;
+  operations: Record<string, PersistedOperation>; // Keyed by normalized document hash
+}
+
+export interface PersistedOperation {
+  file: string;
+  names: string[]; // Operation names in the document
+  sha256: string; // Hash of the exact file contents, as sent by Apollo automatic persisted queries
+}
+
+/**
+ * Strip comments, commas and insignificant whitespace so formatting changes
+ * don't change the hash. String and block string contents are kept as-is.
+ */
+export function normalizeGraphQLDocument(source: string): string {
+  let output = '';
+  let pendingSpace = false;
+  let i = 0;
+
+  const isWordChar = (char: string | undefined) => !!char && /[A-Za-z0-9_$.]/.test(char);
+
+  const emit = (text: string) => {
+    if (pendingSpace && isWordChar(output[output.length - 1]) && isWordChar(text[0])) {
+      output += ' ';
+    }
+    pendingSpace = false;
+    output += text;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (source.startsWith('"""', i)) {
+      const end = findBlockStringEnd(source, i + 3);
+      emit(source.slice(i, end));
+      i = end;
+    } else if (char === '"') {
+      let end = i + 1;
+      while (end < source.length && source[end] !== '"' && source[end] !== '\n') {
+        end += source[end] === '\\' ? 2 : 1;
+      }
+      emit(source.slice(i, end + 1));
+      i = end + 1;
+    } else if (char === '#') {
+      while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i++;
+      pendingSpace = true;
+    } else if (/[\s,]/.test(char)) {
+      pendingSpace = true;
+      i++;
+    } else {
+      emit(char);
+      i++;
+    }
+  }
+
+  return output;
+}
+
+function findBlockStringEnd(source: string, from: number): number {
+  let i = from;
+  while (i < source.length) {
+    if (source.startsWith('\\"""', i)) {
+      i += 4;
+    } else if (source.startsWith('"""', i)) {
+      return i + 3;
+    } else {
+      i++;
+    }
+  }
+  return source.length;
+}
+
+/**
+ * SHA-256 of the normalized document, the manifest key
+ */
+export function hashGraphQLDocument(source: string): string {
+  return sha256(normalizeGraphQLDocument(source));
+}
+
+/**
+ * Node only - manifests are read from disk, so this never runs on the edge
+ */
+function sha256(text: string): string {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  return require('crypto').createHash('sha256').update(text, 'utf8').digest('hex');
+}
+
+/**
+ * Only accepts GraphQL operations listed in a persisted-query manifest
+ */
+export class PersistedQueryAllowlist {
+  private normalizedHashes: Set<string>;
+  private exactHashes: Set<string>;
+
+  constructor(manifest: PersistedQueryManifest) {
+    this.normalizedHashes = new Set(Object.keys(manifest.operations || {}));
+    this.exactHashes = new Set(Object.values(manifest.operations || {}).map(op => op.sha256));
+  }
+
+  static fromFile(path: string): PersistedQueryAllowlist {
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    const fs = require('fs');
+    return new PersistedQueryAllowlist(JSON.parse(fs.readFileSync(path, 'utf8')));
+  }
+
+  get size(): number {
+    return this.normalizedHashes.size;
+  }
+
+  isAllowed(query?: string, persistedHash?: string): boolean {
+    if (query) {
+      return this.exactHashes.has(sha256(query)) || this.normalizedHashes.has(hashGraphQLDocument(query));
+    }
+    return !!persistedHash && (this.exactHashes.has(persistedHash) || this.normalizedHashes.has(persistedHash));
+  }
+
+  /**
+   * Check a GraphQL request body (single or batched) or GET query parameters.
+   * Returns one threat per unknown operation.
+   */
+  check(params: any): SecurityThreat[] {
+    const operations = Array.isArray(params) ? params : [params];
+    const threats: SecurityThreat[] = [];
+
+    for (const operation of operations) {
+      if (!operation || typeof operation !== 'object') continue;
+
+      const query = typeof operation.query === 'string' ? operation.query : undefined;
+      const persistedHash = this.getPersistedHash(operation.extensions);
+
+      // Not a GraphQL operation
+      if (!query && !persistedHash) continue;
+
+      if (!this.isAllowed(query, persistedHash)) {
+        threats.push({
+          type: ThreatType.ANOMALOUS_BEHAVIOR,
+          severity: 'high',
+          description: 'GraphQL operation not in persisted-query allowlist',
+          payload: query?.substring(0, 100) || persistedHash,
+          timestamp: new Date(),
+          blocked: true,
+          confidence: 100,
+          metadata: {
+            type: 'graphql_unknown_operation',
+            operationName: operation.operationName || undefined,
+            hash: query ? hashGraphQLDocument(query) : persistedHash
+          }
+        });
+      }
+    }
+
+    return threats;
+  }
+
+  /**
+   * Apollo APQ: extensions.persistedQuery.sha256Hash (a JSON string on GET requests)
+   */
+  private getPersistedHash(extensions: unknown): string | undefined {
+    let value = extensions;
+    if (typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch {
+        return undefined;
+      }
+    }
+
+    const hash = (value as { persistedQuery?: { sha256Hash?: unknown } } | undefined)?.persistedQuery?.sha256Hash;
+    return typeof hash === 'string' ? hash : undefined;
+  }
+}
+
+/**
+ * Build a manifest from every .graphql / .gql file below a directory.
+ * Each file is one document, as the client sends it (operations + fragments).
+ */
+export function buildPersistedQueryManifest(directory: string): PersistedQueryManifest {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const fs = require('fs');
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const path = require('path');
+
+  const operations: Record<string, PersistedOperation> = {};
+
+  const walk = (dir: string) => {
+    const entries = fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a: { name: string }, b: { name: string }) => a.name.localeCompare(b.name));
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) walk(fullPath);
+      } else if (/\.(graphql|gql)$/.test(entry.name)) {
+        const source: string = fs.readFileSync(fullPath, 'utf8');
+        const names = Array.from(source.matchAll(/\b(?:query|mutation|subscription)\s+([A-Za-z_][A-Za-z0-9_]*)/g))
+          .map(match => match[1]);
+
+        // Schema files and fragment-only files are not operations
+        if (!/^\s*(?:(?:query|mutation|subscription)\b(?!\s*:)|\{)/m.test(source.replace(/#.*$/gm, ''))) continue;
+
+        operations[hashGraphQLDocument(source)] = {
+          file: path.relative(directory, fullPath).split(path.sep).join('/'),
+          names,
+          sha256: sha256(source)
+        };
+      }
+    }
+  };
+
+  walk(directory);
+
+  return { version: 1, generatedAt: new Date().toISOString(), operations };
+}
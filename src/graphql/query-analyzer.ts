@@ -0,0 +1,262 @@
+import { GraphQLLimits, SecurityThreat, ThreatType } from '../types';
+
+/**
+ * The parts of the graphql-js AST the analyzer reads. Structurally compatible
+ * with `DocumentNode`, so `graphql` is not needed at runtime.
+ */
+interface NameNode { value: string }
+
+interface ValueNode {
+  kind: string;
+  value?: string | boolean;
+  name?: NameNode;
+}
+
+interface ArgumentNode {
+  name: NameNode;
+  value: ValueNode;
+}
+
+interface DirectiveNode {
+  name: NameNode;
+}
+
+interface SelectionSetNode {
+  selections: readonly SelectionNode[];
+}
+
+interface SelectionNode {
+  kind: string;
+  name?: NameNode;
+  alias?: NameNode;
+  arguments?: readonly ArgumentNode[];
+  directives?: readonly DirectiveNode[];
+  selectionSet?: SelectionSetNode;
+}
+
+interface DefinitionNode {
+  kind: string;
+  name?: NameNode;
+  operation?: string;
+  directives?: readonly DirectiveNode[];
+  selectionSet?: SelectionSetNode;
+  variableDefinitions?: readonly { directives?: readonly DirectiveNode[] }[];
+}
+
+export interface GraphQLDocument {
+  definitions: readonly DefinitionNode[];
+}
+
+export type GraphQLOperation = DefinitionNode;
+
+export interface GraphQLQueryMetrics {
+  depth: number;
+  cost: number;
+  aliases: number;
+  directives: number;
+  introspection: boolean;
+}
+
+const DEFAULT_LIMITS: Required<Omit<GraphQLLimits, 'fieldCosts' | 'allowIntrospection'>> = {
+  maxDepth: 10,
+  maxCost: 1000,
+  maxAliases: 15,
+  maxDirectives: 50,
+  maxBatchSize: 10,
+  listArguments: ['first', 'last', 'limit']
+};
+
+/**
+ * Measures GraphQL operations on the parsed AST, so whitespace, comments and
+ * fragments can't hide nesting or aliases from the limits
+ */
+export class GraphQLQueryAnalyzer {
+  private limits: GraphQLLimits & typeof DEFAULT_LIMITS;
+
+  constructor(limits: GraphQLLimits = {}) {
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+  }
+
+  /**
+   * Measure an operation of a document. Without `operationName` the first
+   * operation is used.
+   */
+  measure(
+    document: GraphQLDocument,
+    operationName?: string | null,
+    variables: Record<string, unknown> = {}
+  ): GraphQLQueryMetrics {
+    const operations = document.definitions.filter(d => d.kind === 'OperationDefinition');
+    const operation = operationName
+      ? operations.find(o => o.name?.value === operationName)
+      : operations[0];
+
+    if (!operation) {
+      return { depth: 0, cost: 0, aliases: 0, directives: 0, introspection: false };
+    }
+
+    return this.measureOperation(document, operation, variables);
+  }
+
+  measureOperation(
+    document: GraphQLDocument,
+    operation: GraphQLOperation,
+    variables: Record<string, unknown> = {}
+  ): GraphQLQueryMetrics {
+    const fragments = new Map<string, DefinitionNode>();
+    for (const definition of document.definitions) {
+      if (definition.kind === 'FragmentDefinition' && definition.name) {
+        fragments.set(definition.name.value, definition);
+      }
+    }
+
+    // Fragments are measured once, so fragment "bombs" stay linear
+    const fragmentMetrics = new Map<string, GraphQLQueryMetrics>();
+
+    const measureSelectionSet = (selectionSet: SelectionSetNode | undefined, visiting: Set<string>): GraphQLQueryMetrics => {
+      const result: GraphQLQueryMetrics = { depth: 0, cost: 0, aliases: 0, directives: 0, introspection: false };
+      if (!selectionSet) return result;
+
+      for (const selection of selectionSet.selections) {
+        result.directives += selection.directives?.length || 0;
+
+        let child: GraphQLQueryMetrics;
+        let depthOffset = 0;
+
+        if (selection.kind === 'Field') {
+          const name = selection.name?.value || '';
+          if (selection.alias) result.aliases++;
+          if (name === '__schema' || name === '__type') result.introspection = true;
+
+          const nested = measureSelectionSet(selection.selectionSet, visiting);
+          const multiplier = this.getListMultiplier(selection, variables);
+
+          child = {
+            ...nested,
+            cost: this.getFieldCost(name) + nested.cost * multiplier
+          };
+          depthOffset = 1;
+        } else if (selection.kind === 'InlineFragment') {
+          child = measureSelectionSet(selection.selectionSet, visiting);
+        } else if (selection.kind === 'FragmentSpread') {
+          const name = selection.name?.value || '';
+          const fragment = fragments.get(name);
+          if (!fragment || visiting.has(name)) continue; // Unknown or cyclic, rejected by validation
+
+          let metrics = fragmentMetrics.get(name);
+          if (!metrics) {
+            visiting.add(name);
+            metrics = measureSelectionSet(fragment.selectionSet, visiting);
+            metrics.directives += fragment.directives?.length || 0;
+            visiting.delete(name);
+            fragmentMetrics.set(name, metrics);
+          }
+          child = metrics;
+        } else {
+          continue;
+        }
+
+        result.depth = Math.max(result.depth, child.depth + depthOffset);
+        result.cost += child.cost;
+        result.aliases += child.aliases;
+        result.directives += child.directives;
+        result.introspection = result.introspection || child.introspection;
+      }
+
+      return result;
+    };
+
+    const metrics = measureSelectionSet(operation.selectionSet, new Set());
+
+    metrics.directives += operation.directives?.length || 0;
+    for (const variable of operation.variableDefinitions || []) {
+      metrics.directives += variable.directives?.length || 0;
+    }
+
+    return metrics;
+  }
+
+  /**
+   * Compare metrics with the limits and describe every violation as a threat
+   */
+  check(metrics: GraphQLQueryMetrics, batchSize: number = 1): SecurityThreat[] {
+    const threats: SecurityThreat[] = [];
+    const { maxDepth, maxCost, maxAliases, maxDirectives, maxBatchSize } = this.limits;
+
+    const violation = (type: string, description: string, value: number, limit: number) => {
+      threats.push({
+        type: ThreatType.ANOMALOUS_BEHAVIOR,
+        severity: 'high',
+        description,
+        timestamp: new Date(),
+        blocked: true,
+        confidence: 100,
+        metadata: { type, value, limit }
+      });
+    };
+
+    if (metrics.depth > maxDepth) {
+      violation('graphql_depth', `GraphQL query depth ${metrics.depth} exceeds limit of ${maxDepth}`, metrics.depth, maxDepth);
+    }
+    if (metrics.cost > maxCost) {
+      violation('graphql_cost', `GraphQL query cost ${metrics.cost} exceeds limit of ${maxCost}`, metrics.cost, maxCost);
+    }
+    if (metrics.aliases > maxAliases) {
+      violation('graphql_aliases', `GraphQL query uses ${metrics.aliases} aliases, limit is ${maxAliases}`, metrics.aliases, maxAliases);
+    }
+    if (metrics.directives > maxDirectives) {
+      violation('graphql_directives', `GraphQL query uses ${metrics.directives} directives, limit is ${maxDirectives}`, metrics.directives, maxDirectives);
+    }
+    if (batchSize > maxBatchSize) {
+      violation('graphql_batch', `GraphQL batch of ${batchSize} operations exceeds limit of ${maxBatchSize}`, batchSize, maxBatchSize);
+    }
+
+    if (metrics.introspection && !this.isIntrospectionAllowed()) {
+      threats.push({
+        type: ThreatType.ANOMALOUS_BEHAVIOR,
+        severity: 'high',
+        description: 'GraphQL introspection query outside development',
+        timestamp: new Date(),
+        blocked: true,
+        confidence: 100,
+        metadata: { type: 'graphql_introspection' }
+      });
+    }
+
+    return threats;
+  }
+
+  isIntrospectionAllowed(): boolean {
+    return this.limits.allowIntrospection ?? process.env.NODE_ENV === 'development';
+  }
+
+  getLimits(): GraphQLLimits {
+    return { ...this.limits };
+  }
+
+  private getFieldCost(name: string): number {
+    if (name.startsWith('__')) return 0; // __typename and introspection are free
+    return this.limits.fieldCosts?.[name] ?? 1;
+  }
+
+  /**
+   * `first: 100` (or a variable holding it) makes every child field count 100 times
+   */
+  private getListMultiplier(field: SelectionNode, variables: Record<string, unknown>): number {
+    for (const argument of field.arguments || []) {
+      if (!this.limits.listArguments.includes(argument.name.value)) continue;
+
+      let value: unknown;
+      if (argument.value.kind === 'IntValue') {
+        value = argument.value.value;
+      } else if (argument.value.kind === 'Variable' && argument.value.name) {
+        value = variables[argument.value.name.value];
+      }
+
+      const count = Number(value);
+      if (Number.isFinite(count) && count > 1) return count;
+    }
+
+    return 1;
+  }
+}
@@ -1,8 +1,27 @@
-import { AimlessConfig } from './types';
+import { AimlessConfig, CustomDetector, SecurityThreat } from './types';
 import { RASP } from './rasp';
+import { addDetector } from './rasp/custom-detectors';
 import { FuzzingEngine, FuzzTarget } from './fuzzing';
 import { Logger } from './logger';
+import { getAnalyticsEngine } from './analytics/security-analytics';
 import { createMiddleware, csrfProtection, loadingScreen } from './middleware/express';
+import { createFastifyPlugin } from './middleware/fastify';
+import { createKoaMiddleware } from './middleware/koa';
+import { createHapiPlugin } from './middleware/hapi';
+import { createFetchHandler } from './middleware/fetch';
+import { createLambdaHandler, LambdaHandler, LambdaHttpEvent } from './middleware/lambda';
+import { createWebSocketGuard } from './middleware/ws';
+import { createSocketIOGuard, SocketIOProtectionOptions } from './middleware/socketio';
+import { ApolloPluginOptions, createApolloPlugin } from './middleware/apollo';
+import { AimlessModule } from './middleware/nest';
+import { createTRPCMiddleware, TRPCMiddlewareOptions } from './middleware/trpc';
+import { createGrpcInterceptor, GrpcInterceptorOptions } from './middleware/grpc';
+import { installChildProcessGuard } from './rasp/sinks/child-process';
+import { SinkGuardOptions } from './rasp/sinks/shared';
+import { installSQLGuard, SQLGuardOptions } from './rasp/sinks/sql';
+import { FsGuardOptions, installFsGuard } from './rasp/sinks/fs';
+import { installSSRFGuard, SSRFGuardOptions } from './rasp/sinks/http';
+import { CodeGuardOptions, installCodeExecutionGuard } from './rasp/sinks/code';
 
 export class Aimless {
   private rasp: RASP;
@@ -11,9 +30,11 @@ export class Aimless {
   private config: AimlessConfig;
 
   constructor(config: AimlessConfig = {}) {
-    this.config = config;
+    // One detector list for this instance and every adapter it creates, so
+    // registerDetector() also reaches adapters created before the call
+    this.config = { ...config, rasp: { ...config.rasp, detectors: [...(config.rasp?.detectors || [])] } };
     this.logger = new Logger(config.logging);
-    this.rasp = new RASP(config.rasp, this.logger);
+    this.rasp = new RASP(this.config.rasp, this.logger);
     this.fuzzer = new FuzzingEngine(config.fuzzing, this.logger);
   }
 
@@ -24,6 +45,127 @@ export class Aimless {
     return createMiddleware(this.config);
   }
 
+  /**
+   * Get Fastify plugin for RASP protection
+   */
+  fastify() {
+    return createFastifyPlugin(this.config);
+  }
+
+  /**
+   * Get Koa middleware for RASP protection
+   */
+  koa() {
+    return createKoaMiddleware(this.config);
+  }
+
+  /**
+   * Get Hapi plugin for RASP protection
+   */
+  hapi() {
+    return createHapiPlugin(this.config);
+  }
+
+  /**
+   * Get Fetch API handler for edge runtimes and Next.js middleware.
+   * Resolves to null to continue, or a blocking Response
+   */
+  fetchHandler() {
+    return createFetchHandler(this.config);
+  }
+
+  /**
+   * Wrap an AWS Lambda handler (API Gateway v1/v2, ALB).
+   * Blocked requests return a proxy response without calling the handler
+   */
+  lambda<TEvent extends LambdaHttpEvent, TResult>(handler: LambdaHandler<TEvent, TResult>) {
+    return createLambdaHandler(this.config, handler);
+  }
+
+  /**
+   * Get WebSocket guard for ws servers (upgrade checks and message inspection)
+   */
+  websocket() {
+    return createWebSocketGuard(this.config);
+  }
+
+  /**
+   * Get Socket.IO handshake and event middleware
+   */
+  socketIO(options?: SocketIOProtectionOptions) {
+    return createSocketIOGuard(this.config, options);
+  }
+
+  /**
+   * Get Apollo Server plugin with AST-based GraphQL limits
+   */
+  apollo(options?: ApolloPluginOptions) {
+    return createApolloPlugin(this.config, options);
+  }
+
+  /**
+   * Get NestJS module with the global guard, interceptor and AIMLESS_THREATS provider
+   */
+  nest() {
+    return AimlessModule.forRoot(this.config);
+  }
+
+  /**
+   * Get tRPC middleware that inspects procedure input, for `t.middleware()`
+   */
+  trpc(options?: TRPCMiddlewareOptions) {
+    return createTRPCMiddleware(this.config, options);
+  }
+
+  /**
+   * Get @grpc/grpc-js server interceptor that inspects request messages
+   */
+  grpc(options?: GrpcInterceptorOptions) {
+    return createGrpcInterceptor(this.config, options);
+  }
+
+  /**
+   * Hook child_process so shell commands altered by request input are
+   * blocked at the call. Returns a guard with uninstall()
+   */
+  protectChildProcess(options?: SinkGuardOptions) {
+    return installChildProcessGuard(this.config, options);
+  }
+
+  /**
+   * Hook the pg, mysql2 and sqlite3 drivers so queries whose structure was
+   * changed by request input are blocked before they run. Returns a guard
+   * with uninstall()
+   */
+  protectSQL(options?: SQLGuardOptions) {
+    return installSQLGuard(this.config, options);
+  }
+
+  /**
+   * Hook fs so request input that makes a path escape its allowed roots is
+   * blocked at the call. Returns a guard with uninstall()
+   */
+  protectFileSystem(options?: FsGuardOptions) {
+    return installFsGuard(this.config, options);
+  }
+
+  /**
+   * Hook http, https and fetch so outbound requests that request input
+   * points at internal addresses are blocked, redirects included. Returns a
+   * guard with uninstall()
+   */
+  protectOutboundRequests(options?: SSRFGuardOptions) {
+    return installSSRFGuard(this.config, options);
+  }
+
+  /**
+   * Hook eval, Function, vm and string timers so request input never gets
+   * compiled as code. Returns a guard with uninstall()
+   */
+  protectCodeExecution(options?: CodeGuardOptions) {
+    return installCodeExecutionGuard(this.config, options);
+  }
+
   /**
    * Get CSRF protection middleware
    */
@@ -47,11 +189,39 @@ export class Aimless {
     query?: any;
     body?: any;
     headers?: Record<string, string | string[] | undefined>;
+    params?: Record<string, unknown>;
     ip?: string;
   }) {
     return this.rasp.analyze(request);
   }
 
+  /**
+   * Analyze a request, waiting for asynchronous custom detectors
+   */
+  analyzeAsync(request: {
+    method: string;
+    path: string;
+    query?: any;
+    body?: any;
+    headers?: Record<string, string | string[] | undefined>;
+    params?: Record<string, unknown>;
+    ip?: string;
+  }): Promise<SecurityThreat[]> {
+    return this.rasp.analyzeAsync(request);
+  }
+
+  /**
+   * Add a detector that runs after the built-in ones, in every adapter of
+   * this instance. `detect(ctx)` returns threats, or a promise of them;
+   * every adapter waits for asynchronous detectors, analyze() skips them
+   * (use analyzeAsync()).
+   */
+  registerDetector(detector: CustomDetector): this {
+    // The list this instance owns and shares with its adapters
+    addDetector(this.config.rasp!.detectors!, detector);
+    return this;
+  }
+
   /**
    * Generate a CSRF token for a session
    */
@@ -80,11 +250,21 @@ export class Aimless {
     return this.logger;
   }
 
+  /**
+   * Injection and XSS threats in a single input
+   */
+  private detectInputThreats(input: any, context?: string): SecurityThreat[] {
+    return [
+      ...this.rasp.detectInjections(input, context),
+      ...this.rasp.getXSSDetector().detect(input, context)
+    ];
+  }
+
   /**
    * Quick validation helper - check if input is safe
    */
   isSafe(input: any, context?: string): boolean {
-    const threats = this.rasp.detectInjections(input, context);
+    const threats = this.detectInputThreats(input, context);
     return threats.length === 0;
   }
 
@@ -104,7 +284,7 @@ export class Aimless {
    * Validate and sanitize in one call
    */
   validateAndSanitize(input: string, context?: string): { safe: boolean; sanitized: string; threats: any[] } {
-    const threats = this.rasp.detectInjections(input, context);
+    const threats = this.detectInputThreats(input, context);
     const safe = threats.length === 0;
     const sanitized = this.rasp.sanitizeOutput(input);
     
@@ -155,8 +335,12 @@ export class Aimless {
    * Get security analytics (v1.3.4 feature)
    */
   getAnalytics(): any {
-    // Placeholder - returns basic stats for now
-    // In a full implementation, this would use SecurityAnalyticsEngine
+    // Shared with every adapter created from this instance when rasp.analytics is enabled
+    const engine = getAnalyticsEngine(this.config);
+    if (engine) {
+      return engine.getAnalytics();
+    }
+
     return {
       totalRequests: 0,
       threatsDetected: 0,
@@ -281,6 +465,37 @@ export * from './types';
 export * from './rasp';
 export * from './fuzzing';
 export * from './middleware/express';
+export * from './middleware/fastify';
+export * from './middleware/koa';
+export * from './middleware/hapi';
+export * from './middleware/fetch';
+export * from './middleware/lambda';
+export * from './middleware/ws';
+export * from './middleware/socketio';
+export * from './middleware/apollo';
+export * from './middleware/nest';
+export * from './middleware/trpc';
+export * from './middleware/grpc';
+export * from './graphql/query-analyzer';
+export * from './graphql/persisted-queries';
+export * from './rasp/shell-lexer';
+export * from './rasp/command-injection';
+export * from './rasp/sql-lexer';
+export * from './rasp/sqli-fingerprint';
+export * from './rasp/html-entities';
+export * from './rasp/html-tokenizer';
+export * from './rasp/html-xss';
+export * from './rasp/normalize';
+export * from './rasp/rules';
+export * from './rasp/ip-ranges';
+export * from './rasp/taint';
+export * from './rasp/sinks/shared';
+export * from './rasp/sinks/child-process';
+export * from './rasp/sinks/sql';
+export * from './rasp/sinks/fs';
+export * from './rasp/sinks/http';
+export * from './rasp/sinks/code';
+export * from './middleware/core';
 export { Logger } from './logger';
 
 // Default export
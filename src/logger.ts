@@ -55,6 +55,7 @@ export class Logger {
   }
 
   threat(threat: any): void {
-    this.warn('Security threat detected', threat);
+    const location = threat?.metadata?.location;
+    this.warn(`Security threat detected${location ? ` in ${location}` : ''}`, threat);
   }
 }
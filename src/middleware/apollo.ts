@@ -0,0 +1,109 @@
+import type { ApolloServerPlugin, BaseContext, GraphQLRequestContextDidResolveOperation } from '@apollo/server';
+import { AimlessConfig, GraphQLLimits } from '../types';
+import { GraphQLQueryAnalyzer } from '../graphql/query-analyzer';
+import { InspectionDecision, InspectionOverrides, RequestInspector } from './core';
+import { getClientIp } from './shared';
+import { requirePeer } from '../optional-peer';
+
+export interface ApolloPluginOptions extends InspectionOverrides {
+  limits?: GraphQLLimits; // Defaults to rasp.graphql
+  path?: string; // Path reported in logs and webhooks (default: '/graphql')
+}
+
+/**
+ * Create an Apollo Server plugin that measures every operation on its parsed
+ * AST: depth, field cost, aliases, directives, batch size and introspection.
+ * Violations are SecurityThreats, logged and sent to webhooks like any other,
+ * and block the operation with a 403 GraphQLError in block mode.
+ *
+ * Usage:
+ *   new ApolloServer({ schema, plugins: [createApolloPlugin(config)] });
+ */
+export function createApolloPlugin<TContext extends BaseContext = BaseContext>(
+  config: AimlessConfig = {},
+  options: ApolloPluginOptions = {}
+): ApolloServerPlugin<TContext> {
+  const inspector = new RequestInspector(config);
+  const analyzer = new GraphQLQueryAnalyzer(options.limits || config.rasp?.graphql);
+  const path = options.path || '/graphql';
+
+  // Operations of a batched HTTP request share one response head
+  // (the context value is cloned per operation)
+  const batchCounts = new WeakMap<object, number>();
+
+  const inspectOperation = async (
+    requestContext: GraphQLRequestContextDidResolveOperation<TContext>,
+    batchPosition: number
+  ): Promise<InspectionDecision> => {
+    const { document, operation, operationName, request } = requestContext;
+    const headers: Record<string, string> = {};
+    request.http?.headers.forEach((value, key) => {
+      headers[key] = value;
+    });
+
+    const metrics = operation
+      ? analyzer.measureOperation(document, operation, request.variables)
+      : analyzer.measure(document, operationName, request.variables);
+
+    const threats = analyzer.check(metrics, batchPosition);
+    threats.forEach(threat => {
+      threat.metadata = { ...threat.metadata, operationName: operationName || undefined };
+    });
+
+    if (threats.length === 0) {
+      return { action: 'allow', threats };
+    }
+
+    return inspector.inspectPayloadAsync(undefined, {
+      method: request.http?.method || 'POST',
+      path,
+      ip: getClientIp(headers),
+      headers,
+      context: 'graphql',
+      threats
+    }, options);
+  };
+
+  return {
+    async requestDidStart(requestContext) {
+      if (options.skip) return;
+
+      const batchKey = requestContext.response.http;
+      const batchPosition = (batchCounts.get(batchKey) || 0) + 1;
+      batchCounts.set(batchKey, batchPosition);
+
+      return {
+        async didResolveOperation(resolved) {
+          let decision: InspectionDecision;
+
+          try {
+            decision = await inspectOperation(resolved, batchPosition);
+          } catch (error) {
+            decision = inspector.handleError(error, options);
+          }
+
+          if (decision.action === 'block') {
+            throw toGraphQLError(decision);
+          }
+        }
+      };
+    }
+  };
+}
+
+/**
+ * graphql is a peer dependency of @apollo/server, so it is there whenever this plugin runs
+ */
+function toGraphQLError(decision: InspectionDecision): Error {
+  const { GraphQLError } = requirePeer('graphql');
+  const status = decision.status || 403;
+
+  return new GraphQLError(decision.body?.message || 'Request blocked by Aimless Security', {
+    extensions: {
+      code: status === 500 ? 'INTERNAL_SERVER_ERROR' : 'FORBIDDEN',
+      http: { status },
+      details: decision.body?.details,
+      threats: decision.threats.map(t => t.description)
+    }
+  });
+}
@@ -0,0 +1,328 @@
+import { AimlessConfig, EndpointRule, SecurityThreat, WebhookPayload } from '../types';
+import { RASP } from '../rasp';
+import { Logger } from '../logger';
+import { getAnalyticsEngine, SecurityAnalyticsEngine } from '../analytics/security-analytics';
+import { sendWebhook, shouldSkipPath, severityLevels } from './shared';
+
+/**
+ * Framework-neutral view of an incoming request
+ */
+export interface InspectableRequest {
+  method: string;
+  path: string;
+  query?: any;
+  body?: any;
+  headers?: Record<string, string | string[] | undefined>;
+  params?: Record<string, unknown>; // Route parameters, when the framework has matched a route
+  ip: string;
+}
+
+/**
+ * Per-route overrides an adapter can pass through from its own route config
+ */
+export interface InspectionOverrides {
+  skip?: boolean; // Skip all Aimless checks
+  blockMode?: boolean; // Override rasp.blockMode
+  maxThreatLevel?: EndpointRule['maxThreatLevel']; // Same as a protectedEndpoints rule
+  requireAuth?: EndpointRule['requireAuth']; // Require an Authorization or X-API-Key header
+  customBlockMessage?: string; // Override rasp.customBlockMessage
+}
+
+/**
+ * Where a non-HTTP payload came from
+ */
+export interface PayloadSource {
+  method: string; // e.g. 'WS', 'RPC'
+  path: string; // e.g. the WebSocket path or the RPC procedure
+  ip: string;
+  headers?: Record<string, string | string[] | undefined>;
+  context?: string; // Passed to the detectors, e.g. 'websocket'
+  threats?: SecurityThreat[]; // Threats the adapter found itself (per-connection anomalies...)
+}
+
+export interface BlockResponseBody {
+  error: string;
+  message: string;
+  details?: string;
+  timestamp: string;
+}
+
+/**
+ * Result of inspecting a request
+ * - skip: request was not inspected (static asset, route override)
+ * - allow: continue to the handler
+ * - block: send `status` with `body` and stop
+ */
+export interface InspectionDecision {
+  action: 'skip' | 'allow' | 'block';
+  threats: SecurityThreat[];
+  status?: number;
+  body?: BlockResponseBody;
+}
+
+/**
+ * The "inspect request → decision" core shared by every framework adapter.
+ * Adapters only translate their request into an InspectableRequest and the
+ * decision back into a response, so they all behave like the Express middleware.
+ */
+export class RequestInspector {
+  private config: AimlessConfig;
+  private logger: Logger;
+  private rasp: RASP;
+  private analytics?: SecurityAnalyticsEngine;
+
+  constructor(config: AimlessConfig = {}, logger?: Logger) {
+    this.config = config;
+    this.logger = logger || new Logger(config.logging);
+    this.rasp = new RASP(config.rasp, this.logger);
+    this.analytics = getAnalyticsEngine(config);
+  }
+
+  inspect(request: InspectableRequest, overrides: InspectionOverrides = {}): InspectionDecision {
+    const early = this.checkAccess(request, overrides);
+    if (early) return early;
+
+    const threats = this.rasp.analyze(this.toAnalyzed(request));
+    return this.decide(threats, this.toSource(request), overrides);
+  }
+
+  /**
+   * inspect(), waiting for asynchronous custom detectors
+   */
+  async inspectAsync(request: InspectableRequest, overrides: InspectionOverrides = {}): Promise<InspectionDecision> {
+    const early = this.checkAccess(request, overrides);
+    if (early) return early;
+
+    const threats = await this.rasp.analyzeAsync(this.toAnalyzed(request));
+    return this.decide(threats, this.toSource(request), overrides);
+  }
+
+  /**
+   * The decision for requests that are skipped or fail access control,
+   * undefined when the request has to be analyzed
+   */
+  private checkAccess(request: InspectableRequest, overrides: InspectionOverrides): InspectionDecision | undefined {
+    const { method, path, ip } = request;
+    const headers = (request.headers || {}) as Record<string, string>;
+
+    if (overrides.skip || shouldSkipPath(path)) {
+      return { action: 'skip', threats: [] };
+    }
+
+    // Step 1: Check endpoint access control
+    const accessCheck = overrides.requireAuth && !headers['authorization'] && !headers['x-api-key']
+      ? { allowed: false, reason: 'Authentication required for this endpoint' }
+      : this.rasp.checkEndpointAccess({ method, path, headers });
+
+    if (!accessCheck.allowed) {
+      this.logger.warn('Request blocked by access control', {
+        ip,
+        path,
+        method,
+        reason: accessCheck.reason
+      });
+
+      this.analytics?.logRequest({ ip, path, method, threats: [], blocked: true });
+
+      return {
+        action: 'block',
+        threats: [],
+        status: 403,
+        body: {
+          error: 'Forbidden',
+          message: accessCheck.reason || 'Access denied',
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Step 2: the request as analyzed for security threats.
+   * Only analyze if query/body exist and are objects
+   */
+  private toAnalyzed(request: InspectableRequest) {
+    return {
+      method: request.method,
+      path: request.path,
+      query: request.query && typeof request.query === 'object' ? request.query : undefined,
+      body: request.body && typeof request.body === 'object' ? request.body : undefined,
+      headers: (request.headers || {}) as Record<string, string>,
+      params: request.params,
+      ip: request.ip
+    };
+  }
+
+  private toSource(request: { method: string; path: string; ip: string; headers?: InspectableRequest['headers'] }) {
+    const { method, path, ip } = request;
+    return { method, path, ip, headers: (request.headers || {}) as Record<string, string> };
+  }
+
+  /**
+   * Inspect a payload that did not arrive as an HTTP request (WebSocket
+   * message, RPC call). Same protection rules, webhooks and block decision as
+   * inspect(), without access control.
+   */
+  inspectPayload(payload: unknown, source: PayloadSource, overrides: InspectionOverrides = {}): InspectionDecision {
+    const threats = this.rasp.analyzePayload(payload, source.context, { method: source.method, path: source.path });
+    return this.decide(this.withSourceThreats(threats, source), this.toSource(source), overrides);
+  }
+
+  /**
+   * inspectPayload(), waiting for asynchronous custom detectors
+   */
+  async inspectPayloadAsync(payload: unknown, source: PayloadSource, overrides: InspectionOverrides = {}): Promise<InspectionDecision> {
+    const threats = await this.rasp.analyzePayloadAsync(payload, source.context, { method: source.method, path: source.path });
+    return this.decide(this.withSourceThreats(threats, source), this.toSource(source), overrides);
+  }
+
+  private withSourceThreats(threats: SecurityThreat[], source: PayloadSource): SecurityThreat[] {
+    if (source.threats?.length) {
+      threats.push(...this.rasp.reportThreats(source.threats, { method: source.method, path: source.path }));
+    }
+    return threats;
+  }
+
+  /**
+   * Decide what to do when inspection itself failed.
+   * Fail open (allow request) unless explicitly in block mode, so the
+   * security layer never breaks the app.
+   */
+  handleError(error: unknown, overrides: InspectionOverrides = {}): InspectionDecision {
+    this.logger.error('Aimless middleware error:', error);
+
+    const blockMode = overrides.blockMode ?? this.config.rasp?.blockMode;
+    if (!blockMode) {
+      return { action: 'allow', threats: [] };
+    }
+
+    return {
+      action: 'block',
+      threats: [],
+      status: 500,
+      body: {
+        error: 'Internal Server Error',
+        message: 'Security check failed',
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Inspect and fall back to handleError if anything throws.
+   * Pass a function to also guard reading the framework's request object.
+   */
+  safeInspect(
+    request: InspectableRequest | (() => InspectableRequest),
+    overrides: InspectionOverrides = {}
+  ): InspectionDecision {
+    try {
+      return this.inspect(typeof request === 'function' ? request() : request, overrides);
+    } catch (error) {
+      return this.handleError(error, overrides);
+    }
+  }
+
+  /**
+   * safeInspect(), waiting for asynchronous custom detectors. Never rejects
+   */
+  async safeInspectAsync(
+    request: InspectableRequest | (() => InspectableRequest),
+    overrides: InspectionOverrides = {}
+  ): Promise<InspectionDecision> {
+    try {
+      return await this.inspectAsync(typeof request === 'function' ? request() : request, overrides);
+    } catch (error) {
+      return this.handleError(error, overrides);
+    }
+  }
+
+  /**
+   * Apply protection rules, send webhooks and build the block response
+   */
+  private decide(
+    threats: SecurityThreat[],
+    request: { method: string; path: string; ip: string; headers: Record<string, string> },
+    overrides: InspectionOverrides
+  ): InspectionDecision {
+    const { method, path, ip, headers } = request;
+    const blockMode = overrides.blockMode ?? this.config.rasp?.blockMode;
+
+    // Check for protected endpoint rules, overrides take precedence
+    const protectionRule = this.rasp.getProtectionRules({ method, path });
+    const maxThreatLevel = overrides.maxThreatLevel || protectionRule?.maxThreatLevel;
+
+    let shouldBlock = this.rasp.shouldBlock(threats, blockMode);
+
+    // Apply stricter rules for protected endpoints
+    if (maxThreatLevel) {
+      const maxLevel = severityLevels[maxThreatLevel];
+      const hasExcessiveThreat = threats.some(t => severityLevels[t.severity] > maxLevel);
+
+      if (hasExcessiveThreat) {
+        shouldBlock = true;
+        this.logger.warn('Protected endpoint exceeded threat level', {
+          ip,
+          path,
+          maxAllowed: maxThreatLevel,
+          threats: threats.map(t => ({ type: t.type, severity: t.severity, location: t.metadata?.location }))
+        });
+      }
+    }
+
+    // Send webhook for threats (even if not blocking)
+    if (threats.length > 0) {
+      const webhookPayload: WebhookPayload = {
+        event: shouldBlock ? 'block' : 'threat',
+        timestamp: new Date(),
+        ip,
+        path,
+        method,
+        threats,
+        userAgent: headers['user-agent'],
+        reputation: this.rasp.getAnomalyDetector().getReputationScore(ip)
+      };
+
+      sendWebhook(this.config, webhookPayload, this.logger);
+    }
+
+    this.analytics?.logRequest({ ip, path, method, threats, blocked: shouldBlock });
+
+    if (!shouldBlock) {
+      return { action: 'allow', threats };
+    }
+
+    this.logger.error('Request blocked due to security threats', {
+      ip,
+      path,
+      method,
+      threats: threats.length
+    });
+
+    const baseMessage = 'Request blocked by Aimless Security';
+    const customMessage = overrides.customBlockMessage || this.config.rasp?.customBlockMessage;
+    const fullMessage = customMessage ? `${baseMessage}. ${customMessage}` : baseMessage;
+
+    return {
+      action: 'block',
+      threats,
+      status: 403,
+      body: {
+        error: 'Forbidden',
+        message: fullMessage,
+        details: blockMode ? 'Security threat detected' : undefined,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  getRASP(): RASP {
+    return this.rasp;
+  }
+
+  getLogger(): Logger {
+    return this.logger;
+  }
+}
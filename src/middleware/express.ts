@@ -1,7 +1,10 @@
 import { Request, Response, NextFunction } from 'express';
-import { AimlessConfig, SecurityThreat, WebhookPayload } from '../types';
+import { AimlessConfig, SecurityThreat } from '../types';
 import { RASP } from '../rasp';
 import { Logger } from '../logger';
+import { InspectionDecision, RequestInspector } from './core';
+import { getClientIp } from './shared';
+import { runWithRequestTaint } from '../rasp/taint';
 
 export interface AimlessRequest extends Request {
   aimless?: {
@@ -10,294 +13,55 @@ export interface AimlessRequest extends Request {
   };
 }
 
-// Helper function to send webhooks
-async function sendWebhook(config: AimlessConfig, payload: WebhookPayload, logger: Logger): Promise<void> {
-  const webhookConfig = config.rasp?.webhooks;
-  
-  if (!webhookConfig?.enabled || !webhookConfig.url) {
-    return;
-  }
-
-  // Check if this event should be sent
-  const events = webhookConfig.events || ['all'];
-  if (!events.includes('all') && !events.includes(payload.event)) {
-    return;
-  }
-
-  try {
-    // Detect webhook type and format accordingly
-    const isDiscord = webhookConfig.url.includes('discord.com');
-    const isSlack = webhookConfig.url.includes('slack.com');
-
-    let body: string;
-    const headers: Record<string, string> = {
-      'Content-Type': 'application/json',
-      'User-Agent': 'Aimless-Security/1.3.4',
-      ...(webhookConfig.customHeaders || {})
-    };
-
-    if (isDiscord) {
-      // Discord webhook format
-      const color = payload.event === 'block' ? 0xdc2626 : 
-                    payload.event === 'rateLimit' ? 0xf59e0b : 0xef4444;
-      
-      const title = payload.event === 'block' 
-        ? '🛡️ Security Threat Blocked'
-        : payload.event === 'rateLimit'
-        ? '⚠️ Rate Limit Exceeded'
-        : '🚨 Security Threat Detected';
-
-      body = JSON.stringify({
-        embeds: [{
-          title,
-          color,
-          fields: [
-            { name: 'IP Address', value: payload.ip || 'unknown', inline: true },
-            { name: 'Path', value: payload.path || '/', inline: true },
-            { name: 'Method', value: payload.method || 'GET', inline: true },
-            { name: 'Timestamp', value: payload.timestamp.toISOString(), inline: true },
-            ...(payload.threats && payload.threats.length > 0 ? [{
-              name: 'Threats',
-              value: payload.threats.map(t => 
-                `• ${t.type} (${t.severity}${t.confidence ? ` - ${t.confidence}% confidence` : ''})`
-              ).join('\n'),
-              inline: false
-            }] : [])
-          ],
-          footer: {
-            text: 'Aimless Security v1.3.4'
-          },
-          timestamp: payload.timestamp.toISOString()
-        }]
-      });
-    } else if (isSlack) {
-      // Slack webhook format
-      const color = payload.event === 'block' ? '#dc2626' : 
-                    payload.event === 'rateLimit' ? '#f59e0b' : '#ef4444';
-      
-      const emoji = payload.event === 'block' ? '🛡️' : 
-                    payload.event === 'rateLimit' ? '⚠️' : '🚨';
-
-      const text = payload.event === 'block' 
-        ? `*Security Threat Blocked*`
-        : payload.event === 'rateLimit'
-        ? `*Rate Limit Exceeded*`
-        : `*Security Threat Detected*`;
-
-      body = JSON.stringify({
-        attachments: [{
-          color,
-          title: `${emoji} ${text}`,
-          fields: [
-            { title: 'IP Address', value: payload.ip || 'unknown', short: true },
-            { title: 'Path', value: payload.path || '/', short: true },
-            { title: 'Method', value: payload.method || 'GET', short: true },
-            { title: 'Timestamp', value: payload.timestamp.toISOString(), short: true },
-            ...(payload.threats && payload.threats.length > 0 ? [{
-              title: 'Threats',
-              value: payload.threats.map(t => 
-                `• ${t.type} (${t.severity})`
-              ).join('\n'),
-              short: false
-            }] : [])
-          ],
-          footer: 'Aimless Security',
-          ts: Math.floor(payload.timestamp.getTime() / 1000)
-        }]
-      });
-    } else {
-      // Generic webhook
-      body = JSON.stringify({
-        ...payload,
-        payload: webhookConfig.includePayload ? payload.payload : undefined,
-        source: 'Aimless Security',
-        version: '1.3.4'
-      });
-    }
-
-    // Log webhook being sent
-    logger.info(`🔔 Sending webhook: ${payload.event} to ${webhookConfig.url.substring(0, 50)}...`);
-
-    // Send webhook (fire and forget - don't block request)
-    fetch(webhookConfig.url, {
-      method: 'POST',
-      headers,
-      body
-    }).then(response => {
-      if (response.ok) {
-        logger.info(`✅ Webhook delivered successfully (${payload.event})`);
-      } else {
-        response.text().then(text => {
-          logger.warn(`⚠️ Webhook failed: ${response.status} ${response.statusText} - ${text}`);
-        });
-      }
-    }).catch(error => {
-      logger.error('Webhook delivery failed:', error);
-    });
-
-  } catch (error) {
-    logger.error('Webhook error:', error);
-  }
-}
-
 export function createMiddleware(config: AimlessConfig = {}) {
-  const logger = new Logger(config.logging);
-  const rasp = new RASP(config.rasp, logger);
-
-  return (req: AimlessRequest, res: Response, next: NextFunction) => {
-    try {
-      // Skip security checks for common browser resources and service workers
-      const skipPaths = [
-        '/favicon.ico',
-        '/robots.txt',
-        '/sitemap.xml',
-        '/sw.js',
-        '/service-worker.js',
-        '/manifest.json',
-        '/browserconfig.xml'
-      ];
-      
-      if (skipPaths.includes(req.path)) {
-        return next();
-      }
-
-      // Skip for static assets
-      if (req.path.match(/\.(css|js|jpg|jpeg|png|gif|svg|ico|woff|woff2|ttf|eot|map)$/)) {
-        return next();
-      }
+  const inspector = new RequestInspector(config);
 
-      // Get client IP with safety checks
-      const ip = (req.headers?.['x-forwarded-for'] as string)?.split(',')[0]?.trim() || 
-                 (req.headers?.['x-real-ip'] as string) ||
-                 req.socket?.remoteAddress ||
-                 req.ip ||
-                 'unknown';
-
-    // Step 1: Check endpoint access control
-    const accessCheck = rasp.checkEndpointAccess({
-      method: req.method,
-      path: req.path,
-      headers: req.headers as Record<string, string>
-    });
-
-    if (!accessCheck.allowed) {
-      logger.warn('Request blocked by access control', {
-        ip,
-        path: req.path,
-        method: req.method,
-        reason: accessCheck.reason
-      });
-
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: accessCheck.reason || 'Access denied',
-        timestamp: new Date().toISOString()
-      });
-    }
-
-    // Step 2: Analyze request for security threats
-    // Only analyze if query/body exist and are objects
-    const threats = rasp.analyze({
-      method: req.method,
-      path: req.path || req.url || '/',
-      query: req.query && typeof req.query === 'object' ? req.query : undefined,
-      body: req.body && typeof req.body === 'object' ? req.body : undefined,
-      headers: (req.headers || {}) as Record<string, string>,
-      ip
-    });
-
-    // Step 3: Check for protected endpoint rules
-    const protectionRule = rasp.getProtectionRules({
-      method: req.method,
-      path: req.path
-    });
-
-    let shouldBlock = rasp.shouldBlock(threats);
-
-    // Apply stricter rules for protected endpoints
-    if (protectionRule && protectionRule.maxThreatLevel) {
-      const severityLevels = { low: 1, medium: 2, high: 3, critical: 4 };
-      const maxLevel = severityLevels[protectionRule.maxThreatLevel];
-      
-      const hasExcessiveThreat = threats.some(t => 
-        severityLevels[t.severity] > maxLevel
-      );
-
-      if (hasExcessiveThreat) {
-        shouldBlock = true;
-        logger.warn('Protected endpoint exceeded threat level', {
-          ip,
-          path: req.path,
-          maxAllowed: protectionRule.maxThreatLevel,
-          threats: threats.map(t => ({ type: t.type, severity: t.severity }))
-        });
-      }
+  const respond = (decision: InspectionDecision, req: AimlessRequest, res: Response, next: NextFunction) => {
+    if (decision.action === 'skip') {
+      return next();
     }
 
     // Attach threat info to request
     req.aimless = {
-      threats,
-      blocked: shouldBlock
+      threats: decision.threats,
+      blocked: decision.action === 'block'
     };
 
-    // Send webhook for threats (even if not blocking)
-    if (threats.length > 0) {
-      const webhookPayload: WebhookPayload = {
-        event: shouldBlock ? 'block' : 'threat',
-        timestamp: new Date(),
-        ip,
-        path: req.path,
-        method: req.method,
-        threats,
-        userAgent: req.headers['user-agent'] as string,
-        reputation: undefined // TODO: Get from anomaly detector
-      };
-      
-      sendWebhook(config, webhookPayload, logger);
+    // Block request if necessary
+    if (decision.action === 'block') {
+      return res.status(decision.status || 403).json(decision.body);
     }
 
-    // Block request if necessary
-    if (shouldBlock) {
-      logger.error('Request blocked due to security threats', {
-        ip,
-        path: req.path,
-        method: req.method,
-        threats: threats.length
-      });
+    // Continue to next middleware, in a taint context the sink guards can read
+    runWithRequestTaint({
+      method: req.method,
+      path: req.path || req.url?.split('?')[0] || '/',
+      ip: getClientIp(req.headers, req.socket?.remoteAddress, req.ip),
+      query: req.query,
+      body: req.body,
+      headers: req.headers
+    }, next);
+  };
 
-      const baseMessage = 'Request blocked by Aimless Security';
-      const fullMessage = config.rasp?.customBlockMessage 
-        ? `${baseMessage}. ${config.rasp.customBlockMessage}`
-        : baseMessage;
+  return (req: AimlessRequest, res: Response, next: NextFunction) => {
+    const request = () => ({
+      method: req.method,
+      path: req.path || req.url?.split('?')[0] || '/',
+      query: req.query,
+      body: req.body,
+      headers: req.headers,
+      // Only filled in when mounted on a route: app.get('/users/:id', aimless.middleware(), ...)
+      params: req.params,
+      ip: getClientIp(req.headers, req.socket?.remoteAddress, req.ip)
+    });
 
-      return res.status(403).json({
-        error: 'Forbidden',
-        message: fullMessage,
-        details: config.rasp?.blockMode ? 'Security threat detected' : undefined,
-        timestamp: new Date().toISOString()
-      });
+    // Custom detectors may be asynchronous, without them next() is called synchronously
+    if (inspector.getRASP().hasCustomDetectors()) {
+      inspector.safeInspectAsync(request).then(decision => respond(decision, req, res, next)).catch(next);
+      return;
     }
 
-    // Continue to next middleware
-    next();
-    } catch (error) {
-      // Log error but don't break the application
-      logger.error('Aimless middleware error:', error);
-      
-      // In production, fail open (allow request) rather than fail closed
-      // This prevents the security middleware from breaking the app
-      if (config.rasp?.blockMode === false || !config.rasp?.blockMode) {
-        // Allow request to continue
-        next();
-      } else {
-        // Only block if explicitly in block mode and configured to fail closed
-        res.status(500).json({
-          error: 'Internal Server Error',
-          message: 'Security check failed',
-          timestamp: new Date().toISOString()
-        });
-      }
-    }
+    respond(inspector.safeInspect(request), req, res, next);
   };
 }
 
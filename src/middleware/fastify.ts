@@ -0,0 +1,77 @@
+import type { FastifyInstance, FastifyPluginCallback, FastifyReply, FastifyRequest } from 'fastify';
+import { AimlessConfig, SecurityThreat } from '../types';
+import { InspectionOverrides, RequestInspector } from './core';
+import { getClientIp } from './shared';
+
+/**
+ * Per-route overrides, set through Fastify's route `config.aimless`
+ */
+export type AimlessRouteConfig = InspectionOverrides;
+
+declare module 'fastify' {
+  interface FastifyRequest {
+    aimless?: {
+      threats: SecurityThreat[];
+      blocked: boolean;
+    } | null;
+  }
+
+  interface FastifyContextConfig {
+    aimless?: AimlessRouteConfig;
+  }
+}
+
+/**
+ * Create a Fastify plugin that runs the same checks as the Express middleware
+ * in the preHandler hook, so Fastify's parsed body is available.
+ *
+ * Usage: fastify.register(createFastifyPlugin(config))
+ */
+export function createFastifyPlugin(config: AimlessConfig = {}): FastifyPluginCallback {
+  const inspector = new RequestInspector(config);
+
+  const plugin: FastifyPluginCallback = (fastify: FastifyInstance, _opts, done) => {
+    if (!fastify.hasRequestDecorator('aimless')) {
+      fastify.decorateRequest('aimless', null);
+    }
+
+    fastify.addHook('preHandler', async (request: FastifyRequest, reply: FastifyReply) => {
+      // route config moved to routeOptions in Fastify 4.x, keep routeConfig as fallback
+      const routeConfig: AimlessRouteConfig =
+        (request.routeOptions?.config ?? request.routeConfig)?.aimless || {};
+
+      const decision = await inspector.safeInspectAsync(() => ({
+        method: request.method,
+        path: request.url.split('?')[0] || '/',
+        query: request.query,
+        body: request.body,
+        headers: request.headers,
+        params: request.params as Record<string, unknown> | undefined,
+        ip: getClientIp(request.headers, request.socket?.remoteAddress, request.ip)
+      }), routeConfig);
+
+      if (decision.action === 'skip') {
+        return;
+      }
+
+      // Attach threat info to request
+      request.aimless = {
+        threats: decision.threats,
+        blocked: decision.action === 'block'
+      };
+
+      if (decision.action === 'block') {
+        return reply.code(decision.status || 403).send(decision.body);
+      }
+    });
+
+    done();
+  };
+
+  // Equivalent of fastify-plugin: don't encapsulate, so the hook applies to all routes
+  const meta = plugin as unknown as Record<symbol, unknown>;
+  meta[Symbol.for('skip-override')] = true;
+  meta[Symbol.for('fastify.display-name')] = 'aimless-security';
+
+  return plugin;
+}
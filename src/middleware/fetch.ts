@@ -0,0 +1,86 @@
+import { AimlessConfig } from '../types';
+import { InspectionOverrides, RequestInspector } from './core';
+import { appendEntry, getClientIp, headersToRecord, parseTextBody, searchParamsToObject } from './shared';
+
+/**
+ * Handler for Fetch API runtimes: resolves to `null` when the request may
+ * continue, or to a `Response` carrying the block payload.
+ */
+export type FetchSecurityHandler = (request: Request, overrides?: InspectionOverrides) => Promise<Response | null>;
+
+/**
+ * Create a handler for Web Fetch API runtimes (Next.js middleware.ts, Vercel
+ * Edge Functions, Cloudflare Workers, Deno, Bun, Hono...).
+ *
+ * Only Web APIs are used on this path, so it runs outside Node.js.
+ *
+ * Usage (Next.js middleware.ts):
+ *   const protect = createFetchHandler(config);
+ *   export async function middleware(request) {
+ *     return (await protect(request)) ?? NextResponse.next();
+ *   }
+ */
+export function createFetchHandler(config: AimlessConfig = {}): FetchSecurityHandler {
+  const inspector = new RequestInspector(config);
+
+  return async (request: Request, overrides: InspectionOverrides = {}) => {
+    let body: unknown;
+    try {
+      body = await readBody(request);
+    } catch (error) {
+      // Malformed or already consumed body - inspect what we have
+      inspector.getLogger().debug('Could not read request body', { error: String(error) });
+    }
+
+    const decision = await inspector.safeInspectAsync(() => {
+      const url = new URL(request.url);
+      const headers = headersToRecord(request.headers);
+
+      return {
+        method: request.method,
+        path: url.pathname || '/',
+        query: searchParamsToObject(url.searchParams),
+        body,
+        headers,
+        // NextRequest.ip on older Next.js versions, otherwise proxy headers
+        ip: getClientIp(headers, (request as Request & { ip?: string }).ip)
+      };
+    }, overrides);
+
+    if (decision.action !== 'block') {
+      return null;
+    }
+
+    return new Response(JSON.stringify(decision.body), {
+      status: decision.status || 403,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  };
+}
+
+/**
+ * Read a JSON, form or text body from a clone, leaving the original stream for the handler
+ */
+async function readBody(request: Request): Promise<unknown> {
+  if (!request.body || request.method === 'GET' || request.method === 'HEAD') {
+    return undefined;
+  }
+
+  const contentType = request.headers.get('content-type') || '';
+
+  if (contentType.includes('application/x-www-form-urlencoded') || contentType.includes('multipart/form-data')) {
+    const form = await request.clone().formData();
+    const result: Record<string, string | string[]> = {};
+
+    form.forEach((value, key) => {
+      // Files are not inspected, only their names
+      appendEntry(result, key, typeof value === 'string' ? value : (value as { name?: string }).name || '');
+    });
+
+    return result;
+  }
+
+  // JSON, malformed JSON (inspected as text rather than skipped), or JSON sent
+  // without its content type (`text/plain` is the default for a string body)
+  return parseTextBody(await request.clone().text());
+}
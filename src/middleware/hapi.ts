@@ -0,0 +1,64 @@
+import type { Lifecycle, NamedPlugin, Request, ResponseToolkit, Server } from '@hapi/hapi';
+import { AimlessConfig, SecurityThreat } from '../types';
+import { InspectionOverrides, RequestInspector } from './core';
+import { getClientIp } from './shared';
+
+declare module '@hapi/hapi' {
+  interface PluginsStates {
+    aimless?: {
+      threats: SecurityThreat[];
+      blocked: boolean;
+    };
+  }
+
+  interface PluginSpecificConfiguration {
+    aimless?: InspectionOverrides;
+  }
+}
+
+/**
+ * Create a Hapi plugin for RASP protection.
+ * Runs in onPreHandler so the payload is parsed, exposes threat info on
+ * `request.plugins.aimless` and honours per-route `options.plugins.aimless`.
+ *
+ * Usage: await server.register(createHapiPlugin(config))
+ */
+export function createHapiPlugin(config: AimlessConfig = {}): NamedPlugin<void> {
+  const inspector = new RequestInspector(config);
+
+  return {
+    name: 'aimless-security',
+    register(server: Server) {
+      server.ext('onPreHandler', async (request: Request, h: ResponseToolkit): Promise<Lifecycle.ReturnValue> => {
+        const overrides = request.route.settings.plugins?.aimless || {};
+        const headers = request.headers as Record<string, string | string[] | undefined>;
+
+        const decision = await inspector.safeInspectAsync(() => ({
+          method: request.method.toUpperCase(),
+          path: request.path || '/',
+          query: request.query,
+          body: request.payload,
+          headers,
+          params: request.params,
+          ip: getClientIp(headers, request.info.remoteAddress)
+        }), overrides);
+
+        if (decision.action === 'skip') {
+          return h.continue;
+        }
+
+        // Attach threat info to request
+        request.plugins.aimless = {
+          threats: decision.threats,
+          blocked: decision.action === 'block'
+        };
+
+        if (decision.action === 'block') {
+          return h.response(decision.body).code(decision.status || 403).takeover();
+        }
+
+        return h.continue;
+      });
+    }
+  };
+}
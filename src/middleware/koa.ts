@@ -0,0 +1,55 @@
+import type { Middleware, ParameterizedContext } from 'koa';
+import { AimlessConfig, SecurityThreat } from '../types';
+import { InspectionOverrides, RequestInspector } from './core';
+import { getClientIp } from './shared';
+
+export interface AimlessKoaState {
+  aimless?: {
+    threats: SecurityThreat[];
+    blocked: boolean;
+  };
+}
+
+/**
+ * Create Koa middleware for RASP protection.
+ * Threat info is exposed on `ctx.state.aimless`. Register after your body
+ * parser (e.g. koa-bodyparser) so `ctx.request.body` is inspected.
+ */
+export function createKoaMiddleware(
+  config: AimlessConfig = {},
+  overrides: InspectionOverrides = {}
+): Middleware<AimlessKoaState> {
+  const inspector = new RequestInspector(config);
+
+  return async (ctx: ParameterizedContext<AimlessKoaState>, next) => {
+    const decision = await inspector.safeInspectAsync(() => ({
+      method: ctx.method,
+      path: ctx.path || '/',
+      query: ctx.query,
+      // body is added by koa-bodyparser / koa-body, not part of Koa's own types
+      body: (ctx.request as { body?: unknown }).body,
+      headers: ctx.headers,
+      // Set by @koa/router when the middleware runs on a route
+      params: (ctx as { params?: Record<string, unknown> }).params,
+      ip: getClientIp(ctx.headers, ctx.req?.socket?.remoteAddress, ctx.ip)
+    }), overrides);
+
+    if (decision.action === 'skip') {
+      return next();
+    }
+
+    // Attach threat info to state
+    ctx.state.aimless = {
+      threats: decision.threats,
+      blocked: decision.action === 'block'
+    };
+
+    if (decision.action === 'block') {
+      ctx.status = decision.status || 403;
+      ctx.body = decision.body;
+      return;
+    }
+
+    await next();
+  };
+}
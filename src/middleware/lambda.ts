@@ -0,0 +1,197 @@
+import { AimlessConfig, SecurityThreat } from '../types';
+import { InspectableRequest, InspectionDecision, InspectionOverrides, RequestInspector } from './core';
+import { getClientIp, parseTextBody, searchParamsToObject } from './shared';
+
+type HeaderMap = Record<string, string | undefined>;
+type MultiValueMap = Record<string, string[] | undefined>;
+
+/**
+ * The fields Aimless reads from API Gateway REST (v1), HTTP API (v2) and ALB events
+ */
+export interface LambdaHttpEvent {
+  version?: string;
+  // v1 / ALB
+  httpMethod?: string;
+  path?: string;
+  multiValueHeaders?: MultiValueMap | null;
+  multiValueQueryStringParameters?: MultiValueMap | null;
+  // v2
+  rawPath?: string;
+  rawQueryString?: string;
+  cookies?: string[];
+  // shared
+  headers?: HeaderMap | null;
+  queryStringParameters?: HeaderMap | null;
+  pathParameters?: HeaderMap | null;
+  body?: string | null;
+  isBase64Encoded?: boolean;
+  requestContext?: {
+    http?: { method?: string; path?: string; sourceIp?: string };
+    identity?: { sourceIp?: string };
+    elb?: { targetGroupArn?: string };
+    [key: string]: any;
+  };
+  aimless?: {
+    threats: SecurityThreat[];
+    blocked: boolean;
+  };
+}
+
+/**
+ * Proxy integration result understood by API Gateway and ALB
+ */
+export interface LambdaProxyResult {
+  statusCode: number;
+  statusDescription?: string;
+  headers?: Record<string, string>;
+  multiValueHeaders?: Record<string, string[]>;
+  body: string;
+  isBase64Encoded?: boolean;
+}
+
+export type LambdaHandler<TEvent extends LambdaHttpEvent = LambdaHttpEvent, TResult = unknown> =
+  (event: TEvent, context: any) => Promise<TResult> | TResult;
+
+/**
+ * Translate an API Gateway v1/v2 or ALB event into the shape RASP.analyze expects
+ */
+export function lambdaEventToRequest(event: LambdaHttpEvent): InspectableRequest {
+  const isV2 = event.version === '2.0';
+  const headers = normalizeHeaders(event);
+
+  // ALB passes query values URL-encoded, API Gateway has already decoded them
+  const decodeValues = !!event.requestContext?.elb;
+  const query = isV2
+    ? searchParamsToObject(new URLSearchParams(event.rawQueryString || ''))
+    : collectQuery(event.queryStringParameters, event.multiValueQueryStringParameters, decodeValues);
+
+  const method = (isV2 ? event.requestContext?.http?.method : event.httpMethod) || 'GET';
+  const path = (isV2 ? event.rawPath || event.requestContext?.http?.path : event.path) || '/';
+
+  // API Gateway knows the caller; ALB only forwards X-Forwarded-For
+  const sourceIp = event.requestContext?.http?.sourceIp || event.requestContext?.identity?.sourceIp;
+
+  return {
+    method: method.toUpperCase(),
+    path,
+    query,
+    body: parseBody(event, headers['content-type']),
+    headers,
+    params: event.pathParameters || undefined,
+    ip: sourceIp || getClientIp(headers)
+  };
+}
+
+/**
+ * Wrap a Lambda handler so blocked requests short-circuit with a proxy response.
+ * Threat info is exposed on `event.aimless`.
+ */
+export function createLambdaHandler<TEvent extends LambdaHttpEvent, TResult>(
+  config: AimlessConfig = {},
+  handler: LambdaHandler<TEvent, TResult>,
+  overrides: InspectionOverrides = {}
+): LambdaHandler<TEvent, TResult | LambdaProxyResult> {
+  const inspector = new RequestInspector(config);
+
+  return async (event: TEvent, context: any) => {
+    const decision = await inspector.safeInspectAsync(() => lambdaEventToRequest(event), overrides);
+
+    if (decision.action !== 'skip') {
+      event.aimless = {
+        threats: decision.threats,
+        blocked: decision.action === 'block'
+      };
+    }
+
+    if (decision.action === 'block') {
+      return toProxyResult(event, decision);
+    }
+
+    return handler(event, context);
+  };
+}
+
+function toProxyResult(event: LambdaHttpEvent, decision: InspectionDecision): LambdaProxyResult {
+  const statusCode = decision.status || 403;
+  const body = JSON.stringify(decision.body);
+  const contentType = 'application/json';
+
+  if (!event.requestContext?.elb) {
+    return { statusCode, headers: { 'Content-Type': contentType }, body, isBase64Encoded: false };
+  }
+
+  // ALB requires a status description, and multiValueHeaders when the target group enables them
+  const statusDescription = `${statusCode} ${statusCode === 500 ? 'Internal Server Error' : 'Forbidden'}`;
+  return event.multiValueHeaders
+    ? { statusCode, statusDescription, multiValueHeaders: { 'Content-Type': [contentType] }, body, isBase64Encoded: false }
+    : { statusCode, statusDescription, headers: { 'Content-Type': contentType }, body, isBase64Encoded: false };
+}
+
+/**
+ * Lower-case header names and merge multi-value headers and v2 cookies
+ */
+function normalizeHeaders(event: LambdaHttpEvent): Record<string, string> {
+  const headers: Record<string, string> = {};
+
+  for (const [name, value] of Object.entries(event.headers || {})) {
+    if (value !== undefined) headers[name.toLowerCase()] = value;
+  }
+
+  for (const [name, values] of Object.entries(event.multiValueHeaders || {})) {
+    if (values?.length) headers[name.toLowerCase()] = values.join(', ');
+  }
+
+  // HTTP API (v2) moves cookies out of the headers
+  if (event.cookies?.length && !headers['cookie']) {
+    headers['cookie'] = event.cookies.join('; ');
+  }
+
+  return headers;
+}
+
+function collectQuery(
+  single: HeaderMap | null | undefined,
+  multi: MultiValueMap | null | undefined,
+  decode: boolean
+): Record<string, string | string[]> {
+  const decodeValue = (value: string) => {
+    if (!decode) return value;
+    try {
+      return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch {
+      return value;
+    }
+  };
+
+  const query: Record<string, string | string[]> = {};
+
+  for (const [key, value] of Object.entries(single || {})) {
+    if (value !== undefined) query[decodeValue(key)] = decodeValue(value);
+  }
+
+  // Multi-value parameters win - queryStringParameters only holds the last value
+  for (const [key, values] of Object.entries(multi || {})) {
+    if (!values?.length) continue;
+    const decoded = values.map(decodeValue);
+    query[decodeValue(key)] = decoded.length === 1 ? decoded[0] : decoded;
+  }
+
+  return query;
+}
+
+function parseBody(event: LambdaHttpEvent, contentType: string = ''): unknown {
+  if (!event.body) return undefined;
+
+  const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return searchParamsToObject(new URLSearchParams(raw));
+  }
+
+  // JSON, text and untyped bodies (the handler may still JSON.parse them) are
+  // parsed as JSON when they are JSON, malformed JSON is inspected as text;
+  // binary payloads (images, uploads) are not inspected
+  const textual = !contentType || contentType.startsWith('text/') ||
+    contentType.includes('application/json') || contentType.includes('+json');
+  return textual ? parseTextBody(raw) : undefined;
+}
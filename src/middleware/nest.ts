@@ -0,0 +1,218 @@
+import type { CallHandler, CanActivate, DynamicModule, ExecutionContext, NestInterceptor } from '@nestjs/common';
+import type { Observable } from 'rxjs';
+import { AimlessConfig, EndpointRule, SecurityThreat } from '../types';
+import { InspectionDecision, InspectionOverrides, RequestInspector } from './core';
+import { getClientIp } from './shared';
+import { requirePeer } from '../optional-peer';
+
+/**
+ * Injection token of the request-scoped threat info:
+ *   constructor(@Inject(AIMLESS_THREATS) private aimless: AimlessRequestState) {}
+ */
+export const AIMLESS_THREATS = 'AIMLESS_THREATS';
+
+export interface AimlessRequestState {
+  threats: SecurityThreat[];
+  blocked: boolean;
+}
+
+export interface AimlessProtectOptions {
+  maxThreatLevel?: EndpointRule['maxThreatLevel'];
+  requireAuth?: EndpointRule['requireAuth'];
+  blockMode?: boolean;
+  customBlockMessage?: string;
+}
+
+// Decorator metadata, keyed by controller class or handler function.
+// Kept here instead of reflect-metadata so the decorators work without Nest loaded.
+const routeOverrides = new WeakMap<object, InspectionOverrides>();
+
+function setOverrides(overrides: InspectionOverrides) {
+  return (target: object, _key?: string | symbol, descriptor?: PropertyDescriptor): void => {
+    const key = descriptor?.value ?? target;
+    routeOverrides.set(key, { ...routeOverrides.get(key), ...overrides });
+  };
+}
+
+/**
+ * Stricter rules for a controller or route, same fields as a protectedEndpoints rule
+ */
+export function AimlessProtect(options: AimlessProtectOptions = {}): ClassDecorator & MethodDecorator {
+  return setOverrides(options);
+}
+
+/**
+ * Skip all Aimless checks for a controller or route
+ */
+export function AimlessSkip(): ClassDecorator & MethodDecorator {
+  return setOverrides({ skip: true });
+}
+
+/**
+ * Decorator overrides for the handler being executed, route level taking precedence
+ */
+function getOverrides(context: ExecutionContext): InspectionOverrides {
+  return {
+    ...routeOverrides.get(context.getClass()),
+    ...routeOverrides.get(context.getHandler())
+  };
+}
+
+/**
+ * Runs after Nest's body parsing, so works with both the Express and the
+ * Fastify platform. Blocks with an HttpException carrying the block payload.
+ */
+export class AimlessGuard implements CanActivate {
+  private inspector: RequestInspector;
+
+  constructor(config: AimlessConfig = {}, inspector?: RequestInspector) {
+    this.inspector = inspector || new RequestInspector(config);
+  }
+
+  async canActivate(context: ExecutionContext): Promise<boolean> {
+    // RPC and gateway handlers are inspected by AimlessInterceptor
+    if (context.getType() !== 'http') return true;
+
+    const request = context.switchToHttp().getRequest();
+    const decision = await this.inspector.safeInspectAsync(() => ({
+      method: request.method,
+      path: request.path || request.url?.split('?')[0] || '/',
+      query: request.query,
+      body: request.body,
+      headers: request.headers,
+      params: request.params,
+      ip: getClientIp(request.headers, request.socket?.remoteAddress, request.ip)
+    }), getOverrides(context));
+
+    if (decision.action === 'skip') {
+      return true;
+    }
+
+    // Attach threat info to request
+    request.aimless = {
+      threats: decision.threats,
+      blocked: decision.action === 'block'
+    };
+
+    if (decision.action === 'block') {
+      const { HttpException } = requirePeer('@nestjs/common');
+      throw new HttpException(decision.body, decision.status || 403);
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Inspects the payload of microservice (`@MessagePattern`) and gateway
+ * (`@SubscribeMessage`) handlers, which don't go through HTTP body parsing.
+ * Waits for asynchronous custom detectors. Blocked calls fail with an
+ * RpcException or WsException.
+ */
+export class AimlessInterceptor implements NestInterceptor {
+  private inspector: RequestInspector;
+
+  constructor(config: AimlessConfig = {}, inspector?: RequestInspector) {
+    this.inspector = inspector || new RequestInspector(config);
+  }
+
+  async intercept(context: ExecutionContext, next: CallHandler): Promise<Observable<unknown>> {
+    const type = context.getType();
+    const overrides = getOverrides(context);
+
+    if ((type === 'rpc' || type === 'ws') && !overrides.skip) {
+      let decision: InspectionDecision;
+
+      try {
+        decision = await this.inspectMessage(context, type, overrides);
+      } catch (error) {
+        decision = this.inspector.handleError(error, overrides);
+      }
+
+      if (decision.action === 'block') {
+        throw toMessageError(type, decision);
+      }
+    }
+
+    return next.handle();
+  }
+
+  private inspectMessage(context: ExecutionContext, type: 'rpc' | 'ws', overrides: InspectionOverrides): Promise<InspectionDecision> {
+    const path = `${context.getClass().name}.${context.getHandler().name}`;
+
+    if (type === 'ws') {
+      const ws = context.switchToWs();
+      const handshake = ws.getClient()?.handshake; // Socket.IO clients
+      return this.inspector.inspectPayloadAsync(ws.getData(), {
+        method: 'WS',
+        path,
+        ip: getClientIp(handshake?.headers, handshake?.address),
+        headers: handshake?.headers,
+        context: 'websocket'
+      }, overrides);
+    }
+
+    return this.inspector.inspectPayloadAsync(context.switchToRpc().getData(), {
+      method: 'RPC',
+      path,
+      ip: 'unknown',
+      context: 'rpc'
+    }, overrides);
+  }
+}
+
+/**
+ * @nestjs/microservices and @nestjs/websockets are installed whenever Nest
+ * runs handlers of that type
+ */
+function toMessageError(type: 'rpc' | 'ws', decision: InspectionDecision): Error {
+  const error = { status: decision.status || 403, ...decision.body };
+
+  if (type === 'rpc') {
+    const { RpcException } = requirePeer('@nestjs/microservices');
+    return new RpcException(error);
+  }
+
+  const { WsException } = requirePeer('@nestjs/websockets');
+  return new WsException(error);
+}
+
+/**
+ * NestJS module registering AimlessGuard and AimlessInterceptor globally and
+ * providing the request-scoped AIMLESS_THREATS.
+ *
+ * Usage:
+ *   @Module({ imports: [AimlessModule.forRoot(config)] })
+ *   export class AppModule {}
+ */
+export class AimlessModule {
+  static forRoot(config: AimlessConfig = {}): DynamicModule {
+    const { APP_GUARD, APP_INTERCEPTOR, REQUEST } = requirePeer('@nestjs/core');
+    const { Scope } = requirePeer('@nestjs/common');
+    const inspector = new RequestInspector(config);
+
+    return {
+      module: AimlessModule,
+      global: true,
+      providers: [
+        { provide: APP_GUARD, useValue: new AimlessGuard(config, inspector) },
+        { provide: APP_INTERCEPTOR, useValue: new AimlessInterceptor(config, inspector) },
+        {
+          provide: AIMLESS_THREATS,
+          scope: Scope.REQUEST,
+          inject: [REQUEST],
+          // Controllers are created before guards run, so read the request lazily
+          useFactory: (request: { aimless?: AimlessRequestState }): AimlessRequestState => ({
+            get threats() {
+              return request.aimless?.threats || [];
+            },
+            get blocked() {
+              return request.aimless?.blocked || false;
+            }
+          })
+        }
+      ],
+      exports: [AIMLESS_THREATS]
+    };
+  }
+}
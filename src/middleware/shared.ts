@@ -0,0 +1,220 @@
+import { AimlessConfig, WebhookPayload } from '../types';
+import { Logger } from '../logger';
+
+// Common browser resources and service workers that never need inspection
+const skipPaths = [
+  '/favicon.ico',
+  '/robots.txt',
+  '/sitemap.xml',
+  '/sw.js',
+  '/service-worker.js',
+  '/manifest.json',
+  '/browserconfig.xml'
+];
+
+const staticAssetPattern = /\.(css|js|jpg|jpeg|png|gif|svg|ico|woff|woff2|ttf|eot|map)$/;
+
+export const severityLevels = { low: 1, medium: 2, high: 3, critical: 4 };
+
+/**
+ * Check if a path should bypass security checks (browser resources, static assets)
+ */
+export function shouldSkipPath(path: string): boolean {
+  return skipPaths.includes(path) || staticAssetPattern.test(path);
+}
+
+/**
+ * Get client IP with safety checks
+ */
+export function getClientIp(
+  headers: Record<string, string | string[] | undefined> | undefined,
+  ...fallbacks: (string | undefined)[]
+): string {
+  const forwarded = headers?.['x-forwarded-for'];
+  const realIp = headers?.['x-real-ip'];
+
+  return (typeof forwarded === 'string' ? forwarded.split(',')[0]?.trim() : undefined) ||
+         (typeof realIp === 'string' ? realIp : undefined) ||
+         fallbacks.find(Boolean) ||
+         'unknown';
+}
+
+/**
+ * Convert URLSearchParams into a query object
+ */
+export function searchParamsToObject(params: URLSearchParams): Record<string, string | string[]> {
+  const result: Record<string, string | string[]> = {};
+  params.forEach((value, key) => appendEntry(result, key, value));
+  return result;
+}
+
+/**
+ * A body read as text: the parsed JSON when it is an object or array (a
+ * handler may `JSON.parse` it whatever the content type), otherwise the text
+ * itself as `{ body }`. Undefined for an empty body.
+ */
+export function parseTextBody(text: string): unknown {
+  if (!text) return undefined;
+
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed === 'object') return parsed;
+  } catch {
+    // Not JSON, inspected as text
+  }
+
+  return { body: text };
+}
+
+/**
+ * Repeated keys become arrays, like Express' query parser
+ */
+export function appendEntry(result: Record<string, string | string[]>, key: string, value: string): void {
+  const existing = result[key];
+  if (existing === undefined) {
+    result[key] = value;
+  } else {
+    result[key] = Array.isArray(existing) ? [...existing, value] : [existing, value];
+  }
+}
+
+// Helper function to send webhooks
+export async function sendWebhook(config: AimlessConfig, payload: WebhookPayload, logger: Logger): Promise<void> {
+  const webhookConfig = config.rasp?.webhooks;
+  
+  if (!webhookConfig?.enabled || !webhookConfig.url) {
+    return;
+  }
+
+  // Check if this event should be sent
+  const events = webhookConfig.events || ['all'];
+  if (!events.includes('all') && !events.includes(payload.event)) {
+    return;
+  }
+
+  try {
+    // Detect webhook type and format accordingly
+    const isDiscord = webhookConfig.url.includes('discord.com');
+    const isSlack = webhookConfig.url.includes('slack.com');
+
+    let body: string;
+    const headers: Record<string, string> = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Aimless-Security/1.3.4',
+      ...(webhookConfig.customHeaders || {})
+    };
+
+    if (isDiscord) {
+      // Discord webhook format
+      const color = payload.event === 'block' ? 0xdc2626 : 
+                    payload.event === 'rateLimit' ? 0xf59e0b : 0xef4444;
+      
+      const title = payload.event === 'block' 
+        ? '🛡️ Security Threat Blocked'
+        : payload.event === 'rateLimit'
+        ? '⚠️ Rate Limit Exceeded'
+        : '🚨 Security Threat Detected';
+
+      body = JSON.stringify({
+        embeds: [{
+          title,
+          color,
+          fields: [
+            { name: 'IP Address', value: payload.ip || 'unknown', inline: true },
+            { name: 'Path', value: payload.path || '/', inline: true },
+            { name: 'Method', value: payload.method || 'GET', inline: true },
+            { name: 'Timestamp', value: payload.timestamp.toISOString(), inline: true },
+            ...(payload.threats && payload.threats.length > 0 ? [{
+              name: 'Threats',
+              value: payload.threats.map(t => 
+                `• ${t.type} (${t.severity}${t.confidence ? ` - ${t.confidence}% confidence` : ''})${t.metadata?.location ? ` in ${t.metadata.location}` : ''}`
+              ).join('\n'),
+              inline: false
+            }] : [])
+          ],
+          footer: {
+            text: 'Aimless Security v1.3.4'
+          },
+          timestamp: payload.timestamp.toISOString()
+        }]
+      });
+    } else if (isSlack) {
+      // Slack webhook format
+      const color = payload.event === 'block' ? '#dc2626' : 
+                    payload.event === 'rateLimit' ? '#f59e0b' : '#ef4444';
+      
+      const emoji = payload.event === 'block' ? '🛡️' : 
+                    payload.event === 'rateLimit' ? '⚠️' : '🚨';
+
+      const text = payload.event === 'block' 
+        ? `*Security Threat Blocked*`
+        : payload.event === 'rateLimit'
+        ? `*Rate Limit Exceeded*`
+        : `*Security Threat Detected*`;
+
+      body = JSON.stringify({
+        attachments: [{
+          color,
+          title: `${emoji} ${text}`,
+          fields: [
+            { title: 'IP Address', value: payload.ip || 'unknown', short: true },
+            { title: 'Path', value: payload.path || '/', short: true },
+            { title: 'Method', value: payload.method || 'GET', short: true },
+            { title: 'Timestamp', value: payload.timestamp.toISOString(), short: true },
+            ...(payload.threats && payload.threats.length > 0 ? [{
+              title: 'Threats',
+              value: payload.threats.map(t => 
+                `• ${t.type} (${t.severity})${t.metadata?.location ? ` in ${t.metadata.location}` : ''}`
+              ).join('\n'),
+              short: false
+            }] : [])
+          ],
+          footer: 'Aimless Security',
+          ts: Math.floor(payload.timestamp.getTime() / 1000)
+        }]
+      });
+    } else {
+      // Generic webhook
+      body = JSON.stringify({
+        ...payload,
+        payload: webhookConfig.includePayload ? payload.payload : undefined,
+        source: 'Aimless Security',
+        version: '1.3.4'
+      });
+    }
+
+    // Log webhook being sent
+    logger.info(`🔔 Sending webhook: ${payload.event} to ${webhookConfig.url.substring(0, 50)}...`);
+
+    // Send webhook (fire and forget - don't block request)
+    fetch(webhookConfig.url, {
+      method: 'POST',
+      headers,
+      body
+    }).then(response => {
+      if (response.ok) {
+        logger.info(`✅ Webhook delivered successfully (${payload.event})`);
+      } else {
+        response.text().then(text => {
+          logger.warn(`⚠️ Webhook failed: ${response.status} ${response.statusText} - ${text}`);
+        });
+      }
+    }).catch(error => {
+      logger.error('Webhook delivery failed:', error);
+    });
+
+  } catch (error) {
+    logger.error('Webhook error:', error);
+  }
+}
+
+/**
+ * Convert Fetch API Headers into a plain header object
+ */
+export function headersToRecord(headers: Headers): Record<string, string> {
+  const result: Record<string, string> = {};
+  headers.forEach((value, key) => {
+    result[key.toLowerCase()] = value;
+  });
+  return result;
+}
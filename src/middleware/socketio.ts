@@ -0,0 +1,199 @@
+import type { ExtendedError, Namespace, Server, Socket } from 'socket.io';
+import { AimlessConfig, SecurityThreat } from '../types';
+import { AnomalyDetector } from '../rasp/anomaly-detector';
+import { InspectionDecision, InspectionOverrides, RequestInspector } from './core';
+import { getClientIp } from './shared';
+
+export interface SocketIORateLimit {
+  maxEvents: number;
+  windowMs: number;
+}
+
+export interface SocketIOProtectionOptions extends InspectionOverrides {
+  // Limit per event name and socket (per IP for the handshake).
+  // Defaults to rasp.rateLimiting when enabled, otherwise no limit.
+  rateLimit?: SocketIORateLimit | false;
+  // Overrides per event name, 'connection' for the handshake
+  eventRateLimits?: Record<string, SocketIORateLimit | false>;
+}
+
+export interface AimlessSocketState {
+  threats: SecurityThreat[]; // Threats of the handshake or the last inspected event
+  blocked: boolean;
+}
+
+/**
+ * A Socket.IO socket protected by Aimless
+ */
+export type AimlessSocket = Socket & { aimless?: AimlessSocketState };
+
+export interface SocketIOGuard {
+  /**
+   * Handshake middleware for `io.use()` / `namespace.use()`. Blocked
+   * connections get a `connect_error` carrying the block payload in `err.data`.
+   */
+  handshake: (socket: Socket, next: (err?: ExtendedError) => void) => Promise<void>;
+  /**
+   * Add the per-event middleware to a connected socket. Blocked events are not
+   * delivered and the server-side socket emits 'error'.
+   */
+  protect: (socket: Socket) => void;
+  /**
+   * Register both on a server or namespace
+   */
+  attach: (io: Server | Namespace) => void;
+}
+
+/**
+ * Create Socket.IO handshake and event middleware. The handshake goes through
+ * access control and threat analysis like an HTTP request (`auth` is
+ * inspected as the body), then every event payload is inspected by the
+ * injection, XSS, advanced and custom detectors. Both wait for asynchronous
+ * custom detectors and apply a per-event-name rate limit.
+ *
+ * Usage:
+ *   const guard = createSocketIOGuard(config, { rateLimit: { maxEvents: 20, windowMs: 1000 } });
+ *   guard.attach(io);
+ */
+export function createSocketIOGuard(
+  config: AimlessConfig = {},
+  options: SocketIOProtectionOptions = {}
+): SocketIOGuard {
+  const inspector = new RequestInspector(config);
+  const rateLimiter = new AnomalyDetector();
+  const logger = inspector.getLogger();
+
+  const defaultLimit = options.rateLimit ?? (
+    config.rasp?.rateLimiting?.enabled
+      ? { maxEvents: config.rasp.rateLimiting.maxRequests, windowMs: config.rasp.rateLimiting.windowMs }
+      : false
+  );
+
+  const checkRateLimit = (key: string, event: string, metadata: Record<string, unknown>): SecurityThreat | null => {
+    const limit = options.eventRateLimits?.[event] ?? defaultLimit;
+    if (!limit) return null;
+
+    const threat = rateLimiter.checkRateLimit(key, Date.now(), limit.maxEvents, limit.windowMs);
+    if (threat) {
+      threat.description = `Rate limit exceeded for "${event}": ${threat.metadata?.requestCount} events in ${limit.windowMs}ms`;
+      threat.metadata = { ...threat.metadata, ...metadata, event };
+    }
+    return threat;
+  };
+
+  // Rate limits are enforced whatever the block mode, they were configured
+  // explicitly. Null when an exclusion covers the threat: inspect as usual.
+  const rateLimited = async (threat: SecurityThreat, source: { path: string; ip: string; headers: Socket['handshake']['headers'] }): Promise<InspectionDecision | null> => {
+    // Report through the inspector so exclusions apply and webhooks fire like for any other threat
+    const decision = await inspector.inspectPayloadAsync(undefined, { method: 'EVENT', ...source, threats: [threat] }, options);
+    if (!decision.threats.includes(threat)) return null;
+
+    return {
+      action: 'block',
+      threats: decision.threats,
+      status: 429,
+      body: {
+        error: 'Too Many Requests',
+        message: 'Rate limit exceeded',
+        timestamp: new Date().toISOString()
+      }
+    };
+  };
+
+  const toError = (decision: InspectionDecision): ExtendedError => {
+    const error: ExtendedError = new Error(decision.body?.message || 'Request blocked by Aimless Security');
+    error.data = decision.body;
+    return error;
+  };
+
+  const handshake = async (socket: Socket, next: (err?: ExtendedError) => void): Promise<void> => {
+    let decision: InspectionDecision;
+
+    try {
+      const { headers, query, auth, url, address } = socket.handshake;
+      const ip = getClientIp(headers, address);
+      const path = new URL(url || '/', 'http://localhost').pathname;
+
+      const threat = checkRateLimit(`${ip}:connection`, 'connection', { ip });
+
+      decision = (threat && await rateLimited(threat, { path, ip, headers }))
+        || await inspector.inspectAsync({ method: 'GET', path, query, body: auth, headers, ip }, options);
+    } catch (error) {
+      decision = inspector.handleError(error, options);
+    }
+
+    if (decision.action !== 'skip') {
+      (socket as AimlessSocket).aimless = {
+        threats: decision.threats,
+        blocked: decision.action === 'block'
+      };
+    }
+
+    next(decision.action === 'block' ? toError(decision) : undefined);
+  };
+
+  const protect = (socket: Socket): void => {
+    const usedKeys = new Set<string>();
+    const { headers, address } = socket.handshake;
+    const ip = getClientIp(headers, address);
+
+    const inspectEvent = async (event: string, args: unknown[], threat: SecurityThreat | null): Promise<InspectionDecision> => {
+      try {
+        const path = `${socket.nsp.name}#${event}`;
+
+        // Acknowledgement callbacks are not part of the payload
+        const payload = args.filter(arg => typeof arg !== 'function');
+
+        return (threat && await rateLimited(threat, { path, ip, headers }))
+          || await inspector.inspectPayloadAsync(payload, { method: 'EVENT', path, ip, headers, context: 'socket.io' }, options);
+      } catch (error) {
+        return inspector.handleError(error, options);
+      }
+    };
+
+    // Events wait for the ones before them, so handlers get them in the order they arrived
+    let inspected = Promise.resolve();
+
+    socket.use(([event, ...args], next) => {
+      // Counted when the event arrives, not when its turn comes
+      const key = `${socket.id}:${event}`;
+      usedKeys.add(key);
+      const threat = checkRateLimit(key, event, { ip, socketId: socket.id });
+
+      const decided = inspected
+        .then(() => inspectEvent(event, args, threat))
+        .catch(error => inspector.handleError(error, options));
+      inspected = decided.then(() => undefined);
+
+      decided.then(decision => {
+        (socket as AimlessSocket).aimless = {
+          threats: decision.threats,
+          blocked: decision.action === 'block'
+        };
+
+        if (decision.action === 'block') {
+          logger.debug('Socket.IO event rejected', { socketId: socket.id, event });
+          return next(toError(decision));
+        }
+
+        next();
+      }).catch(error => {
+        // A throwing handler is an uncaught exception, as it is without Aimless
+        process.nextTick(() => { throw error; });
+      });
+    });
+
+    socket.on('disconnect', () => {
+      usedKeys.forEach(key => rateLimiter.clearHistory(key));
+    });
+  };
+
+  return {
+    handshake,
+    protect,
+    attach: (io) => {
+      io.use(handshake);
+      io.on('connection', protect);
+    }
+  };
+}
@@ -0,0 +1,99 @@
+import { AimlessConfig, SecurityThreat } from '../types';
+import { InspectionDecision, InspectionOverrides, RequestInspector } from './core';
+import { getClientIp, headersToRecord } from './shared';
+import { requirePeer } from '../optional-peer';
+
+export interface TRPCRequestInfo {
+  ip?: string;
+  headers?: Record<string, string | string[] | undefined>;
+}
+
+export interface TRPCMiddlewareOptions extends InspectionOverrides {
+  // Where the caller's IP and headers are found in the context.
+  // Defaults to ctx.req (Express, Fastify and standalone adapters) or ctx.headers.
+  getRequestInfo?: (ctx: any) => TRPCRequestInfo;
+}
+
+/**
+ * The parts of tRPC's middleware options the middleware reads, for v10 and v11
+ */
+export interface TRPCMiddlewareParams {
+  ctx: any;
+  path: string;
+  type: string;
+  input?: unknown;
+  rawInput?: unknown; // v10
+  getRawInput?: () => Promise<unknown>; // v11
+  next: (opts?: { ctx: Record<string, unknown> }) => Promise<any>;
+}
+
+/**
+ * Threat info added to the context of the procedure (`ctx.aimless`)
+ */
+export interface AimlessTRPCContext {
+  aimless: {
+    threats: SecurityThreat[];
+    blocked: boolean;
+  };
+}
+
+/**
+ * Create a tRPC middleware that inspects procedure input with the injection,
+ * XSS and advanced detectors. Blocked calls fail with a FORBIDDEN TRPCError.
+ *
+ * Usage:
+ *   const protectedProcedure = t.procedure.use(t.middleware(createTRPCMiddleware(config)));
+ */
+export function createTRPCMiddleware(config: AimlessConfig = {}, options: TRPCMiddlewareOptions = {}) {
+  const inspector = new RequestInspector(config);
+  const getRequestInfo = options.getRequestInfo || defaultRequestInfo;
+
+  return async (params: TRPCMiddlewareParams) => {
+    if (options.skip) {
+      return params.next();
+    }
+
+    let decision: InspectionDecision;
+
+    try {
+      // Raw input, so the detectors see what the client sent, not what the parser kept
+      const input = params.getRawInput ? await params.getRawInput() : params.rawInput ?? params.input;
+      const { ip, headers } = getRequestInfo(params.ctx) || {};
+
+      decision = await inspector.inspectPayloadAsync(input, {
+        method: params.type.toUpperCase(),
+        path: params.path,
+        ip: getClientIp(headers, ip),
+        headers,
+        context: 'trpc'
+      }, options);
+    } catch (error) {
+      decision = inspector.handleError(error, options);
+    }
+
+    if (decision.action === 'block') {
+      const { TRPCError } = requirePeer('@trpc/server');
+      throw new TRPCError({
+        code: decision.status === 500 ? 'INTERNAL_SERVER_ERROR' : 'FORBIDDEN',
+        message: decision.body?.message || 'Request blocked by Aimless Security'
+      });
+    }
+
+    return params.next({
+      ctx: {
+        aimless: { threats: decision.threats, blocked: false }
+      }
+    });
+  };
+}
+
+function defaultRequestInfo(ctx: any): TRPCRequestInfo {
+  const req = ctx?.req;
+  const headers = req?.headers || ctx?.headers;
+
+  return {
+    ip: req?.ip || req?.socket?.remoteAddress,
+    // Fetch adapter contexts carry a standard Request
+    headers: typeof headers?.get === 'function' ? headersToRecord(headers) : headers
+  };
+}
@@ -0,0 +1,278 @@
+import type { IncomingMessage } from 'http';
+import type { RawData, WebSocket, WebSocketServer } from 'ws';
+import { AimlessConfig, SecurityThreat } from '../types';
+import { AnomalyDetector } from '../rasp/anomaly-detector';
+import { InspectionDecision, InspectionOverrides, RequestInspector } from './core';
+import { getClientIp, searchParamsToObject } from './shared';
+
+/**
+ * What to do with a connection when a message is blocked
+ * - close: close the socket with `closeCode`
+ * - drop: swallow the message, keep the connection open
+ * - report: deliver the message, only log and send webhooks
+ */
+export type WebSocketThreatAction = 'close' | 'drop' | 'report';
+
+export interface WebSocketProtectionOptions extends InspectionOverrides {
+  action?: WebSocketThreatAction; // Default: 'close' in block mode, otherwise 'report'
+  closeCode?: number; // Default: 1008 (policy violation)
+  skipBinary?: boolean; // Don't inspect binary frames. Default: those that are valid UTF-8 are inspected like text
+}
+
+export interface AimlessWebSocketState {
+  threats: SecurityThreat[]; // Threats of the upgrade request or the last inspected message
+  blocked: boolean;
+}
+
+/**
+ * A ws socket protected by Aimless
+ */
+export type AimlessWebSocket = WebSocket & { aimless?: AimlessWebSocketState };
+
+type ConnectionOptions = WebSocketProtectionOptions | ((request: IncomingMessage) => WebSocketProtectionOptions);
+
+export interface WebSocketGuard {
+  /**
+   * `verifyClient` for `new WebSocketServer({ verifyClient })`, rejects the
+   * upgrade with an HTTP error before the handshake completes
+   */
+  verifyClient: (
+    info: { req: IncomingMessage },
+    callback: (result: boolean, code?: number, message?: string) => void
+  ) => void;
+  /**
+   * Inspect every connection of a server. Options can be a function of the
+   * upgrade request to configure each connection separately.
+   */
+  attach: (wss: WebSocketServer, options?: ConnectionOptions) => void;
+  /**
+   * Protect a single connection. Resolves to false if it was closed because
+   * the upgrade request was blocked. Messages are held until the upgrade and
+   * their own inspection (asynchronous custom detectors included) are done.
+   */
+  protect: (socket: WebSocket, request: IncomingMessage, options?: WebSocketProtectionOptions) => Promise<boolean>;
+}
+
+const POLICY_VIOLATION = 1008;
+const CLOSE_REASON = 'Request blocked by Aimless Security';
+
+/**
+ * Create a guard for `ws` servers. The upgrade request goes through access
+ * control and anomaly detection like an HTTP request, then every inbound
+ * text message is checked by the injection, XSS, advanced and custom detectors.
+ *
+ * Usage:
+ *   const guard = createWebSocketGuard(config);
+ *   const wss = new WebSocketServer({ server, verifyClient: guard.verifyClient });
+ *   guard.attach(wss, { action: 'drop' });
+ */
+export function createWebSocketGuard(config: AimlessConfig = {}): WebSocketGuard {
+  const inspector = new RequestInspector(config);
+
+  // Upgrades already checked by verifyClient are not inspected twice
+  const upgradeDecisions = new WeakMap<IncomingMessage, Promise<InspectionDecision>>();
+
+  const inspectUpgrade = (request: IncomingMessage, overrides: InspectionOverrides = {}): Promise<InspectionDecision> => {
+    const cached = upgradeDecisions.get(request);
+    if (cached) return cached;
+
+    const decision = inspector.safeInspectAsync(() => {
+      const url = new URL(request.url || '/', 'ws://localhost');
+
+      return {
+        method: request.method || 'GET',
+        path: url.pathname,
+        query: searchParamsToObject(url.searchParams),
+        headers: request.headers,
+        ip: getClientIp(request.headers, request.socket?.remoteAddress)
+      };
+    }, overrides);
+
+    upgradeDecisions.set(request, decision);
+    return decision;
+  };
+
+  const protect = (
+    socket: WebSocket,
+    request: IncomingMessage,
+    options: WebSocketProtectionOptions = {}
+  ): Promise<boolean> => {
+    const protectedSocket = socket as AimlessWebSocket;
+
+    const blockMode = options.blockMode ?? config.rasp?.blockMode;
+    const action = options.action || (blockMode ? 'close' : 'report');
+    const path = (request.url || '/').split('?')[0];
+    const ip = getClientIp(request.headers, request.socket?.remoteAddress);
+
+    // Rate limits, bursts and reputation are tracked per connection, not per IP
+    const anomalyDetector = config.rasp?.anomalyDetection ? new AnomalyDetector() : undefined;
+    const connectionId = `${ip}:${Date.now().toString(36)}:${Math.random().toString(36).slice(2)}`;
+
+    // The action decides what a blocked message does, report never blocks
+    const messageOverrides = { ...options, blockMode: action !== 'report' };
+
+    let skipped = false;
+    let closed = false;
+
+    const close = () => {
+      closed = true;
+      socket.close(options.closeCode || POLICY_VIOLATION, CLOSE_REASON);
+    };
+
+    const inspectMessage = async (data: RawData | string, isBinary?: boolean): Promise<boolean> => {
+      let decision: InspectionDecision;
+
+      try {
+        const text = messageToText(data, isBinary, options.skipBinary);
+        if (text === undefined) return true; // Not text
+
+        // 'message' is used instead of the socket path so the path-based
+        // scanning and auth heuristics don't fire on every frame
+        const anomalies = anomalyDetector?.detect(
+          connectionId,
+          'WS',
+          'message',
+          request.headers['user-agent'],
+          text.length
+        );
+
+        decision = await inspector.inspectPayloadAsync(parseMessage(text), {
+          method: 'WS',
+          path,
+          ip,
+          headers: request.headers,
+          context: 'websocket',
+          threats: anomalies
+        }, messageOverrides);
+      } catch (error) {
+        decision = inspector.handleError(error, messageOverrides);
+      }
+
+      protectedSocket.aimless = {
+        threats: decision.threats,
+        blocked: decision.action === 'block'
+      };
+
+      if (decision.action !== 'block') {
+        return true;
+      }
+
+      if (action === 'close') {
+        close();
+      }
+
+      return false;
+    };
+
+    const upgraded = inspectUpgrade(request, options).then(upgrade => {
+      if (upgrade.action === 'skip') {
+        skipped = true;
+        return true;
+      }
+
+      protectedSocket.aimless = {
+        threats: upgrade.threats,
+        blocked: upgrade.action === 'block'
+      };
+
+      if (upgrade.action === 'block') {
+        close();
+        return false;
+      }
+
+      return true;
+    });
+
+    // Messages wait for the upgrade decision and the messages before them,
+    // so the application gets them in the order they arrived
+    let inspected: Promise<unknown> = upgraded;
+
+    // Intercept before any 'message' listener runs, so dropped messages never
+    // reach the application, whatever order the listeners were added in
+    const emit = socket.emit;
+    socket.emit = function (this: WebSocket, event: string | symbol, ...args: any[]) {
+      if (event !== 'message') {
+        return emit.call(this, event, ...args);
+      }
+
+      // Only the inspection is chained, a failed one fails open like any other
+      const allowed = inspected
+        .then(async () => !closed && (skipped || await inspectMessage(args[0], args[1])))
+        .catch(error => inspector.handleError(error, messageOverrides).action !== 'block');
+      inspected = allowed;
+
+      allowed.then(deliver => {
+        if (!deliver) return;
+
+        try {
+          emit.call(this, event, ...args);
+        } catch (error) {
+          // A throwing listener is an uncaught exception, as it is without Aimless
+          process.nextTick(() => { throw error; });
+        }
+      });
+
+      return this.listenerCount('message') > 0;
+    } as typeof socket.emit;
+
+    return upgraded;
+  };
+
+  return {
+    verifyClient: (info, callback) => {
+      inspectUpgrade(info.req).then(decision => {
+        if (decision.action === 'block') {
+          callback(false, decision.status || 403, decision.body?.message);
+        } else {
+          callback(true);
+        }
+      });
+    },
+
+    attach: (wss, options = {}) => {
+      wss.on('connection', (socket: WebSocket, request: IncomingMessage) => {
+        protect(socket, request, typeof options === 'function' ? options(request) : options);
+      });
+    },
+
+    protect
+  };
+}
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * ws 8 passes Buffers with an isBinary flag, ws 7 passes text frames as
+ * strings. Binary frames are text too when they decode as UTF-8: the same
+ * JSON sent as a binary frame reaches a handler that calls JSON.parse(data).
+ */
+function messageToText(data: RawData | string, isBinary?: boolean, skipBinary?: boolean): string | undefined {
+  if (typeof data === 'string') return data;
+
+  const buffer = Array.isArray(data) ? Buffer.concat(data) : data instanceof ArrayBuffer ? Buffer.from(data) : data;
+  if (isBinary === false) return buffer.toString('utf8');
+  if (skipBinary) return undefined;
+
+  try {
+    return utf8.decode(buffer);
+  } catch {
+    return undefined; // Images, protobuf and other binary payloads
+  }
+}
+
+/**
+ * JSON messages are inspected as objects, anything else as text
+ */
+function parseMessage(text: string): unknown {
+  const trimmed = text.trim();
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      // Not JSON after all
+    }
+  }
+
+  return text;
+}
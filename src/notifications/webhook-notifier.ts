@@ -129,7 +129,7 @@ export class WebhookNotifier {
           ...(payload.threats && payload.threats.length > 0 ? [{
             title: 'Threats',
             value: payload.threats.map(t => 
-              `• ${t.type} (${t.severity})`
+              `• ${t.type} (${t.severity})${t.metadata?.location ? ` in ${t.metadata.location}` : ''}`
             ).join('\n'),
             short: false
           }] : []),
@@ -177,7 +177,7 @@ export class WebhookNotifier {
           ...(payload.threats && payload.threats.length > 0 ? [{
             name: 'Threats',
             value: payload.threats.map(t => 
-              `• ${t.type} (${t.severity})`
+              `• ${t.type} (${t.severity})${t.metadata?.location ? ` in ${t.metadata.location}` : ''}`
             ).join('\n'),
             inline: false
           }] : []),
@@ -0,0 +1,9 @@
+/**
+ * Optional peer dependencies (framework packages, database drivers) are
+ * required when the adapter or guard that needs them runs, so the package
+ * loads without them installed.
+ */
+export function requirePeer<T = any>(name: string): T {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  return require(name);
+}
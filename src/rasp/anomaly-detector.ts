@@ -1,5 +1,21 @@
+import type { Hash } from 'crypto';
 import { ThreatType, SecurityThreat } from '../types';
 
+// Loaded on first use, edge runtimes have no Node crypto
+let createHash: ((algorithm: string) => Hash) | null | undefined;
+
+function getCreateHash(): ((algorithm: string) => Hash) | null {
+  if (createHash === undefined) {
+    try {
+      // eslint-disable-next-line @typescript-eslint/no-var-requires
+      createHash = require('crypto').createHash;
+    } catch {
+      createHash = null;
+    }
+  }
+  return createHash ?? null;
+}
+
 interface RequestProfile {
   ip: string;
   method: string;
@@ -158,25 +174,34 @@ export class AnomalyDetector {
     return threats;
   }
 
-  private checkRateLimit(ip: string, now: number): SecurityThreat | null {
-    let timestamps = this.rateLimitMap.get(ip) || [];
+  /**
+   * Sliding-window rate limit. The key is usually an IP, but can be anything
+   * (e.g. a socket id and event name)
+   */
+  checkRateLimit(
+    key: string,
+    now: number = Date.now(),
+    maxRequests: number = this.maxRequestsPerMinute,
+    windowMs: number = this.timeWindow
+  ): SecurityThreat | null {
+    let timestamps = this.rateLimitMap.get(key) || [];
     
     // Remove old timestamps
-    timestamps = timestamps.filter(t => now - t < this.timeWindow);
+    timestamps = timestamps.filter(t => now - t < windowMs);
     
     // Add current timestamp
     timestamps.push(now);
-    this.rateLimitMap.set(ip, timestamps);
+    this.rateLimitMap.set(key, timestamps);
 
     // Check if rate limit exceeded
-    if (timestamps.length > this.maxRequestsPerMinute) {
+    if (timestamps.length > maxRequests) {
       return {
         type: ThreatType.RATE_LIMIT_EXCEEDED,
         severity: 'medium',
-        description: `Rate limit exceeded: ${timestamps.length} requests in ${this.timeWindow}ms`,
+        description: `Rate limit exceeded: ${timestamps.length} requests in ${windowMs}ms`,
         timestamp: new Date(),
         blocked: true,
-        metadata: { ip, requestCount: timestamps.length }
+        metadata: { ip: key, requestCount: timestamps.length }
       };
     }
 
@@ -309,9 +334,26 @@ export class AnomalyDetector {
    * Generate fingerprint from IP and user agent
    */
   private generateFingerprint(ip: string, userAgent?: string): string {
-    const crypto = require('crypto');
     const data = `${ip}:${userAgent || 'unknown'}`;
-    return crypto.createHash('md5').update(data).digest('hex');
+
+    const hash = getCreateHash();
+    if (hash) {
+      return hash('md5').update(data).digest('hex');
+    }
+
+    // Edge runtimes without Node's crypto: two 32-bit lanes, so clients
+    // don't share anomaly and rate-limit history through a collision
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < data.length; i++) {
+      const code = data.charCodeAt(i);
+      h1 = Math.imul(h1 ^ code, 2654435761);
+      h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+
+    return (h2 >>> 0).toString(16).padStart(8, '0') + (h1 >>> 0).toString(16).padStart(8, '0');
   }
 
   /**
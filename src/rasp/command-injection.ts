@@ -0,0 +1,347 @@
+/**
+ * Command injection detection for input values, from the shell grammar
+ * instead of keywords. The value is read as a POSIX sh fragment (bare,
+ * after an opening `'` and after an opening `"`) and as a cmd.exe fragment
+ * (bare and after an opening `"`), and is only reported when it forms a
+ * command separator, pipe or command substitution that runs an executable,
+ * or a redirection that writes to a file path. "Cat food; find more (type B)"
+ * is text, "x; cat /etc/passwd" is a second command.
+ */
+
+import { ShellToken, tokenizeShell } from './shell-lexer';
+
+export type CommandShell = 'sh' | 'cmd';
+
+export type CommandInputContext = 'bare' | 'single-quote' | 'double-quote';
+
+export type CommandConstruct = 'separator' | 'pipe' | 'substitution' | 'redirection';
+
+export interface CommandInjectionMatch {
+  shell: CommandShell;
+  context: CommandInputContext;
+  construct: CommandConstruct; // The most confident construct found
+  operator: string;
+  executable: string; // The command that runs, or the redirection target
+  matchCount: number; // Constructs found in this reading of the value
+  confidence: number;
+}
+
+interface ShellItem {
+  operator?: string;
+  word?: string; // Unquoted literal text, up to the first expansion
+  dynamic?: boolean; // The word starts with a command substitution
+}
+
+interface Finding {
+  construct: CommandConstruct;
+  operator: string;
+  executable: string;
+  confidence: number;
+}
+
+// Programs that are hardly ever words in text
+const COMMANDS = new Set([
+  'whoami', 'uname', 'hostname', 'ifconfig', 'ipconfig', 'nslookup', 'wget', 'curl', 'ncat', 'netcat', 'socat',
+  'telnet', 'bash', 'sh', 'zsh', 'ksh', 'csh', 'tcsh', 'dash', 'busybox', 'powershell', 'pwsh', 'cmd', 'wmic',
+  'certutil', 'bitsadmin', 'systeminfo', 'tasklist', 'taskkill', 'rundll32', 'regsvr32', 'mshta', 'cscript',
+  'wscript', 'chmod', 'chown', 'rm', 'ls', 'nohup', 'xargs', 'base64', 'printenv', 'crontab', 'sudo', 'scp',
+  'tftp', 'getent', 'passwd', 'mkfifo', 'iex', 'invoke-expression'
+]);
+
+// Programs named like words ("cat food", "find more", "Java; Python 3"), only counted with shell-like arguments
+const WORD_COMMANDS = new Set([
+  'cat', 'id', 'echo', 'find', 'type', 'net', 'dir', 'ping', 'kill', 'more', 'sort', 'head', 'tail', 'less',
+  'date', 'time', 'set', 'copy', 'move', 'del', 'start', 'call', 'ps', 'top', 'df', 'du', 'mount', 'cd', 'pwd',
+  'touch', 'file', 'tar', 'zip', 'unzip', 'mail', 'exec', 'eval', 'source', 'export', 'ver', 'vol', 'print',
+  'sleep', 'timeout', 'env', 'su', 'reg', 'tee', 'nc', 'ssh', 'ftp', 'awk', 'sed', 'grep', 'dd',
+  'python', 'python2', 'python3', 'perl', 'php', 'ruby', 'node', 'lua'
+]);
+
+// Word-like programs whose arguments rarely look shell-like (`nc host 4444`,
+// `python3 exploit.py`), counted with any argument when written in lower case
+const ARGUMENT_COMMANDS = new Set(['nc', 'python', 'python2', 'python3', 'perl', 'php', 'ruby', 'node', 'lua']);
+
+// `net` only with one of its commands, "gross & net income" is text
+const NET_COMMANDS = new Set([
+  'user', 'localgroup', 'group', 'use', 'share', 'view', 'session', 'accounts', 'start', 'stop', 'config'
+]);
+
+// Separators and pipes that start a new command in each grammar, and
+// redirections that write a file (`<` only reads, and `</b>` is markup)
+const SH_SEPARATORS = new Set([';', '&&', '||', '&', '\n', '(']);
+const SH_PIPES = new Set(['|', '|&']);
+const SH_REDIRECTIONS = new Set(['>', '>>', '>|', '<>']);
+const CMD_SEPARATORS = new Set(['&', '&&', '||', '\n', '(']);
+const CMD_PIPES = new Set(['|']);
+const CMD_REDIRECTIONS = new Set(['>', '>>']);
+
+const BASE_CONFIDENCE: Record<CommandConstruct, number> = {
+  substitution: 90,
+  separator: 85,
+  pipe: 85,
+  redirection: 70
+};
+
+// Options, paths, expansions and addresses: what arguments look like on a
+// command line. The first argument decides alone, a lone number ends it like
+// `sleep 5`; later ones need a clear option or path (`nc host 4444 -e /bin/sh`)
+function hasShellArguments(args: ShellItem[]): boolean {
+  if (args.length === 0) return true; // Nothing after the command
+
+  const [first, ...rest] = args;
+  if (first.dynamic) return true;
+  const word = first.word || '';
+  if (/^\d+$/.test(word)) return rest.length === 0;
+  if (/^[-/~$]|[/\\]|^[a-z]:|^%\w+%|^\d+\.\d+\.\d+\.\d+/i.test(word)) return true;
+
+  return rest.some(arg => arg.dynamic || /^--?[a-z]|^\$|^%\w+%$|^\d+\.\d+\.\d+\.\d+/i.test(arg.word || '') || isFilePath(arg.word));
+}
+
+/**
+ * The words after the command at `start`, up to the next operator
+ */
+function commandArguments(items: ShellItem[], start: number): ShellItem[] {
+  const end = items.findIndex((item, index) => index >= start && item.operator !== undefined);
+  return items.slice(start, end === -1 ? items.length : end);
+}
+
+function isFilePath(word: string | undefined): boolean {
+  return word !== undefined && /^(?:\/|~\/|\.{1,2}\/|[a-z]:\\|\\\\)/i.test(word);
+}
+
+/**
+ * How sure it is that `item` is a program being run, given its arguments:
+ * 10 for an unambiguous program or path, 0 for a word-like program with
+ * shell-like arguments, null when it reads as text
+ */
+function executableScore(shell: CommandShell, item: ShellItem, args: ShellItem[]): number | null {
+  if (item.dynamic) return 10;
+
+  const written = (item.word || '').replace(/\.exe$/i, '');
+  const name = written.toLowerCase();
+  if (!name) return null;
+  if (/^(?:\/|\.{1,2}\/|~\/|[a-z]:\\)/.test(name) || /^%\w+%$/.test(name)) return 10;
+
+  const program = name.slice(name.lastIndexOf('/') + 1);
+  if (COMMANDS.has(program)) return 10;
+  // sh is case-sensitive, "Raleigh; NC 27601" runs nothing
+  if (shell === 'sh' && written !== name) return null;
+  if (!WORD_COMMANDS.has(program)) return null;
+  if (hasShellArguments(args)) return 0;
+
+  const argument = (args[0]?.word || '').toLowerCase();
+  if (written === name && args.length > 0 && (ARGUMENT_COMMANDS.has(program) || (program === 'net' && NET_COMMANDS.has(argument)))) {
+    return 0;
+  }
+  return null;
+}
+
+/**
+ * Commands the operators in `items` start, and files they redirect to
+ */
+function analyze(shell: CommandShell, items: ShellItem[], separators: Set<string>, pipes: Set<string>, redirections: Set<string>): Finding[] {
+  const findings: Finding[] = [];
+
+  items.forEach((item, index) => {
+    const operator = item.operator;
+    if (operator === undefined) return;
+
+    if (redirections.has(operator)) {
+      const target = items[index + 1]?.word;
+      if (isFilePath(target)) {
+        findings.push({ construct: 'redirection', operator, executable: target!, confidence: BASE_CONFIDENCE.redirection });
+      }
+      return;
+    }
+
+    const construct: CommandConstruct | null = separators.has(operator) ? 'separator' : pipes.has(operator) ? 'pipe' : null;
+    if (!construct) return;
+
+    // Skip grouping and VAR=value assignments in front of the command
+    let command = index + 1;
+    while (items[command] && (items[command].operator === '(' || /^[A-Za-z_][A-Za-z0-9_]*=/.test(items[command].word || '') || items[command].word === '{')) {
+      command++;
+    }
+
+    const candidate = items[command];
+    if (!candidate || candidate.operator !== undefined) return;
+
+    const score = executableScore(shell, candidate, commandArguments(items, command + 1));
+    if (score !== null) {
+      findings.push({ construct, operator, executable: candidate.word || '', confidence: BASE_CONFIDENCE[construct] + score });
+    }
+  });
+
+  return findings;
+}
+
+/**
+ * Words and operators of a POSIX sh fragment, from tokenizeShell, and the
+ * command substitutions in it
+ */
+function shellItems(source: string): { items: ShellItem[]; substitutions: string[] } {
+  const items: ShellItem[] = [];
+  const substitutions: string[] = [];
+  let current: ShellToken[] = [];
+
+  const endWord = () => {
+    if (current.length > 0) items.push(toItem(current));
+    current = [];
+  };
+
+  for (const token of tokenizeShell(source)) {
+    if (token.type === 'substitution') substitutions.push(token.value);
+    if (token.type === 'comment') continue;
+
+    if (token.type === 'operator') {
+      endWord();
+      items.push({ operator: token.value });
+      continue;
+    }
+
+    if (current.length > 0 && current[0].word !== token.word) endWord();
+    current.push(token);
+  }
+
+  endWord();
+  return { items, substitutions };
+}
+
+/**
+ * A word as the shell sees its command name: c''at, c\at and "ca"t are all
+ * cat, and an expansion (cat${IFS}/etc/passwd) ends the name
+ */
+function toItem(tokens: ShellToken[]): ShellItem {
+  if (tokens[0].type === 'substitution') return { word: tokens[0].value, dynamic: true };
+  if (tokens[0].type !== 'word') return { word: tokens[0].value };
+  return { word: unquote(tokens[0].value) };
+}
+
+function unquote(value: string): string {
+  return value.replace(/\\(.)/g, '$1').replace(/['"]/g, '');
+}
+
+/**
+ * The command a `$(...)` or backtick substitution runs
+ */
+function analyzeSubstitution(substitution: string): Finding | null {
+  const inner = substitution.startsWith('`') ? substitution.slice(1, -1) : substitution.slice(2, -1);
+  // $((1 + 2)) is arithmetic
+  if (inner.startsWith('(')) return null;
+
+  const { items } = shellItems(inner);
+  const first = items.findIndex(item => item.operator === undefined && !/^[A-Za-z_][A-Za-z0-9_]*=/.test(item.word || ''));
+  if (first === -1) return null;
+
+  const score = executableScore('sh', items[first], commandArguments(items, first + 1));
+  if (score === null) return null;
+
+  return {
+    construct: 'substitution',
+    operator: substitution.startsWith('`') ? '`' : '$(',
+    executable: items[first].word || '',
+    confidence: BASE_CONFIDENCE.substitution + score
+  };
+}
+
+/**
+ * Words and operators of a cmd.exe fragment: `^` escapes the next
+ * character, double quotes make operators literal
+ */
+function cmdItems(source: string): ShellItem[] {
+  const items: ShellItem[] = [];
+  let word: string | null = null;
+  let quoted = false;
+
+  const endWord = () => {
+    if (word !== null) items.push({ word });
+    word = null;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '^' && !quoted) {
+      i++;
+      if (i < source.length && source[i] !== '\n') word = (word || '') + source[i];
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = !quoted;
+      word = word || '';
+      continue;
+    }
+
+    if (!quoted) {
+      const operator = ['&&', '||', '>>', '&', '|', '>', '<', '(', ')', '\n'].find(op => source.startsWith(op, i));
+      if (operator) {
+        endWord();
+        items.push({ operator });
+        i += operator.length - 1;
+        continue;
+      }
+
+      if (/[\s,;=]/.test(char)) {
+        endWord();
+        continue;
+      }
+    }
+
+    word = (word || '') + char;
+  }
+
+  endWord();
+  return items;
+}
+
+function summarize(shell: CommandShell, context: CommandInputContext, findings: Finding[]): CommandInjectionMatch | null {
+  if (findings.length === 0) return null;
+
+  const best = findings.reduce((top, finding) => finding.confidence > top.confidence ? finding : top);
+  return {
+    shell,
+    context,
+    construct: best.construct,
+    operator: best.operator,
+    executable: best.executable,
+    matchCount: findings.length,
+    // Every further construct makes it less likely to be an accident
+    confidence: Math.min(100, best.confidence + (findings.length - 1) * 5)
+  };
+}
+
+/**
+ * Read `value` in every shell context it could have been written for and
+ * return the most confident match, or null when it doesn't run anything.
+ * Quote contexts are only tried when the value contains that quote.
+ */
+export function detectCommandInjection(value: string): CommandInjectionMatch | null {
+  const candidates: (CommandInjectionMatch | null)[] = [];
+
+  const shContexts: [CommandInputContext, string][] = [['bare', '']];
+  if (value.includes("'")) shContexts.push(['single-quote', "'"]);
+  if (value.includes('"')) shContexts.push(['double-quote', '"']);
+
+  for (const [context, quote] of shContexts) {
+    const { items, substitutions } = shellItems(quote + value);
+    const findings = analyze('sh', items, SH_SEPARATORS, SH_PIPES, SH_REDIRECTIONS);
+    for (const substitution of substitutions) {
+      const finding = analyzeSubstitution(substitution);
+      if (finding) findings.push(finding);
+    }
+    candidates.push(summarize('sh', context, findings));
+  }
+
+  const cmdContexts: [CommandInputContext, string][] = [['bare', '']];
+  if (value.includes('"')) cmdContexts.push(['double-quote', '"']);
+
+  for (const [context, quote] of cmdContexts) {
+    candidates.push(summarize('cmd', context, analyze('cmd', cmdItems(quote + value), CMD_SEPARATORS, CMD_PIPES, CMD_REDIRECTIONS)));
+  }
+
+  return candidates.reduce<CommandInjectionMatch | null>(
+    (best, match) => match && (!best || match.confidence > best.confidence) ? match : best,
+    null
+  );
+}
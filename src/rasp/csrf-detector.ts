@@ -1,5 +1,4 @@
 import { ThreatType, SecurityThreat } from '../types';
-import * as crypto from 'crypto';
 
 interface TokenData {
   token: string;
@@ -55,7 +54,7 @@ export class CSRFDetector {
    * Generate a cryptographically secure CSRF token
    */
   generateToken(sessionId: string, expiryMs?: number): string {
-    const token = crypto.randomBytes(32).toString('hex');
+    const token = this.randomHex(32);
     const expires = Date.now() + (expiryMs || this.defaultExpiry);
     const createdAt = Date.now();
     
@@ -95,14 +94,34 @@ export class CSRFDetector {
 
   /**
    * Timing-safe comparison to prevent timing attacks
+   * (plain JS so it also runs on edge runtimes without Buffer)
    */
   private timingSafeEqual(a: string, b: string): boolean {
     if (a.length !== b.length) return false;
-    
-    const bufA = Buffer.from(a);
-    const bufB = Buffer.from(b);
-    
-    return crypto.timingSafeEqual(bufA, bufB);
+
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+
+    return diff === 0;
+  }
+
+  /**
+   * Random hex string from Web Crypto, falling back to Node's crypto module
+   * on Node versions without a global `crypto`
+   */
+  private randomHex(bytes: number): string {
+    let values: Uint8Array;
+
+    if (typeof globalThis.crypto?.getRandomValues === 'function') {
+      values = globalThis.crypto.getRandomValues(new Uint8Array(bytes));
+    } else {
+      // eslint-disable-next-line @typescript-eslint/no-var-requires
+      values = require('crypto').randomBytes(bytes);
+    }
+
+    return Array.from(values, byte => byte.toString(16).padStart(2, '0')).join('');
   }
 
   /**
@@ -0,0 +1,162 @@
+/**
+ * Detectors registered by the application (business rules, calls to an
+ * internal fraud service...). They run after the built-in detectors, in
+ * order, and their threats are reported like the built-in ones.
+ */
+
+import { CustomDetector, DetectorContext, InspectionTarget, SecurityThreat } from '../types';
+import { INSPECTION_TARGETS, parseCookies } from './inspection-targets';
+import { Logger } from '../logger';
+
+export interface DetectorRequest {
+  method: string;
+  path: string;
+  ip?: string;
+  query?: any;
+  body?: any;
+  headers?: Record<string, string | string[] | undefined>;
+  params?: Record<string, unknown>;
+}
+
+// Asynchronous detectors already reported as skipped by a synchronous analysis
+const warnedAsync = new WeakSet<CustomDetector>();
+
+/**
+ * Add `detector` to `detectors`, rejecting unnamed detectors and name clashes
+ */
+export function addDetector(detectors: CustomDetector[], detector: CustomDetector): void {
+  if (!detector?.name || typeof detector.detect !== 'function') {
+    throw new Error('A custom detector needs a name and a detect() function');
+  }
+  if (detectors.some(existing => existing.name === detector.name)) {
+    throw new Error(`Detector ${detector.name} is already registered`);
+  }
+
+  detectors.push(detector);
+}
+
+/**
+ * `detectors` in the order they run: by `order`, then as registered
+ */
+export function orderDetectors(detectors: CustomDetector[] = []): CustomDetector[] {
+  return [...detectors].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
+
+/**
+ * The context `detector` is called with for an HTTP request
+ */
+export function requestContext(detector: CustomDetector, request: DetectorRequest): DetectorContext {
+  const targets = new Set<InspectionTarget>(detector.targets || INSPECTION_TARGETS);
+  const context: DetectorContext = { method: request.method, path: request.path, ip: request.ip };
+
+  if (targets.has('query')) context.query = request.query;
+  if (targets.has('body')) context.body = request.body;
+  if (targets.has('headers')) context.headers = request.headers;
+  if (targets.has('params')) context.params = request.params;
+
+  if (targets.has('cookies')) {
+    const cookie = request.headers?.['cookie'] ?? request.headers?.['Cookie'];
+    context.cookies = cookie ? parseCookies(Array.isArray(cookie) ? cookie.join('; ') : cookie) : {};
+  }
+
+  return context;
+}
+
+/**
+ * The context `detector` is called with for a payload, or null when it does
+ * not target the body the payload stands in for
+ */
+export function payloadContext(
+  detector: CustomDetector,
+  payload: unknown,
+  context: string,
+  request?: { method: string; path: string }
+): DetectorContext | null {
+  if (detector.targets && !detector.targets.includes('body')) return null;
+  return { method: request?.method ?? '', path: request?.path ?? '', body: payload, context };
+}
+
+function tagThreats(detector: CustomDetector, threats: SecurityThreat[]): SecurityThreat[] {
+  if (!Array.isArray(threats)) return [];
+  return threats.map(threat => ({ ...threat, metadata: { ...threat.metadata, detector: detector.name } }));
+}
+
+function isPromise(value: unknown): value is Promise<SecurityThreat[]> {
+  return typeof (value as Promise<unknown> | undefined)?.then === 'function';
+}
+
+/**
+ * Whether `detector` is asynchronous, known without calling it
+ */
+function isAsyncDetector(detector: CustomDetector): boolean {
+  return detector.async === true || detector.detect.constructor?.name === 'AsyncFunction';
+}
+
+function warnSkipped(detector: CustomDetector, logger: Logger, message: string): void {
+  if (warnedAsync.has(detector)) return;
+  warnedAsync.add(detector);
+  logger.warn(`Custom detector ${detector.name} ${message}`);
+}
+
+/**
+ * Run the synchronous detectors. Asynchronous ones are skipped, without
+ * being called, with a warning: only the async analysis waits for them.
+ */
+export function runDetectors(
+  detectors: CustomDetector[],
+  contextFor: (detector: CustomDetector) => DetectorContext | null,
+  logger: Logger
+): SecurityThreat[] {
+  const threats: SecurityThreat[] = [];
+
+  for (const detector of orderDetectors(detectors)) {
+    try {
+      if (isAsyncDetector(detector)) {
+        warnSkipped(detector, logger, 'is asynchronous and was skipped, it only runs with async inspection');
+        continue;
+      }
+
+      const context = contextFor(detector);
+      if (!context) continue;
+
+      const result = detector.detect(context);
+      if (isPromise(result)) {
+        // Nobody awaits it, don't let a rejection go unhandled
+        result.catch(error => logger.error(`Custom detector ${detector.name} failed:`, error));
+        warnSkipped(detector, logger, 'returned a promise and its result was dropped, set `async: true` so synchronous analysis skips it');
+        continue;
+      }
+
+      threats.push(...tagThreats(detector, result));
+    } catch (error) {
+      // Fail open, like every other detector
+      logger.error(`Custom detector ${detector.name} failed:`, error);
+    }
+  }
+
+  return threats;
+}
+
+/**
+ * Run every detector, one after the other, waiting for the asynchronous ones
+ */
+export async function runDetectorsAsync(
+  detectors: CustomDetector[],
+  contextFor: (detector: CustomDetector) => DetectorContext | null,
+  logger: Logger
+): Promise<SecurityThreat[]> {
+  const threats: SecurityThreat[] = [];
+
+  for (const detector of orderDetectors(detectors)) {
+    try {
+      const context = contextFor(detector);
+      if (!context) continue;
+
+      threats.push(...tagThreats(detector, await detector.detect(context)));
+    } catch (error) {
+      logger.error(`Custom detector ${detector.name} failed:`, error);
+    }
+  }
+
+  return threats;
+}
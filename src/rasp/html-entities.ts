@@ -0,0 +1,68 @@
+/**
+ * Character reference decoding for the HTML tokenizer and the input
+ * normalization pipeline, with the full HTML5 named reference table.
+ */
+
+import { NAMED_ENTITY_DATA } from './html-entity-data';
+
+export const NAMED_ENTITIES: ReadonlyMap<string, string> = new Map(
+  NAMED_ENTITY_DATA.split(' ').map((entry): [string, string] => {
+    const [name, codes] = entry.split(':');
+    return [name, String.fromCodePoint(...codes.split(',').map(code => parseInt(code, 16)))];
+  })
+);
+
+// Entities browsers also decode without the semicolon (&ltscript, &copy2024)
+export const LEGACY_ENTITIES: ReadonlySet<string> = new Set([
+  'nbsp', 'iexcl', 'cent', 'pound', 'curren', 'yen', 'brvbar', 'sect', 'uml', 'copy', 'ordf', 'laquo', 'not',
+  'shy', 'reg', 'macr', 'deg', 'plusmn', 'sup2', 'sup3', 'acute', 'micro', 'para', 'middot', 'cedil', 'sup1',
+  'ordm', 'raquo', 'frac14', 'frac12', 'frac34', 'iquest', 'Agrave', 'Aacute', 'Acirc', 'Atilde', 'Auml',
+  'Aring', 'AElig', 'Ccedil', 'Egrave', 'Eacute', 'Ecirc', 'Euml', 'Igrave', 'Iacute', 'Icirc', 'Iuml', 'ETH',
+  'Ntilde', 'Ograve', 'Oacute', 'Ocirc', 'Otilde', 'Ouml', 'times', 'Oslash', 'Ugrave', 'Uacute', 'Ucirc',
+  'Uuml', 'Yacute', 'THORN', 'szlig', 'agrave', 'aacute', 'acirc', 'atilde', 'auml', 'aring', 'aelig',
+  'ccedil', 'egrave', 'eacute', 'ecirc', 'euml', 'igrave', 'iacute', 'icirc', 'iuml', 'eth', 'ntilde',
+  'ograve', 'oacute', 'ocirc', 'otilde', 'ouml', 'divide', 'oslash', 'ugrave', 'uacute', 'ucirc', 'uuml',
+  'yacute', 'thorn', 'yuml', 'quot', 'amp', 'lt', 'gt', 'QUOT', 'AMP', 'LT', 'GT', 'COPY', 'REG'
+]);
+
+// &#128; to &#159; mean the windows-1252 character, not the C1 control
+const WINDOWS_1252: Record<number, number> = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x0192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+  0x88: 0x02c6, 0x89: 0x2030, 0x8a: 0x0160, 0x8b: 0x2039, 0x8c: 0x0152, 0x8e: 0x017d, 0x91: 0x2018,
+  0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02dc,
+  0x99: 0x2122, 0x9a: 0x0161, 0x9b: 0x203a, 0x9c: 0x0153, 0x9e: 0x017e, 0x9f: 0x0178
+};
+
+function numericReference(code: number): string {
+  if (code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return '\uFFFD';
+  return String.fromCodePoint(WINDOWS_1252[code] ?? code);
+}
+
+/**
+ * Decode character references the way the HTML5 tokenizer does: numeric
+ * references with or without `;`, named references from NAMED_ENTITIES,
+ * and legacy names without `;` except, inside attribute values, right
+ * before `=` or an alphanumeric (`?a=1&copy=2` keeps `&copy`)
+ */
+export function decodeCharacterReferences(text: string, inAttribute = false): string {
+  if (!text.includes('&')) return text;
+
+  return text.replace(/&(?:#[xX]([0-9a-fA-F]+);?|#([0-9]+);?|([A-Za-z][A-Za-z0-9]*)(;?))/g, (match, hex, decimal, name, semicolon, offset) => {
+    if (hex !== undefined) return numericReference(parseInt(hex, 16));
+    if (decimal !== undefined) return numericReference(parseInt(decimal, 10));
+
+    if (semicolon && NAMED_ENTITIES.has(name)) return NAMED_ENTITIES.get(name)!;
+
+    // Longest legacy name at the start: &notit; is ¬it;
+    for (let length = Math.min(name.length, 6); length >= 2; length--) {
+      const prefix = name.slice(0, length);
+      if (!LEGACY_ENTITIES.has(prefix)) continue;
+
+      const following = length < name.length ? name[length] : text[offset + match.length] ?? '';
+      if (inAttribute && /[=A-Za-z0-9]/.test(following)) return match;
+      return NAMED_ENTITIES.get(prefix)! + name.slice(length) + semicolon;
+    }
+
+    return match;
+  });
+}
@@ -0,0 +1,240 @@
+/**
+ * HTML tokenizer following the HTML5 tokenization rules that decide where
+ * tags and attributes start and end: `/` between attributes, attributes
+ * without whitespace after a quoted value, `=` starting an attribute name,
+ * bogus comments, raw text elements (script, style, textarea...) and
+ * character references in attribute values. It doesn't build a tree; the
+ * only tree state it keeps is whether it is inside `<svg>` or `<math>`,
+ * where style and script content is markup and CDATA sections exist.
+ *
+ * Unlike a browser, a tag cut off by the end of the input is still
+ * emitted: input is usually a fragment the page continues after.
+ */
+
+import { decodeCharacterReferences } from './html-entities';
+
+export type HTMLTokenType = 'text' | 'startTag' | 'endTag' | 'comment';
+
+export interface HTMLAttribute {
+  name: string; // Lower-cased
+  value: string; // Character references decoded
+  start: number;
+  end: number; // Exclusive
+}
+
+export interface HTMLToken {
+  type: HTMLTokenType;
+  name: string; // Lower-cased tag name, empty for text and comments
+  attributes: HTMLAttribute[];
+  selfClosing: boolean;
+  text: string; // Raw content of text and comment tokens
+  start: number;
+  end: number; // Exclusive
+}
+
+// Elements whose content is text up to the matching end tag
+const RAW_TEXT = new Set(['script', 'style', 'xmp', 'iframe', 'noembed', 'noframes', 'noscript', 'textarea', 'title']);
+
+// HTML elements that end <svg> and <math> content when they appear inside it
+const BREAKOUT = new Set([
+  'b', 'big', 'blockquote', 'body', 'br', 'center', 'code', 'dd', 'div', 'dl', 'dt', 'em', 'embed', 'h1', 'h2',
+  'h3', 'h4', 'h5', 'h6', 'head', 'hr', 'i', 'img', 'li', 'listing', 'menu', 'meta', 'nobr', 'ol', 'p', 'pre',
+  'ruby', 's', 'small', 'span', 'strong', 'strike', 'sub', 'sup', 'table', 'tt', 'u', 'ul', 'var'
+]);
+
+const WHITESPACE = /[\t\n\f ]/;
+
+export function tokenizeHTML(input: string): HTMLToken[] {
+  // The input stream preprocessing: newlines normalized, NULs replaced
+  const html = input.replace(/\r\n?/g, '\n').replace(/\0/g, '\uFFFD');
+  const length = html.length;
+  const tokens: HTMLToken[] = [];
+  let textStart = 0;
+  let foreign = 0;
+  let i = 0;
+
+  const push = (type: HTMLTokenType, start: number, end: number, fields: Partial<HTMLToken> = {}) => {
+    tokens.push({ type, name: '', attributes: [], selfClosing: false, text: '', start, end, ...fields });
+  };
+
+  const flushText = (end: number) => {
+    if (end > textStart) push('text', textStart, end, { text: html.slice(textStart, end) });
+  };
+
+  // Comments and bogus comments run to `close`, or the end of the input
+  const comment = (start: number, contentStart: number, close: RegExp) => {
+    const found = close.exec(html.slice(contentStart));
+    const contentEnd = found ? contentStart + found.index : length;
+    const end = found ? contentEnd + found[0].length : length;
+    push('comment', start, end, { text: html.slice(contentStart, contentEnd) });
+    return end;
+  };
+
+  while (i < length) {
+    if (html[i] !== '<') {
+      i++;
+      continue;
+    }
+
+    const next = html[i + 1] || '';
+    const start = i;
+
+    if (/[A-Za-z]/.test(next) || (next === '/' && /[A-Za-z]/.test(html[i + 2] || ''))) {
+      flushText(start);
+      const tag = readTag(html, i);
+      tokens.push(tag);
+      i = textStart = tag.end;
+
+      if (tag.type === 'startTag' && (tag.name === 'svg' || tag.name === 'math') && !tag.selfClosing) foreign++;
+      else if (tag.type === 'endTag' && (tag.name === 'svg' || tag.name === 'math') && foreign > 0) foreign--;
+      else if (tag.type === 'startTag' && BREAKOUT.has(tag.name)) foreign = 0;
+
+      if (tag.type === 'startTag' && foreign === 0 && (RAW_TEXT.has(tag.name) || tag.name === 'plaintext')) {
+        const close = tag.name === 'plaintext' ? -1 : findRawTextEnd(html, i, tag.name);
+        const end = close === -1 ? length : close;
+        if (end > i) push('text', i, end, { text: html.slice(i, end) });
+        i = textStart = end;
+      }
+      continue;
+    }
+
+    if (next === '!' && html.startsWith('<!--', i)) {
+      flushText(start);
+      // <!--> and <!---> close right away
+      if (html.startsWith('<!-->', i) || html.startsWith('<!--->', i)) {
+        i = textStart = i + (html.startsWith('<!-->', i) ? 5 : 6);
+        push('comment', start, i);
+        continue;
+      }
+      i = textStart = comment(start, i + 4, /--!?>/);
+      continue;
+    }
+
+    if (next === '!' && foreign > 0 && html.startsWith('<![CDATA[', i)) {
+      flushText(start);
+      const close = html.indexOf(']]>', i + 9);
+      const end = close === -1 ? length : close + 3;
+      push('text', start, end, { text: html.slice(i + 9, close === -1 ? length : close) });
+      i = textStart = end;
+      continue;
+    }
+
+    if (next === '!' || next === '?' || (next === '/' && html[i + 2] !== '>' && i + 2 < length)) {
+      flushText(start);
+      // <!DOCTYPE>, <?xml ?> and </ 1> are bogus comments
+      i = textStart = comment(start, i + (next === '?' ? 1 : 2), />/);
+      continue;
+    }
+
+    if (next === '/' && html[i + 2] === '>') {
+      // </> is dropped
+      flushText(start);
+      i = textStart = i + 3;
+      continue;
+    }
+
+    i++;
+  }
+
+  flushText(length);
+  return tokens;
+}
+
+/**
+ * Where the text of a raw text element ends: the first `</name` followed by
+ * whitespace, `/` or `>`
+ */
+function findRawTextEnd(html: string, from: number, name: string): number {
+  const lower = html.toLowerCase();
+  let i = from;
+
+  while ((i = lower.indexOf('</' + name, i)) !== -1) {
+    const after = html[i + 2 + name.length];
+    if (after === undefined || after === '/' || after === '>' || WHITESPACE.test(after)) return i;
+    i += 2;
+  }
+
+  return -1;
+}
+
+function readTag(html: string, start: number): HTMLToken {
+  const length = html.length;
+  const endTag = html[start + 1] === '/';
+  let i = start + (endTag ? 2 : 1);
+
+  let name = '';
+  while (i < length && !WHITESPACE.test(html[i]) && html[i] !== '/' && html[i] !== '>') {
+    name += html[i].toLowerCase();
+    i++;
+  }
+
+  const attributes: HTMLAttribute[] = [];
+  let selfClosing = false;
+
+  while (i < length) {
+    const char = html[i];
+
+    if (WHITESPACE.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '>') {
+      i++;
+      break;
+    }
+
+    if (char === '/') {
+      // A `/` not followed by `>` is skipped like whitespace: <svg/onload=...>
+      if (html[i + 1] === '>') {
+        selfClosing = true;
+        i += 2;
+        break;
+      }
+      i++;
+      continue;
+    }
+
+    // An attribute name may start with `=`, and takes quotes and `<` along
+    const attributeStart = i;
+    let attributeName = char === '=' ? '=' : '';
+    if (char === '=') i++;
+    while (i < length && !WHITESPACE.test(html[i]) && html[i] !== '/' && html[i] !== '>' && html[i] !== '=') {
+      attributeName += html[i].toLowerCase();
+      i++;
+    }
+
+    let j = i;
+    while (j < length && WHITESPACE.test(html[j])) j++;
+
+    let value = '';
+    if (html[j] === '=') {
+      j++;
+      while (j < length && WHITESPACE.test(html[j])) j++;
+
+      const quote = html[j];
+      if (quote === '"' || quote === "'") {
+        const close = html.indexOf(quote, j + 1);
+        value = html.slice(j + 1, close === -1 ? length : close);
+        j = close === -1 ? length : close + 1;
+      } else if (quote !== '>') {
+        const valueStart = j;
+        while (j < length && !WHITESPACE.test(html[j]) && html[j] !== '>') j++;
+        value = html.slice(valueStart, j);
+      }
+      i = j;
+    }
+
+    attributes.push({ name: attributeName, value: decodeCharacterReferences(value, true), start: attributeStart, end: i });
+  }
+
+  return {
+    type: endTag ? 'endTag' : 'startTag',
+    name,
+    attributes,
+    selfClosing,
+    text: '',
+    start,
+    end: i
+  };
+}
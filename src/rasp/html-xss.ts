@@ -0,0 +1,223 @@
+/**
+ * XSS detection for input values from the HTML5 tokenizer instead of
+ * keywords. The value is tokenized where it could have been written: as
+ * HTML text, inside a double-quoted, single-quoted or unquoted attribute
+ * value, and as a whole URL attribute. It is only reported when the markup
+ * it forms has an executable context: a script element, an event handler
+ * attribute, a `javascript:` or HTML `data:` URL in an attribute browsers
+ * load or navigate to, an iframe `srcdoc` with any of these inside, or a
+ * CSS `expression()`. "<b>hi</b>" is markup, "<svg/onload=alert(1)>" runs.
+ */
+
+import { decodeCharacterReferences } from './html-entities';
+import { HTMLAttribute, HTMLToken, tokenizeHTML } from './html-tokenizer';
+
+export type HTMLInputContext = 'html' | 'double-quoted-attribute' | 'single-quoted-attribute' | 'unquoted-attribute' | 'url';
+
+export type XSSReason = 'script-element' | 'event-handler' | 'javascript-url' | 'data-url' | 'srcdoc' | 'css-expression';
+
+export interface ExecutableContext {
+  tag: string;
+  attribute: string; // Empty for script elements and <style> text
+  reason: XSSReason;
+  value: string; // The decoded attribute value, or the element text
+  start: number; // Offset of the tag in the tokenized source
+  confidence: number;
+}
+
+export interface XSSMatch {
+  context: HTMLInputContext;
+  tag: string; // Empty for the tag an attribute context value is written into, and for URL values
+  attribute: string;
+  reason: XSSReason;
+  matchCount: number; // Executable contexts found in this reading of the value
+  confidence: number;
+}
+
+const BASE_CONFIDENCE: Record<XSSReason, number> = {
+  'script-element': 100,
+  'event-handler': 95,
+  'javascript-url': 95,
+  srcdoc: 95,
+  'data-url': 90,
+  'css-expression': 90
+};
+
+// Event handler content attributes, so "online" or "one" isn't one
+const EVENT_HANDLERS = new Set([
+  'onabort', 'onafterprint', 'onanimationcancel', 'onanimationend', 'onanimationiteration', 'onanimationstart',
+  'onauxclick', 'onbeforecopy', 'onbeforecut', 'onbeforeinput', 'onbeforepaste', 'onbeforeprint',
+  'onbeforetoggle', 'onbeforeunload', 'onbegin', 'onblur', 'oncancel', 'oncanplay', 'oncanplaythrough',
+  'onchange', 'onclick', 'onclose', 'oncontentvisibilityautostatechange', 'oncontextlost', 'oncontextmenu',
+  'oncontextrestored', 'oncopy', 'oncuechange', 'oncut', 'ondblclick', 'ondrag', 'ondragend', 'ondragenter',
+  'ondragexit', 'ondragleave', 'ondragover', 'ondragstart', 'ondrop', 'ondurationchange', 'onemptied', 'onend',
+  'onended', 'onerror', 'onfocus', 'onfocusin', 'onfocusout', 'onformdata', 'onfullscreenchange',
+  'onfullscreenerror', 'ongotpointercapture', 'onhashchange', 'oninput', 'oninvalid', 'onkeydown',
+  'onkeypress', 'onkeyup', 'onlanguagechange', 'onload', 'onloadeddata', 'onloadedmetadata', 'onloadend',
+  'onloadstart', 'onlostpointercapture', 'onmessage', 'onmessageerror', 'onmousedown', 'onmouseenter',
+  'onmouseleave', 'onmousemove', 'onmouseout', 'onmouseover', 'onmouseup', 'onmousewheel', 'onoffline',
+  'ononline', 'onpagehide', 'onpagereveal', 'onpageshow', 'onpageswap', 'onpaste', 'onpause', 'onplay',
+  'onplaying', 'onpointercancel', 'onpointerdown', 'onpointerenter', 'onpointerleave', 'onpointermove',
+  'onpointerout', 'onpointerover', 'onpointerrawupdate', 'onpointerup', 'onpopstate', 'onprogress',
+  'onratechange', 'onrejectionhandled', 'onrepeat', 'onreset', 'onresize', 'onscroll', 'onscrollend',
+  'onsearch', 'onsecuritypolicyviolation', 'onseeked', 'onseeking', 'onselect', 'onselectionchange',
+  'onselectstart', 'onshow', 'onslotchange', 'onstalled', 'onstorage', 'onsubmit', 'onsuspend',
+  'ontimeupdate', 'ontoggle', 'ontouchcancel', 'ontouchend', 'ontouchmove', 'ontouchstart',
+  'ontransitioncancel', 'ontransitionend', 'ontransitionrun', 'ontransitionstart', 'onunhandledrejection',
+  'onunload', 'onvolumechange', 'onwaiting', 'onwebkitanimationend', 'onwebkitanimationiteration',
+  'onwebkitanimationstart', 'onwebkittransitionend', 'onwheel'
+]);
+
+// Attributes holding a URL that is loaded, navigated to or submitted to
+const URL_ATTRIBUTES = new Set([
+  'href', 'src', 'action', 'formaction', 'data', 'xlink:href', 'poster', 'background', 'lowsrc', 'dynsrc',
+  'codebase', 'cite', 'longdesc'
+]);
+
+// SVG animation attributes that can set an href to a URL
+const ANIMATION_TAGS = new Set(['animate', 'set']);
+const ANIMATION_ATTRIBUTES = new Set(['to', 'from', 'values']);
+
+// data: URLs that render as a document or run as a script
+const EXECUTABLE_DATA = /^data:\s*(?:text\/html|application\/xhtml\+xml|image\/svg\+xml|text\/xml|application\/xml|text\/javascript|application\/(?:x-)?javascript)/;
+
+/**
+ * The scheme a browser reads from a URL attribute value: leading and
+ * trailing controls and spaces are stripped, tabs and newlines removed
+ * anywhere (`jav&#x09;ascript:` is javascript:)
+ */
+function urlReason(url: string, tag: string): XSSReason | null {
+  // eslint-disable-next-line no-control-regex
+  const normalized = url.replace(/^[\x00-\x20]+|[\x00-\x20]+$/g, '').replace(/[\t\n\r]/g, '').toLowerCase();
+  if (normalized.startsWith('javascript:') || normalized.startsWith('vbscript:')) return 'javascript-url';
+  if (normalized.startsWith('data:') && (tag === 'script' || EXECUTABLE_DATA.test(normalized))) return 'data-url';
+  return null;
+}
+
+/**
+ * CSS the way the CSS tokenizer reads it: escapes decoded (`\65 xpression`
+ * is expression) and comments removed (`exp/**\/ression`)
+ */
+function cssReason(css: string): XSSReason | null {
+  const decoded = css
+    .replace(/\\([0-9a-fA-F]{1,6})[ \t\n\f]?/g, (_, hex) => {
+      const code = parseInt(hex, 16);
+      return code === 0 || code > 0x10ffff ? '\uFFFD' : String.fromCodePoint(code);
+    })
+    .replace(/\\(.)/g, '$1')
+    .replace(/\/\*[\s\S]*?(?:\*\/|$)/g, '');
+
+  if (/expression\s*\(/i.test(decoded)) return 'css-expression';
+  if (/url\s*\(\s*['"]?\s*(?:javascript|vbscript):/i.test(decoded)) return 'javascript-url';
+  return null;
+}
+
+function attributeReason(tag: string, attribute: HTMLAttribute, tagAttributes: HTMLAttribute[]): XSSReason | null {
+  const { name, value } = attribute;
+
+  // <img onerror> with no value runs nothing
+  if (EVENT_HANDLERS.has(name)) return value.trim() ? 'event-handler' : null;
+
+  if (URL_ATTRIBUTES.has(name) || (ANIMATION_TAGS.has(tag) && ANIMATION_ATTRIBUTES.has(name))) {
+    return urlReason(value, tag);
+  }
+
+  // Only iframes read srcdoc, but the tag an attribute value lands in is unknown
+  if (name === 'srcdoc') {
+    return findExecutableContexts(value).length > 0 ? 'srcdoc' : null;
+  }
+
+  if (name === 'style') return cssReason(value);
+
+  // <meta http-equiv="refresh" content="0;url=javascript:...">
+  if (name === 'content' && tag === 'meta' &&
+    tagAttributes.some(other => other.name === 'http-equiv' && other.value.trim().toLowerCase() === 'refresh')) {
+    const url = /^\s*\d*\s*[;,]?\s*(?:url\s*=\s*)?['"]?(.*)$/is.exec(value);
+    return url ? urlReason(url[1], tag) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Every place in `html` a browser would run script from, in document order
+ */
+export function findExecutableContexts(html: string): ExecutableContext[] {
+  const contexts: ExecutableContext[] = [];
+  const tokens = tokenizeHTML(html);
+
+  tokens.forEach((token: HTMLToken, index: number) => {
+    if (token.type === 'startTag') {
+      if (token.name === 'script') {
+        const text = tokens[index + 1]?.type === 'text' ? tokens[index + 1].text : '';
+        contexts.push({ tag: 'script', attribute: '', reason: 'script-element', value: text, start: token.start, confidence: BASE_CONFIDENCE['script-element'] });
+      }
+
+      for (const attribute of token.attributes) {
+        const reason = attributeReason(token.name, attribute, token.attributes);
+        if (reason) {
+          contexts.push({ tag: token.name, attribute: attribute.name, reason, value: attribute.value, start: token.start, confidence: BASE_CONFIDENCE[reason] });
+        }
+      }
+      return;
+    }
+
+    // <style> text, tokenized as raw text right after the start tag
+    const previous = tokens[index - 1];
+    if (token.type === 'text' && previous?.type === 'startTag' && previous.name === 'style') {
+      const reason = cssReason(token.text);
+      if (reason) {
+        contexts.push({ tag: 'style', attribute: '', reason, value: token.text, start: token.start, confidence: BASE_CONFIDENCE[reason] });
+      }
+    }
+  });
+
+  return contexts;
+}
+
+function summarize(context: HTMLInputContext, found: ExecutableContext[]): XSSMatch | null {
+  if (found.length === 0) return null;
+
+  const best = found.reduce((top, item) => item.confidence > top.confidence ? item : top);
+  return {
+    context,
+    tag: best.tag,
+    attribute: best.attribute,
+    reason: best.reason,
+    matchCount: found.length,
+    // Every further executable context makes it less likely to be an accident
+    confidence: Math.min(100, best.confidence + (found.length - 1) * 5)
+  };
+}
+
+/**
+ * Read `value` in every HTML context it could have been written for and
+ * return the most confident match, or null when it doesn't run anything.
+ * Attribute contexts are only tried when the value can leave them: it
+ * contains the closing quote, or whitespace for an unquoted value.
+ */
+export function detectXSS(value: string): XSSMatch | null {
+  const candidates: (XSSMatch | null)[] = [summarize('html', findExecutableContexts(value))];
+
+  const attributeContexts: [HTMLInputContext, string][] = [];
+  if (value.includes('"')) attributeContexts.push(['double-quoted-attribute', '<x a="']);
+  if (value.includes("'")) attributeContexts.push(['single-quoted-attribute', "<x a='"]);
+  if (/[\t\n\f ]/.test(value)) attributeContexts.push(['unquoted-attribute', '<x a=']);
+
+  for (const [context, prefix] of attributeContexts) {
+    // Attributes added to the tag the value was written into have no known tag name
+    const found = findExecutableContexts(prefix + value).map(item => item.start === 0 ? { ...item, tag: '' } : item);
+    candidates.push(summarize(context, found));
+  }
+
+  // The whole value as a link or image URL
+  const reason = urlReason(decodeCharacterReferences(value, true), '');
+  if (reason) {
+    candidates.push({ context: 'url', tag: '', attribute: '', reason, matchCount: 1, confidence: BASE_CONFIDENCE[reason] });
+  }
+
+  return candidates.reduce<XSSMatch | null>(
+    (best, match) => match && (!best || match.confidence > best.confidence) ? match : best,
+    null
+  );
+}
@@ -1,11 +1,19 @@
-import { RASPConfig, SecurityThreat } from '../types';
+import { CustomDetector, RASPConfig, RuleExclusion, SecurityThreat } from '../types';
 import { InjectionDetector } from './injection-detector';
 import { XSSDetector } from './xss-detector';
 import { CSRFDetector } from './csrf-detector';
 import { AnomalyDetector } from './anomaly-detector';
 import { AdvancedThreatDetector } from './advanced-detector';
+import { collectInspectedValues, HEADER_THREAT_TYPES, INSPECTION_TARGETS } from './inspection-targets';
+import { addDetector, DetectorRequest, payloadContext, requestContext, runDetectors, runDetectorsAsync } from './custom-detectors';
+import { PersistedQueryAllowlist } from '../graphql/persisted-queries';
 import { Logger } from '../logger';
 
+// Point threats at the request part or field they were found in
+function withLocation(threats: SecurityThreat[], location: string): SecurityThreat[] {
+  return threats.map(threat => ({ ...threat, metadata: { ...threat.metadata, location } }));
+}
+
 export class RASP {
   private config: RASPConfig;
   private injectionDetector: InjectionDetector;
@@ -13,6 +21,7 @@ export class RASP {
   private csrfDetector: CSRFDetector;
   private anomalyDetector: AnomalyDetector;
   private advancedDetector: AdvancedThreatDetector;
+  private persistedQueries?: PersistedQueryAllowlist;
   private logger: Logger;
 
   constructor(config: RASPConfig = {}, logger: Logger) {
@@ -45,57 +54,121 @@ export class RASP {
     };
 
     this.logger = logger;
-    this.injectionDetector = new InjectionDetector();
-    this.xssDetector = new XSSDetector();
+    this.injectionDetector = new InjectionDetector(this.config.normalization);
+    this.xssDetector = new XSSDetector(this.config.normalization);
     this.csrfDetector = new CSRFDetector(this.config.trustedOrigins);
     this.anomalyDetector = new AnomalyDetector();
-    this.advancedDetector = new AdvancedThreatDetector();
+    this.advancedDetector = new AdvancedThreatDetector(this.config.normalization);
+
+    const persistedQueries = this.config.graphql?.persistedQueries;
+    if (persistedQueries?.enabled) {
+      try {
+        this.persistedQueries = PersistedQueryAllowlist.fromFile(persistedQueries.manifest);
+        this.logger.info(`Loaded ${this.persistedQueries.size} persisted GraphQL operations`);
+      } catch (error) {
+        // Fail open, like every other detector
+        this.logger.error(`Failed to load persisted-query manifest ${persistedQueries.manifest}:`, error);
+      }
+    }
   }
 
-  analyze(request: {
-    method: string;
-    path: string;
-    query?: any;
-    body?: any;
-    headers?: Record<string, string | string[] | undefined>;
-    ip?: string;
-  }): SecurityThreat[] {
+  /**
+   * Add a detector that runs after the built-in ones. Asynchronous detectors
+   * only run with analyzeAsync() and the adapters that use it.
+   */
+  registerDetector(detector: CustomDetector): void {
+    // A new list, the one passed in belongs to the caller
+    const detectors = [...(this.config.detectors || [])];
+    addDetector(detectors, detector);
+    this.config.detectors = detectors;
+  }
+
+  /**
+   * Whether any custom detector is registered
+   */
+  hasCustomDetectors(): boolean {
+    return Boolean(this.config.detectors?.length);
+  }
+
+  analyze(request: DetectorRequest): SecurityThreat[] {
     if (!this.config.enabled) return [];
 
+    const threats = this.detectRequestThreats(request);
+    threats.push(...runDetectors(this.config.detectors || [], detector => requestContext(detector, request), this.logger));
+
+    return this.report(threats, request);
+  }
+
+  /**
+   * analyze(), waiting for asynchronous custom detectors
+   */
+  async analyzeAsync(request: DetectorRequest): Promise<SecurityThreat[]> {
+    if (!this.config.enabled) return [];
+
+    const threats = this.detectRequestThreats(request);
+    threats.push(...await runDetectorsAsync(this.config.detectors || [], detector => requestContext(detector, request), this.logger));
+
+    return this.report(threats, request);
+  }
+
+  /**
+   * Threats the built-in detectors find in a request
+   */
+  private detectRequestThreats(request: DetectorRequest): SecurityThreat[] {
     const threats: SecurityThreat[] = [];
+    const targets = this.config.inspection?.targets || INSPECTION_TARGETS;
+    const query = targets.includes('query') ? request.query : undefined;
+    const body = targets.includes('body') ? request.body : undefined;
 
     try {
       // Injection detection - only if data exists
       if (this.config.injectionProtection) {
-        if (request.query && typeof request.query === 'object') {
-          const queryThreats = this.injectionDetector.detect(request.query, 'query');
+        if (query && typeof query === 'object') {
+          const queryThreats = this.injectionDetector.detect(query, 'query');
           threats.push(...queryThreats);
         }
-        if (request.body && typeof request.body === 'object') {
-          const bodyThreats = this.injectionDetector.detect(request.body, 'body');
+        if (body && typeof body === 'object') {
+          const bodyThreats = this.injectionDetector.detect(body, 'body');
           threats.push(...bodyThreats);
         }
       }
 
       // XSS detection - only if data exists
       if (this.config.xssProtection) {
-        if (request.query && typeof request.query === 'object') {
-          const queryXSS = this.xssDetector.detect(request.query, 'query');
+        if (query && typeof query === 'object') {
+          const queryXSS = this.xssDetector.detect(query, 'query');
           threats.push(...queryXSS);
         }
-        if (request.body && typeof request.body === 'object') {
-          const bodyXSS = this.xssDetector.detect(request.body, 'body');
+        if (body && typeof body === 'object') {
+          const bodyXSS = this.xssDetector.detect(body, 'body');
           threats.push(...bodyXSS);
         }
       }
 
+      // Headers, cookies, path segments and route parameters, one value at a time
+      for (const { location, context, value } of collectInspectedValues(request, this.config.inspection)) {
+        const found = [
+          ...(this.config.injectionProtection ? this.injectionDetector.detect(value, context) : []),
+          ...(this.config.xssProtection ? this.xssDetector.detect(value, context) : [])
+        ];
+
+        const reported = context === 'header' ? found.filter(threat => HEADER_THREAT_TYPES.has(threat.type)) : found;
+        threats.push(...withLocation(reported, location));
+      }
+
       // Advanced threat detection (LDAP, Template Injection, etc.) - with safety check
-      if (request.body) {
-        const advancedThreats = this.advancedDetector.detectAll(
-          request.body, 
-          request.path?.includes('graphql') ? 'graphql' : undefined
-        );
-        threats.push(...advancedThreats);
+      if (body) {
+        threats.push(...this.advancedDetector.detectAll(
+          body,
+          request.path?.includes('graphql') ? 'graphql' : undefined,
+          'body'
+        ));
+      }
+
+      // Persisted-query allowlist - POST body (single or batched) or GET parameters
+      if (this.persistedQueries && request.path?.includes('graphql')) {
+        threats.push(...this.persistedQueries.check(request.body));
+        threats.push(...this.persistedQueries.check(request.query));
       }
     } catch (detectionError) {
       // Log error but continue - don't let detection errors break the request
@@ -150,19 +223,91 @@ export class RASP {
       this.logger.error('Error during anomaly detection:', anomalyError);
     }
 
+    return threats;
+  }
+
+  /**
+   * Analyze a payload that did not arrive as an HTTP request
+   * (WebSocket message, RPC call...) with the injection, XSS, advanced and
+   * custom detectors. `request` is the method and path exclusions are matched
+   * against and custom detectors are given.
+   */
+  analyzePayload(payload: any, context: string = 'payload', request?: { method: string; path: string }): SecurityThreat[] {
+    if (!this.config.enabled || payload === undefined || payload === null) return [];
+
+    const threats = this.detectPayloadThreats(payload, context);
+    threats.push(...runDetectors(
+      this.config.detectors || [],
+      detector => payloadContext(detector, payload, context, request),
+      this.logger
+    ));
+
+    return this.report(threats, request);
+  }
+
+  /**
+   * analyzePayload(), waiting for asynchronous custom detectors
+   */
+  async analyzePayloadAsync(payload: any, context: string = 'payload', request?: { method: string; path: string }): Promise<SecurityThreat[]> {
+    if (!this.config.enabled || payload === undefined || payload === null) return [];
+
+    const threats = this.detectPayloadThreats(payload, context);
+    threats.push(...await runDetectorsAsync(
+      this.config.detectors || [],
+      detector => payloadContext(detector, payload, context, request),
+      this.logger
+    ));
+
+    return this.report(threats, request);
+  }
+
+  private detectPayloadThreats(payload: any, context: string): SecurityThreat[] {
+    const threats: SecurityThreat[] = [];
+
+    try {
+      if (this.config.injectionProtection) {
+        threats.push(...this.injectionDetector.detect(payload, context));
+      }
+
+      if (this.config.xssProtection) {
+        threats.push(...this.xssDetector.detect(payload, context));
+      }
+
+      threats.push(...this.advancedDetector.detectAll(payload, context === 'graphql' ? 'graphql' : undefined, context));
+    } catch (detectionError) {
+      this.logger.error('Error during threat detection:', detectionError);
+    }
+
+    return threats;
+  }
+
+  /**
+   * Report threats found outside the detectors (sink guards, rate limits...):
+   * exclusions apply to them and they are logged like detected ones
+   */
+  reportThreats(threats: SecurityThreat[], request?: { method: string; path: string }): SecurityThreat[] {
+    return this.report(threats, request);
+  }
+
+  /**
+   * Apply exclusions, then log the threats left
+   */
+  private report(threats: SecurityThreat[], request?: { method: string; path: string }): SecurityThreat[] {
+    const reported = this.applyExclusions(threats, request);
+
     // Log threats safely
     try {
-      threats.forEach(threat => this.logger.threat(threat));
+      reported.forEach(threat => this.logger.threat(threat));
     } catch (logError) {
       // Even logging shouldn't break the flow
       console.error('Failed to log threats:', logError);
     }
 
-    return threats;
+    return reported;
   }
 
-  shouldBlock(threats: SecurityThreat[]): boolean {
-    if (!this.config.blockMode) return false;
+  shouldBlock(threats: SecurityThreat[], blockMode: boolean | undefined = this.config.blockMode): boolean {
+    if (!blockMode) return false;
     return threats.some(t => t.blocked && ['high', 'critical'].includes(t.severity));
   }
 
@@ -271,6 +416,51 @@ export class RASP {
     });
   }
 
+  /**
+   * Drop the threats an exclusion covers, logging each one at debug level
+   */
+  private applyExclusions(threats: SecurityThreat[], request?: { method: string; path: string }): SecurityThreat[] {
+    const exclusions = this.config.exclusions;
+    if (!exclusions?.length) return threats;
+
+    return threats.filter(threat => {
+      const index = exclusions.findIndex(exclusion => this.matchesExclusion(threat, exclusion, request));
+      if (index === -1) return true;
+
+      this.logger.debug('Threat suppressed by exclusion', {
+        exclusion: index,
+        method: request?.method,
+        path: request?.path,
+        type: threat.type,
+        location: threat.metadata?.location,
+        rules: threat.metadata?.rules
+      });
+      return false;
+    });
+  }
+
+  private matchesExclusion(threat: SecurityThreat, exclusion: RuleExclusion, request?: { method: string; path: string }): boolean {
+    if (exclusion.path !== undefined && !(request && this.matchesPattern(request.path, exclusion.path))) return false;
+    if (exclusion.methods && !(request && exclusion.methods.includes(request.method))) return false;
+
+    if (exclusion.locations) {
+      const location = threat.metadata?.location;
+      if (typeof location !== 'string' || !exclusion.locations.some(pattern => this.matchesLocation(location, pattern))) {
+        return false;
+      }
+    }
+
+    if (exclusion.threatTypes && !exclusion.threatTypes.includes(threat.type)) return false;
+
+    // Only when nothing but excluded rules matched
+    if (exclusion.rules) {
+      const rules: string[] = threat.metadata?.rules || [];
+      return rules.length > 0 && rules.every(id => exclusion.rules!.includes(id));
+    }
+
+    return true;
+  }
+
   /**
    * Match path against string or regex pattern
    */
@@ -286,6 +476,20 @@ export class RASP {
     return pattern.test(path);
   }
 
+  /**
+   * Exclusion locations: `*` is the only wildcard, everything else is
+   * literal, so body.items[*].comment matches body.items[0].comment
+   */
+  private matchesLocation(location: string, pattern: string | RegExp): boolean {
+    if (typeof pattern !== 'string') return pattern.test(location);
+
+    const regexPattern = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${regexPattern}$`).test(location);
+  }
+
   generateCSRFToken(sessionId: string): string {
     return this.csrfDetector.generateToken(sessionId);
   }
@@ -0,0 +1,48 @@
+/**
+ * Walks a parsed query, body or payload down to the strings the detectors
+ * read, keeping the path to each one so a threat can name the exact field:
+ * `body.items[3].comment`, `query["sort by"]`.
+ */
+
+export interface InputEntry {
+  value: string;
+  location: string; // Path from the root, e.g. body.items[3].comment
+  matchedOn: 'key' | 'value'; // Whether value is the key at location or the string stored there
+}
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * `parent` followed by an array index or object key: `items[3]`,
+ * `items.comment`, `items["first name"]`
+ */
+export function inputPath(parent: string, key: string | number): string {
+  if (typeof key === 'number') return `${parent}[${key}]`;
+  return IDENTIFIER.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Every string in `input` with its location under `root`. Object keys are
+ * included when `includeKeys` is set: `{ "$where": "..." }` is an attack in
+ * its key.
+ */
+export function extractInputs(input: unknown, root: string, includeKeys = true): InputEntry[] {
+  const entries: InputEntry[] = [];
+
+  const walk = (node: unknown, location: string) => {
+    if (typeof node === 'string') {
+      entries.push({ value: node, location, matchedOn: 'value' });
+    } else if (Array.isArray(node)) {
+      node.forEach((item, index) => walk(item, inputPath(location, index)));
+    } else if (typeof node === 'object' && node !== null) {
+      for (const key in node) {
+        const child = inputPath(location, key);
+        if (includeKeys) entries.push({ value: key, location: child, matchedOn: 'key' });
+        walk((node as Record<string, unknown>)[key], child);
+      }
+    }
+  };
+
+  walk(input, root);
+  return entries;
+}
@@ -0,0 +1,106 @@
+import { InspectionConfig, InspectionTarget, ThreatType } from '../types';
+
+export const INSPECTION_TARGETS: readonly InspectionTarget[] = ['query', 'body', 'headers', 'cookies', 'path', 'params'];
+
+// Credentials, cookies (inspected one by one instead), and headers set by the
+// browser or the HTTP stack whose grammar (q-values, quoted lists, tokens) reads like injection
+export const DEFAULT_EXCLUDED_HEADERS: readonly string[] = [
+  'authorization', 'proxy-authorization', 'cookie', 'x-api-key', 'x-csrf-token', 'x-xsrf-token',
+  'accept', 'accept-charset', 'accept-encoding', 'accept-language', 'cache-control', 'connection',
+  'content-encoding', 'content-length', 'content-type', 'dnt', 'if-match', 'if-modified-since', 'if-none-match',
+  'if-unmodified-since', 'keep-alive', 'pragma', 'priority', 'te', 'transfer-encoding', 'upgrade',
+  'upgrade-insecure-requests', 'sec-*'
+];
+
+// Headers carry URLs, hosts and client IPs by design, so only these threats are reported for them
+export const HEADER_THREAT_TYPES: ReadonlySet<ThreatType> = new Set([
+  ThreatType.SQL_INJECTION,
+  ThreatType.NOSQL_INJECTION,
+  ThreatType.COMMAND_INJECTION,
+  ThreatType.XSS
+]);
+
+export interface InspectedValue {
+  location: string; // e.g. header.referer, cookie.session_pref, path[2], param.id
+  context: 'header' | 'cookie' | 'path' | 'param'; // Passed to the detectors
+  value: string;
+}
+
+/**
+ * Cookie name/value pairs from a Cookie header, values as sent (still
+ * URL-encoded; the normalization pipeline decodes them)
+ */
+export function parseCookies(header: string): Record<string, string> {
+  const cookies: Record<string, string> = {};
+
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    if (index === -1) continue;
+
+    const name = pair.slice(0, index).trim();
+    let value = pair.slice(index + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) value = value.slice(1, -1);
+    if (name && !(name in cookies)) cookies[name] = value;
+  }
+
+  return cookies;
+}
+
+function isExcluded(name: string, exclusions: string[]): boolean {
+  return exclusions.some(excluded => excluded.endsWith('*') ? name.startsWith(excluded.slice(0, -1)) : name === excluded);
+}
+
+/**
+ * The header, cookie, path segment and route parameter values of a request
+ * that `config` selects for inspection, each with its location
+ */
+export function collectInspectedValues(
+  request: {
+    path?: string;
+    headers?: Record<string, string | string[] | undefined>;
+    params?: Record<string, unknown>;
+  },
+  config: InspectionConfig = {}
+): InspectedValue[] {
+  const targets = new Set(config.targets || INSPECTION_TARGETS);
+  const values: InspectedValue[] = [];
+  const headers = request.headers || {};
+
+  if (targets.has('headers')) {
+    const exclusions = [...DEFAULT_EXCLUDED_HEADERS, ...(config.excludeHeaders || [])].map(name => name.toLowerCase());
+
+    for (const [rawName, header] of Object.entries(headers)) {
+      const name = rawName.toLowerCase();
+      if (header === undefined || isExcluded(name, exclusions)) continue;
+
+      for (const value of Array.isArray(header) ? header : [header]) {
+        values.push({ location: `header.${name}`, context: 'header', value: String(value) });
+      }
+    }
+  }
+
+  const cookieHeader = headers['cookie'] ?? headers['Cookie'];
+  if (targets.has('cookies') && cookieHeader) {
+    const excluded = config.excludeCookies || [];
+    const cookies = parseCookies(Array.isArray(cookieHeader) ? cookieHeader.join('; ') : cookieHeader);
+
+    for (const [name, value] of Object.entries(cookies)) {
+      if (excluded.includes(name)) continue;
+      values.push({ location: `cookie.${name}`, context: 'cookie', value });
+    }
+  }
+
+  if (targets.has('path') && request.path) {
+    request.path.split('/').filter(segment => segment !== '').forEach((segment, index) => {
+      values.push({ location: `path[${index}]`, context: 'path', value: segment });
+    });
+  }
+
+  if (targets.has('params') && request.params) {
+    for (const [name, value] of Object.entries(request.params)) {
+      if (typeof value === 'string') values.push({ location: `param.${name}`, context: 'param', value });
+    }
+  }
+
+  return values;
+}
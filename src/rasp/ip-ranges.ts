@@ -0,0 +1,128 @@
+/**
+ * Classification of IP addresses an outbound request must not reach from
+ * request input: loopback, private, link-local, cloud metadata and other
+ * non-public ranges, for IPv4 and IPv6 (including IPv4-mapped, compatible,
+ * NAT64 and 6to4 forms, which embed an IPv4 address).
+ */
+
+export type AddressCategory =
+  | 'loopback'
+  | 'private'
+  | 'link-local'
+  | 'metadata'
+  | 'unspecified'
+  | 'shared'
+  | 'multicast'
+  | 'reserved';
+
+// [network, prefix length, category], the first match wins
+const IPV4_RANGES: [string, number, AddressCategory][] = [
+  ['169.254.169.254', 32, 'metadata'], // AWS, GCP, Azure, OpenStack...
+  ['100.100.100.200', 32, 'metadata'], // Alibaba Cloud
+  ['0.0.0.0', 8, 'unspecified'],
+  ['10.0.0.0', 8, 'private'],
+  ['100.64.0.0', 10, 'shared'], // Carrier-grade NAT
+  ['127.0.0.0', 8, 'loopback'],
+  ['169.254.0.0', 16, 'link-local'],
+  ['172.16.0.0', 12, 'private'],
+  ['192.0.0.0', 24, 'reserved'],
+  ['192.0.2.0', 24, 'reserved'],
+  ['192.168.0.0', 16, 'private'],
+  ['198.18.0.0', 15, 'reserved'], // Benchmarking
+  ['198.51.100.0', 24, 'reserved'],
+  ['203.0.113.0', 24, 'reserved'],
+  ['224.0.0.0', 4, 'multicast'],
+  ['240.0.0.0', 4, 'reserved'] // Including 255.255.255.255
+];
+
+function parseIPv4(address: string): number | null {
+  const parts = address.split('.');
+  if (parts.length !== 4) return null;
+
+  let value = 0;
+  for (const part of parts) {
+    if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+    value = value * 256 + Number(part);
+  }
+  return value;
+}
+
+/**
+ * The 8 hextets of an IPv6 address, with a trailing dotted IPv4 part
+ * converted and any zone (`%eth0`) dropped
+ */
+function parseIPv6(address: string): number[] | null {
+  let text = address.replace(/^\[|\]$/g, '').split('%')[0].toLowerCase();
+
+  const dotted = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (dotted) {
+    const ipv4 = parseIPv4(dotted[1]);
+    if (ipv4 === null) return null;
+    text = text.slice(0, -dotted[1].length) + `${(ipv4 >>> 16).toString(16)}:${(ipv4 & 0xffff).toString(16)}`;
+  }
+
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+
+  const parse = (half: string) => half ? half.split(':') : [];
+  const head = parse(halves[0]);
+  const tail = halves.length === 2 ? parse(halves[1]) : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (!groups.every(group => /^[0-9a-f]{1,4}$/.test(group))) return null;
+  return groups.map(group => parseInt(group, 16));
+}
+
+function classifyIPv4(value: number): AddressCategory | null {
+  for (const [network, prefix, category] of IPV4_RANGES) {
+    const size = 2 ** (32 - prefix);
+    const start = parseIPv4(network)!;
+    if (value >= start && value < start + size) return category;
+  }
+  return null;
+}
+
+function classifyIPv6(groups: number[]): AddressCategory | null {
+  const embedded = (high: number, low: number) => classifyIPv4(high * 65536 + low);
+  const zeros = (from: number, to: number) => groups.slice(from, to).every(group => group === 0);
+
+  if (zeros(0, 8)) return 'unspecified';
+  if (zeros(0, 7) && groups[7] === 1) return 'loopback';
+
+  // ::ffff:a.b.c.d (mapped), ::a.b.c.d (compatible), 64:ff9b::a.b.c.d (NAT64)
+  if (zeros(0, 5) && (groups[5] === 0xffff || groups[5] === 0)) return embedded(groups[6], groups[7]);
+  if (groups[0] === 0x64 && groups[1] === 0xff9b && zeros(2, 6)) return embedded(groups[6], groups[7]);
+  // 2002:aabb:ccdd::/48 (6to4)
+  if (groups[0] === 0x2002) return embedded(groups[1], groups[2]);
+
+  // fd00:ec2::254, the AWS metadata service over IPv6
+  if (groups[0] === 0xfd00 && groups[1] === 0xec2 && zeros(2, 7) && groups[7] === 0x254) return 'metadata';
+  if ((groups[0] & 0xfe00) === 0xfc00) return 'private'; // Unique local
+  if ((groups[0] & 0xffc0) === 0xfe80) return 'link-local';
+  if ((groups[0] & 0xffc0) === 0xfec0) return 'private'; // Site-local, deprecated
+  if ((groups[0] & 0xff00) === 0xff00) return 'multicast';
+  if (groups[0] === 0x2001 && groups[1] === 0xdb8) return 'reserved'; // Documentation
+
+  return null;
+}
+
+/**
+ * The category of a non-public address, or null for public addresses and
+ * anything that isn't an IP address
+ */
+export function classifyAddress(address: string): AddressCategory | null {
+  const ipv4 = parseIPv4(address);
+  if (ipv4 !== null) return classifyIPv4(ipv4);
+
+  const ipv6 = address.includes(':') ? parseIPv6(address) : null;
+  return ipv6 ? classifyIPv6(ipv6) : null;
+}
+
+/**
+ * Whether a string is an IPv4 or IPv6 literal (brackets allowed)
+ */
+export function isIPAddress(address: string): boolean {
+  return parseIPv4(address) !== null || (address.includes(':') && parseIPv6(address) !== null);
+}
@@ -0,0 +1,137 @@
+/**
+ * Input normalization shared by the detectors. Payloads are encoded so they
+ * pass the checks and get decoded later by the application, the browser or
+ * the database: `%27%20OR%201%3D1`, `&#39; OR 1=1`, `\u003cscript`,
+ * `ＳＥＬＥＣＴ`. The pipeline undoes one transform at a time and keeps every
+ * intermediate value, so a detector can tell which transforms exposed what
+ * it found.
+ */
+
+import { NormalizationConfig, NormalizationTransform, SecurityThreat } from '../types';
+import { decodeCharacterReferences } from './html-entities';
+
+export interface NormalizedInput {
+  value: string;
+  transforms: NormalizationTransform[]; // Transforms that changed the value, in the order they first did
+}
+
+// Decodings, repeated while they change the value: %26%2339%3B is &#39; after url and ' after html
+const DECODINGS: NormalizationTransform[] = ['url', 'html', 'js', 'css'];
+
+// Canonical forms, applied once after decoding
+const CANONICALIZATIONS: NormalizationTransform[] = ['nfkc', 'zero-width', 'sql-comments', 'whitespace'];
+
+export const NORMALIZATION_TRANSFORMS: readonly NormalizationTransform[] = [...DECODINGS, ...CANONICALIZATIONS];
+
+// Overlong UTF-8 forms of `.`, `/`, `\` and `<`, which decodeURIComponent rejects
+const OVERLONG_UTF8: Record<string, string> = {
+  '%c0%ae': '.', '%e0%80%ae': '.', '%c0%af': '/', '%e0%80%af': '/', '%c1%9c': '\\', '%c0%bc': '<', '%e0%80%bc': '<'
+};
+
+function decodeURL(value: string): string {
+  return value
+    // IIS-style %u0027
+    .replace(/%u([0-9a-fA-F]{4})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/(?:%[0-9a-fA-F]{2})+/g, run => {
+      const fixed = run.replace(/%e0%80%[0-9a-f]{2}|%c[01]%[0-9a-f]{2}/gi, sequence => OVERLONG_UTF8[sequence.toLowerCase()] ?? sequence);
+      try {
+        return decodeURIComponent(fixed);
+      } catch {
+        // Not UTF-8, byte by byte
+        return fixed.replace(/%([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+      }
+    });
+}
+
+function decodeJS(value: string): string {
+  return value.replace(/\\u\{([0-9a-fA-F]{1,6})\}|\\u([0-9a-fA-F]{4})|\\x([0-9a-fA-F]{2})/g, (match, braced, unicode, hex) => {
+    const code = parseInt(braced ?? unicode ?? hex, 16);
+    return code > 0x10ffff ? match : String.fromCodePoint(code);
+  });
+}
+
+function decodeCSS(value: string): string {
+  return value.replace(/\\([0-9a-fA-F]{1,6})[ \t\n\f]?/g, (match, hex) => {
+    const code = parseInt(hex, 16);
+    return code === 0 || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff) ? match : String.fromCodePoint(code);
+  });
+}
+
+const TRANSFORMS: Record<NormalizationTransform, (value: string) => string> = {
+  url: decodeURL,
+  html: value => decodeCharacterReferences(value),
+  js: decodeJS,
+  css: decodeCSS,
+  // Fullwidth, ligature and other compatibility forms: ＳＥＬＥＣＴ is SELECT
+  nfkc: value => value.normalize('NFKC'),
+  'zero-width': value => value.replace(/[\u00AD\u180E\u200B-\u200F\u2060-\u2064\uFEFF]/g, ''),
+  // A comment separates tokens like a space; MySQL runs /*!50000 ... */ content
+  'sql-comments': value => value.replace(/\/\*!\d{0,6}([\s\S]*?)\*\/|\/\*[\s\S]*?\*\//g, (_, executable) => executable ?? ' '),
+  whitespace: value => value.replace(/\s+/g, ' ')
+};
+
+/**
+ * Every value `value` goes through in the pipeline, after each transform
+ * that changed it. Empty when nothing changes or normalization is disabled.
+ */
+export function normalizeInput(value: string, config: NormalizationConfig = {}): NormalizedInput[] {
+  if (config.enabled === false) return [];
+
+  const enabled = new Set(config.transforms || NORMALIZATION_TRANSFORMS);
+  const maxDepth = config.maxDepth ?? 3;
+  const variants: NormalizedInput[] = [];
+  const applied: NormalizationTransform[] = [];
+  let current = value;
+
+  const apply = (transform: NormalizationTransform): boolean => {
+    if (!enabled.has(transform)) return false;
+
+    const next = TRANSFORMS[transform](current);
+    if (next === current) return false;
+
+    current = next;
+    if (!applied.includes(transform)) applied.push(transform);
+    variants.push({ value: current, transforms: [...applied] });
+    return true;
+  };
+
+  for (let depth = 0; depth < maxDepth; depth++) {
+    let changed = false;
+    for (const transform of DECODINGS) changed = apply(transform) || changed;
+    if (!changed) break;
+  }
+
+  for (const transform of CANONICALIZATIONS) apply(transform);
+
+  return variants;
+}
+
+/**
+ * Run `detect` on `value`, then on each normalized value for the threat
+ * types not found yet. Threats found after normalization keep the raw value
+ * as payload and record `metadata.decoded` and the `metadata.normalization`
+ * transforms that exposed them.
+ */
+export function detectNormalized(
+  value: string,
+  config: NormalizationConfig | undefined,
+  detect: (candidate: string, normalized?: NormalizedInput) => SecurityThreat[]
+): SecurityThreat[] {
+  const threats = detect(value);
+  const found = new Set(threats.map(threat => threat.type));
+
+  for (const normalized of normalizeInput(value, config)) {
+    for (const threat of detect(normalized.value, normalized)) {
+      if (found.has(threat.type)) continue;
+      found.add(threat.type);
+
+      threats.push({
+        ...threat,
+        payload: value,
+        metadata: { ...threat.metadata, decoded: normalized.value, normalization: normalized.transforms }
+      });
+    }
+  }
+
+  return threats;
+}
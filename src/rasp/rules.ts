@@ -0,0 +1,413 @@
+/**
+ * Registry of the detection rules behind the injection, XSS and advanced
+ * detectors. Every regex and every structure the SQL, shell and HTML parsers
+ * recognize has a stable ID (`NOSQL-001`, `SQLI-002`), so a threat can say
+ * which rules fired and a rule can be looked up, reported on or excluded.
+ *
+ * Paranoia levels follow the OWASP Core Rule Set meaning: 1 is a precise
+ * attack signature, 4 a broad pattern that legitimate input often matches
+ * and that only counts together with others.
+ */
+
+import { SecurityThreat } from '../types';
+import type { SQLAttackType } from './sqli-fingerprint';
+import type { CommandConstruct } from './command-injection';
+import type { XSSReason } from './html-xss';
+
+export type RuleCategory =
+  | 'sql-injection'
+  | 'nosql-injection'
+  | 'command-injection'
+  | 'path-traversal'
+  | 'xxe'
+  | 'ssrf'
+  | 'xss'
+  | 'ldap-injection'
+  | 'template-injection'
+  | 'file-upload'
+  | 'jwt'
+  | 'graphql'
+  | 'prototype-pollution'
+  | 'deserialization';
+
+export type ParanoiaLevel = 1 | 2 | 3 | 4;
+
+export interface DetectionRule {
+  id: string;
+  name: string;
+  category: RuleCategory;
+  cwe: string; // e.g. CWE-89
+  owasp: string; // OWASP Top 10 2021 category, e.g. A03:2021-Injection
+  severity: SecurityThreat['severity']; // Of a match on this rule alone
+  paranoiaLevel: ParanoiaLevel;
+  pattern?: RegExp; // Absent for structures found by a parser (SQL fingerprints, shell grammar, HTML tokenizer)
+}
+
+type Severity = SecurityThreat['severity'];
+
+type RuleEntry = [id: string, name: string, severity: Severity, paranoiaLevel: ParanoiaLevel, pattern?: RegExp];
+
+const TAXONOMY: Record<RuleCategory, { cwe: string; owasp: string }> = {
+  'sql-injection': { cwe: 'CWE-89', owasp: 'A03:2021-Injection' },
+  'nosql-injection': { cwe: 'CWE-943', owasp: 'A03:2021-Injection' },
+  'command-injection': { cwe: 'CWE-78', owasp: 'A03:2021-Injection' },
+  'path-traversal': { cwe: 'CWE-22', owasp: 'A01:2021-Broken Access Control' },
+  xxe: { cwe: 'CWE-611', owasp: 'A05:2021-Security Misconfiguration' },
+  ssrf: { cwe: 'CWE-918', owasp: 'A10:2021-Server-Side Request Forgery' },
+  xss: { cwe: 'CWE-79', owasp: 'A03:2021-Injection' },
+  'ldap-injection': { cwe: 'CWE-90', owasp: 'A03:2021-Injection' },
+  'template-injection': { cwe: 'CWE-1336', owasp: 'A03:2021-Injection' },
+  'file-upload': { cwe: 'CWE-434', owasp: 'A04:2021-Insecure Design' },
+  jwt: { cwe: 'CWE-347', owasp: 'A02:2021-Cryptographic Failures' },
+  graphql: { cwe: 'CWE-770', owasp: 'A04:2021-Insecure Design' },
+  'prototype-pollution': { cwe: 'CWE-1321', owasp: 'A08:2021-Software and Data Integrity Failures' },
+  deserialization: { cwe: 'CWE-502', owasp: 'A08:2021-Software and Data Integrity Failures' }
+};
+
+function define(category: RuleCategory, entries: RuleEntry[], taxonomy = TAXONOMY[category]): DetectionRule[] {
+  return entries.map(([id, name, severity, paranoiaLevel, pattern]) => ({
+    id, name, category, ...taxonomy, severity, paranoiaLevel, ...(pattern ? { pattern } : {})
+  }));
+}
+
+// Attack structures recognized from the SQL token fingerprint, by SQLAttackType
+export const SQL_FINGERPRINT_RULES = define('sql-injection', [
+  ['SQLI-001', 'SQL tautology', 'critical', 1],
+  ['SQLI-002', 'SQL UNION query', 'critical', 1],
+  ['SQLI-003', 'Stacked SQL query', 'critical', 1],
+  ['SQLI-004', 'Blind SQL injection', 'critical', 1],
+  ['SQLI-005', 'SQL comment truncation', 'high', 1],
+  ['SQLI-006', 'SQL ORDER BY column probe', 'high', 2]
+]);
+
+export const SQL_ATTACK_RULES: Record<SQLAttackType, string> = {
+  tautology: 'SQLI-001', union: 'SQLI-002', stacked: 'SQLI-003', blind: 'SQLI-004', comment: 'SQLI-005', 'order-by': 'SQLI-006'
+};
+
+// Unicode that SQL parsers fold into keywords, suspicious without parsing
+export const UNICODE_SQL_RULES = define('sql-injection', [
+  ['SQLI-101', 'Fullwidth characters', 'critical', 2, /[\uFF03-\uFF5E]/],
+  ['SQLI-102', 'Cyrillic or Greek lookalikes in Latin words', 'critical', 2, /[A-Za-z][ЅЕСТІОΝ]|[ЅЕСТІОΝ][A-Za-z]/],
+  ['SQLI-103', 'Cherokee lookalikes', 'critical', 2, /[ᏚᎬᏞᎬᏟᎢ]/],
+  ['SQLI-104', 'Latin Extended-A run', 'high', 3, /[\u0100-\u017F][\u0100-\u017F]+/]
+]);
+
+// Payloads that work as SQL injection and XSS, reported from two matches
+export const POLYGLOT_RULES = define('sql-injection', [
+  ['SQLI-201', 'Quote breaking into a script element', 'critical', 2, /'><script>.*?<\/script>/i],
+  ['SQLI-202', 'Single-quoted OR before a script element', 'critical', 2, /'\s*OR\s*.*?<script>/i],
+  ['SQLI-203', 'Double-quoted OR before a script element', 'critical', 2, /"\s*OR\s*.*?<script>/i],
+  ['SQLI-204', 'UNION before a script element', 'critical', 2, /'\s*UNION.*?<script>/i],
+  ['SQLI-205', 'SELECT before a script element', 'high', 3, /SELECT.*?<script>/i],
+  ['SQLI-206', 'SQL keywords in a script element', 'high', 3, /<script>.*?(SELECT|UNION|INSERT|DELETE)/i],
+  ['SQLI-207', 'SQL keywords in an img tag', 'high', 3, /<img.*?(SELECT|UNION|OR\s*1=1)/i],
+  ['SQLI-208', 'SQL keywords in a javascript: URL', 'high', 3, /javascript:.*?(SELECT|UNION|INSERT)/i],
+  ['SQLI-209', 'SQL in an event handler', 'high', 3, /on\w+\s*=.*?(SELECT|UNION|OR\s*['"]?\d+['"]?\s*=\s*['"]?\d+)/i],
+  ['SQLI-210', 'SQL keywords in an HTML data: URI', 'high', 3, /data:text\/html.*?(SELECT|UNION|INSERT)/i],
+  ['SQLI-211', 'SQL keywords in an svg tag', 'high', 3, /<svg.*?(SELECT|UNION|INSERT)/i],
+  ['SQLI-212', 'SQL keywords in an HTML comment', 'high', 3, /<!--.*?(SELECT|UNION|INSERT).*?-->/i],
+  ['SQLI-213', 'Quote, tag and SQL keyword', 'high', 4, /['"].*?<.*?>.*?(OR|UNION|SELECT)/i],
+  ['SQLI-214', 'SQL keywords in a CDATA section', 'high', 3, /<!\[CDATA\[.*?(SELECT|UNION|INSERT)/i],
+  ['SQLI-215', 'SQL keywords in an attribute before a closing tag', 'high', 3, /\w+\s*=\s*['"].*?(SELECT|UNION).*?<\//i]
+]);
+
+// Reported from two matches, or one of NOSQL_STRONG_RULES
+export const NOSQL_RULES = define('nosql-injection', [
+  ['NOSQL-001', 'MongoDB $where operator', 'high', 1, /\$where/i],
+  ['NOSQL-002', 'MongoDB query operator', 'medium', 2, /\$(ne|eq|gt|gte|lt|lte|in|nin|regex|exists|type|mod|text|all|elemMatch|size|slice)/i],
+  ['NOSQL-003', 'MongoDB operator object', 'medium', 2, /\{\s*['"]\$[a-z]+['"]\s*:/i],
+  ['NOSQL-004', 'this member access', 'medium', 3, /\bthis\b\s*\.\s*\w+/],
+  ['NOSQL-005', 'JavaScript function expression', 'medium', 3, /\bfunction\s*\(/],
+  ['NOSQL-006', 'JavaScript eval call', 'high', 2, /\beval\s*\(/],
+  ['NOSQL-007', 'Constructor call', 'medium', 3, /constructor\s*\(/i],
+  ['NOSQL-008', 'MongoDB aggregation stage', 'medium', 2, /\$(match|group|project|lookup|unwind|sort|limit|skip|count|addFields|replaceRoot)/i],
+  ['NOSQL-009', 'CouchDB design document', 'medium', 2, /_design\//],
+  ['NOSQL-010', 'CouchDB view', 'medium', 2, /_view\//],
+  ['NOSQL-011', 'CouchDB _all_docs', 'medium', 2, /_all_docs/i],
+  ['NOSQL-012', 'Redis command', 'low', 4, /\b(FLUSHALL|FLUSHDB|CONFIG|EVAL|SCRIPT|KEYS|DEL|SET|GET|APPEND)\b/i],
+  ['NOSQL-013', 'Cassandra CQL keyword', 'low', 4, /\b(ALLOW\s+FILTERING|BATCH|TRUNCATE)\b/i],
+  ['NOSQL-014', 'MongoDB operator in an array', 'medium', 2, /\[\s*\{\s*['"]\$/],
+  ['NOSQL-015', 'MongoDB mapReduce function', 'low', 4, /\b(mapReduce|map|reduce|finalize)\b/i],
+  ['NOSQL-016', '__proto__ access', 'high', 1, /__proto__/],
+  ['NOSQL-017', 'constructor.prototype access', 'high', 1, /constructor\.prototype/i],
+  ['NOSQL-018', 'Node.js process access', 'high', 2, /process\./],
+  ['NOSQL-019', 'Node.js require call', 'high', 2, /require\s*\(/],
+  ['NOSQL-020', 'Node.js global access', 'medium', 3, /global\./],
+  ['NOSQL-021', 'MongoDB $function operator', 'high', 1, /\$function/i]
+]);
+
+// NoSQL injection from a single match
+export const NOSQL_STRONG_RULES = define('nosql-injection', [
+  ['NOSQL-101', '$where with a function', 'critical', 1, /\$where.*function/i],
+  ['NOSQL-102', '__proto__ in a query', 'critical', 1, /__proto__/],
+  ['NOSQL-103', 'constructor.prototype in a query', 'critical', 1, /constructor\.prototype/i],
+  ['NOSQL-104', '$ne null operator object', 'critical', 1, /\{\s*['"]\$ne['"]\s*:\s*null\s*\}/i],
+  ['NOSQL-105', 'Node.js process access in a query', 'critical', 1, /process\./],
+  ['NOSQL-106', 'Node.js require call in a query', 'critical', 1, /require\s*\(/]
+]);
+
+// Constructs found by parsing the value as sh and cmd.exe, by CommandConstruct
+export const COMMAND_RULES = define('command-injection', [
+  ['CMDI-001', 'Command separator running a program', 'critical', 1],
+  ['CMDI-002', 'Pipe into a program', 'critical', 1],
+  ['CMDI-003', 'Command substitution', 'critical', 1],
+  ['CMDI-004', 'Redirection writing a file', 'critical', 1]
+]);
+
+export const COMMAND_CONSTRUCT_RULES: Record<CommandConstruct, string> = {
+  separator: 'CMDI-001', pipe: 'CMDI-002', substitution: 'CMDI-003', redirection: 'CMDI-004'
+};
+
+export const PATH_TRAVERSAL_RULES = define('path-traversal', [
+  ['PATH-001', 'Parent directory segment', 'high', 1, /\.\.[/\\]/],
+  ['PATH-002', 'Repeated parent directory segments', 'critical', 1, /\.\.[/\\]\.\.[/\\]/],
+  ['PATH-003', 'URL-encoded parent directory', 'high', 1, /%2e%2e[/\\]/i],
+  ['PATH-004', 'Double URL-encoded parent directory', 'high', 1, /%252e%252e[/\\]/i],
+  ['PATH-005', 'Overlong UTF-8 parent directory', 'high', 1, /%c0%ae%c0%ae[/\\]/i],
+  ['PATH-006', 'Parent directory with encoded separator', 'high', 1, /\.\.[%]{2}[f5c][/\\]/i],
+  ['PATH-007', 'Unicode-escaped parent directory', 'high', 1, /\u002e\u002e[/\\]/],
+  ['PATH-008', 'Fullwidth parent directory', 'high', 1, /\uff0e\uff0e[/\\]/],
+  ['PATH-009', 'Sensitive system directory', 'medium', 3, /(\/|\\)(etc|windows|system32|boot|proc|sys|var|usr|opt|home|root)/i],
+  ['PATH-010', 'Windows drive letter', 'medium', 3, /[a-zA-Z]:[/\\]/],
+  // eslint-disable-next-line no-control-regex
+  ['PATH-011', 'Null byte', 'high', 2, /\0|%00/],
+  ['PATH-012', 'UNC path', 'medium', 3, /\\\\[^\\]+\\/],
+  ['PATH-013', 'Absolute path', 'low', 4, /^\/[a-z]/i],
+  ['PATH-014', 'Repeated path separators', 'low', 4, /[/\\]{2,}/]
+]);
+
+export const XXE_RULES = define('xxe', [
+  ['XXE-001', 'Entity declaration', 'high', 1, /<!ENTITY/i],
+  ['XXE-002', 'Document type declaration', 'medium', 2, /<!DOCTYPE/i],
+  ['XXE-003', 'SYSTEM identifier', 'high', 2, /SYSTEM\s+["']/i],
+  ['XXE-004', 'PUBLIC identifier', 'medium', 2, /PUBLIC\s+["']/i],
+  ['XXE-005', 'Parameter entity reference', 'low', 4, /%\w+;/],
+  ['XXE-006', 'Element declaration', 'medium', 2, /<!ELEMENT/i],
+  ['XXE-007', 'Attribute list declaration', 'medium', 2, /<!ATTLIST/i],
+  ['XXE-008', 'file: URL', 'high', 2, /file:\/\//i],
+  ['XXE-009', 'php: wrapper', 'high', 1, /php:\/\//i],
+  ['XXE-010', 'expect: wrapper', 'high', 1, /expect:\/\//i],
+  ['XXE-011', 'data: URL', 'medium', 3, /data:\/\//i],
+  ['XXE-012', 'XML declaration', 'low', 3, /<\?xml[^>]*>/i],
+  ['XXE-013', 'XSLT element', 'medium', 2, /<xsl:/i]
+]);
+
+export const SSRF_RULES = define('ssrf', [
+  ['SSRF-001', 'localhost', 'medium', 3, /localhost/i],
+  ['SSRF-002', 'IPv4 loopback', 'medium', 3, /127\.0\.0\.1/],
+  ['SSRF-003', 'Unspecified IPv4 address', 'medium', 3, /0\.0\.0\.0/],
+  ['SSRF-004', 'Hex dotted loopback', 'high', 1, /0x7f\.0\.0\.1/],
+  ['SSRF-005', 'Hex loopback', 'high', 1, /0x7f000001/],
+  ['SSRF-006', 'Decimal loopback', 'high', 2, /2130706433/],
+  ['SSRF-007', 'Octal loopback', 'high', 2, /017700000001/],
+  ['SSRF-008', 'IPv6 loopback', 'medium', 3, /::1/],
+  ['SSRF-009', 'IPv4-mapped IPv6 loopback', 'high', 1, /::ffff:127\.0\.0\.1/],
+  ['SSRF-010', 'Expanded IPv6 loopback', 'high', 1, /0:0:0:0:0:0:0:1/],
+  ['SSRF-011', 'IPv4 link-local address', 'medium', 3, /169\.254\./],
+  ['SSRF-012', 'IPv6 link-local address', 'medium', 3, /fe80:/i],
+  ['SSRF-013', '192.168/16 private address', 'low', 4, /192\.168\./],
+  ['SSRF-014', '10/8 private address', 'low', 4, /10\./],
+  ['SSRF-015', '172.16/12 private address', 'low', 4, /172\.(1[6-9]|2[0-9]|3[0-1])\./],
+  ['SSRF-016', 'Cloud metadata address', 'high', 1, /169\.254\.169\.254/],
+  ['SSRF-017', 'Google Cloud metadata host', 'high', 1, /metadata\.google\.internal/i],
+  ['SSRF-018', 'Azure metadata host', 'high', 1, /metadata\.azure/i],
+  ['SSRF-019', 'URL credentials', 'low', 4, /@/],
+  ['SSRF-020', 'xip.io rebinding host', 'high', 1, /\d+\.\d+\.\d+\.\d+\.xip\.io/i],
+  ['SSRF-021', 'nip.io rebinding host', 'high', 1, /\d+\.\d+\.\d+\.\d+\.nip\.io/i],
+  ['SSRF-022', 'URL-encoded octet', 'medium', 2, /%32%35%35/i],
+  ['SSRF-023', 'file: URL', 'high', 2, /file:\/\//i],
+  ['SSRF-024', 'gopher: URL', 'high', 1, /gopher:\/\//i],
+  ['SSRF-025', 'dict: URL', 'high', 1, /dict:\/\//i],
+  ['SSRF-026', 'ftp: URL', 'medium', 3, /ftp:\/\//i],
+  ['SSRF-027', 'tftp: URL', 'high', 2, /tftp:\/\//i]
+]);
+
+// Executable contexts found by the HTML tokenizer, by XSSReason
+export const XSS_CONTEXT_RULES = define('xss', [
+  ['XSS-001', 'Script element', 'critical', 1],
+  ['XSS-002', 'Event handler attribute', 'critical', 1],
+  ['XSS-003', 'javascript: URL', 'critical', 1],
+  ['XSS-004', 'Executable data: URL', 'high', 1],
+  ['XSS-005', 'srcdoc with executable content', 'critical', 1],
+  ['XSS-006', 'CSS expression or javascript: URL', 'high', 1]
+]);
+
+export const XSS_REASON_RULES: Record<XSSReason, string> = {
+  'script-element': 'XSS-001', 'event-handler': 'XSS-002', 'javascript-url': 'XSS-003', 'data-url': 'XSS-004',
+  srcdoc: 'XSS-005', 'css-expression': 'XSS-006'
+};
+
+export const MUTATION_XSS_RULES = define('xss', [
+  ['XSS-101', 'Backtick in a tag', 'high', 3, /<[^>]*`[^>]*>/],
+  ['XSS-102', 'SVG style @import', 'high', 2, /<svg><style>.*@import/i],
+  ['XSS-103', 'MathML xlink:href namespace confusion', 'high', 1, /<math><mi xlink:href/i],
+  ['XSS-104', 'Nested form in MathML', 'high', 1, /<form><math><mtext><\/form><form>/i],
+  ['XSS-105', 'Select element followed by img onerror', 'high', 1, /<select><\/select><img src=x onerror/i],
+  ['XSS-106', 'Style closing inside noscript', 'high', 2, /<noscript><style>.*<\/style><\/noscript>/i]
+]);
+
+// Reported from two matches
+export const LDAP_RULES = define('ldap-injection', [
+  ['LDAP-001', 'Wildcard before a filter', 'medium', 2, /\*\(/],
+  ['LDAP-002', 'Adjacent filters', 'medium', 2, /\)\(/],
+  ['LDAP-003', 'OR operator', 'low', 4, /\|/],
+  ['LDAP-004', 'AND filter', 'medium', 3, /&\(/],
+  ['LDAP-005', 'Filter special character', 'low', 4, /[()*|&]/],
+  ['LDAP-006', 'LDAP attribute assertion', 'medium', 3, /\b(cn|uid|ou|dc|objectClass|mail|sn|givenName)=/i],
+  ['LDAP-007', 'Repeated wildcards', 'medium', 3, /\*\*+/],
+  ['LDAP-008', 'Comparison operator', 'low', 4, /[<>]=?/],
+  // eslint-disable-next-line no-control-regex
+  ['LDAP-009', 'Null byte', 'high', 2, /\x00/],
+  ['LDAP-010', 'OR filter', 'medium', 2, /\(\|/],
+  ['LDAP-011', 'Injected OR filter', 'high', 1, /\)\(\|/],
+  ['LDAP-012', 'Wildcard uid filter', 'high', 1, /\*\)\(uid=/i],
+  ['LDAP-013', 'admin filter injection', 'high', 1, /admin\)\(/i],
+  ['LDAP-014', 'Wildcard objectClass filter', 'high', 1, /\*\)\(objectClass=\*/i]
+]);
+
+export const TEMPLATE_RULES = define('template-injection', [
+  ['SSTI-001', 'Jinja2 config access', 'critical', 1, /\{\{.*config/i],
+  ['SSTI-002', 'Jinja2 __class__ access', 'critical', 1, /\{\{.*\.__class__/],
+  ['SSTI-003', 'Jinja2 __mro__ access', 'critical', 1, /\{\{.*\.__mro__/],
+  ['SSTI-004', 'Jinja2 __subclasses__ access', 'critical', 1, /\{\{.*\.__subclasses__/],
+  ['SSTI-005', 'Jinja2 __globals__ access', 'critical', 1, /\{\{.*\.__globals__/],
+  ['SSTI-006', 'Jinja2 __builtins__ access', 'critical', 1, /\{\{.*\.__builtins__/],
+  ['SSTI-007', 'Django load tag', 'high', 2, /\{%\s*load/i],
+  ['SSTI-008', 'Django debug tag', 'high', 2, /\{%\s*debug/i],
+  ['SSTI-009', 'Twig _self.env access', 'critical', 1, /\{\{.*_self\.env/i],
+  ['SSTI-010', 'Smarty php tag', 'critical', 1, /\{php\}/i],
+  ['SSTI-011', 'Smarty literal tag', 'medium', 2, /\{literal\}/i],
+  ['SSTI-012', 'FreeMarker assign directive', 'high', 2, /<#assign/i],
+  ['SSTI-013', 'FreeMarker import directive', 'high', 2, /<#import/i],
+  ['SSTI-014', 'Velocity set directive', 'high', 2, /#set\s*\(/i],
+  ['SSTI-015', 'Spring EL type reference', 'critical', 1, /\$\{T\(/i],
+  ['SSTI-016', 'Thymeleaf preprocessing', 'high', 2, /__\$\{/],
+  ['SSTI-017', 'Expression using Runtime', 'critical', 1, /\$\{.*Runtime/i],
+  ['SSTI-018', 'Expression using ProcessBuilder', 'critical', 1, /\$\{.*ProcessBuilder/i],
+  ['SSTI-019', 'Template expression calling eval', 'high', 2, /\{\{.*eval/i],
+  ['SSTI-020', 'Template expression calling exec', 'high', 2, /\{\{.*exec/i],
+  ['SSTI-021', 'ERB system call', 'critical', 1, /<%=.*system/i],
+  ['SSTI-022', 'ERB eval call', 'critical', 1, /<%=.*eval/i],
+  ['SSTI-023', 'Pug require', 'high', 2, /-\s*var.*require/i]
+]);
+
+export const FILE_UPLOAD_RULES = define('file-upload', [
+  ['UPLOAD-001', 'PHP extension', 'critical', 1, /\.(php|phtml|php3|php4|php5|phps|pht|phar)$/i],
+  ['UPLOAD-002', 'JSP extension', 'critical', 1, /\.(jsp|jspx|jsw|jsv|jspf)$/i],
+  ['UPLOAD-003', 'ASP extension', 'critical', 1, /\.(asp|aspx|asa|asax|ascx|ashx|asmx|cer|aSp|aSpx)$/i],
+  ['UPLOAD-004', 'Executable extension', 'critical', 1, /\.(exe|dll|bat|cmd|com|scr|vbs|js|jar|msi)$/i],
+  ['UPLOAD-005', 'Shell script extension', 'high', 1, /\.(sh|bash|zsh|csh|ksh|fish)$/i],
+  ['UPLOAD-006', 'Script extension', 'high', 2, /\.(pl|py|rb|go|ps1)$/i],
+  ['UPLOAD-007', 'Image with PHP extension', 'critical', 1, /\.jpg\.php$/i],
+  ['UPLOAD-008', 'Image with JSP extension', 'critical', 1, /\.png\.jsp$/i],
+  ['UPLOAD-009', 'PDF with executable extension', 'critical', 1, /\.pdf\.exe$/i],
+  ['UPLOAD-010', 'Encoded null byte after PHP extension', 'critical', 1, /\.php%00\.jpg/i],
+  // eslint-disable-next-line no-control-regex
+  ['UPLOAD-011', 'Null byte after JSP extension', 'critical', 1, /\.jsp\x00\.png/i],
+  ['UPLOAD-012', 'PHP content type', 'high', 1, /^Content-Type:.*application\/(x-php|x-httpd-php)/i],
+  ['UPLOAD-013', 'GIF with PHP code', 'critical', 1, /GIF89a.*<\?php/i],
+  ['UPLOAD-014', 'PNG with script', 'high', 1, /PNG.*<script/i],
+  ['UPLOAD-015', 'PHP passthru call', 'critical', 1, /passthru\s*\(/i],
+  ['UPLOAD-016', 'PHP shell_exec call', 'critical', 1, /shell_exec\s*\(/i],
+  ['UPLOAD-017', 'system call', 'high', 2, /system\s*\(/i],
+  ['UPLOAD-018', 'PHP phpinfo call', 'high', 1, /phpinfo\s*\(/i],
+  ['UPLOAD-019', 'base64_decode with eval', 'critical', 1, /base64_decode.*eval/i],
+  ['UPLOAD-020', 'PHP superglobal passed to eval', 'critical', 1, /\$_(?:GET|POST|REQUEST|COOKIE|SERVER)\[.*eval/i],
+  ['UPLOAD-021', '.htaccess AddType for PHP', 'critical', 1, /AddType.*php/i],
+  ['UPLOAD-022', '.htaccess SetHandler for PHP', 'critical', 1, /SetHandler.*php/i]
+]);
+
+// Matched against the decoded JWT header and payload
+export const JWT_RULES = define('jwt', [
+  ['JWT-001', 'alg none', 'critical', 1, /"alg"\s*:\s*"none"/i],
+  ['JWT-002', 'HS256 algorithm', 'low', 3, /"alg"\s*:\s*"HS256"/i],
+  ['JWT-003', 'RS256 JWT open to algorithm confusion', 'low', 3, /"alg"\s*:\s*"RS256".*"typ"\s*:\s*"JWT"/i],
+  ['JWT-004', 'Empty key', 'high', 1, /"k"\s*:\s*""/i],
+  ['JWT-005', 'Weak key', 'high', 1, /"k"\s*:\s*"123/i],
+  ['JWT-006', 'Nested token', 'medium', 2, /eyJ[a-zA-Z0-9_-]*\.eyJ[a-zA-Z0-9_-]*\./],
+  ['JWT-007', 'Injected quote in token', 'medium', 2, /eyJ.*J9\./],
+  ['JWT-008', 'Far-future expiry', 'medium', 2, /"exp"\s*:\s*9999999999/i],
+  ['JWT-009', 'Null expiry', 'medium', 2, /"exp"\s*:\s*null/i]
+]);
+
+// Introspection reveals the schema rather than exhausting the server
+const GRAPHQL_INTROSPECTION = { cwe: 'CWE-200', owasp: 'A01:2021-Broken Access Control' };
+
+export const GRAPHQL_RULES = [
+  ...define('graphql', [
+    ['GQL-001', '__schema introspection', 'medium', 2, /__schema/i],
+    ['GQL-002', '__type introspection', 'medium', 2, /__type/i],
+    ['GQL-003', 'IntrospectionQuery', 'medium', 1, /IntrospectionQuery/i]
+  ], GRAPHQL_INTROSPECTION),
+  ...define('graphql', [
+    ['GQL-004', 'Deeply nested selection', 'medium', 3, /\{[^}]*\{[^}]*\{[^}]*\{[^}]*\{/],
+    ['GQL-005', 'Circular variable reference', 'low', 4, /query.*\$.*query/i],
+    ['GQL-006', 'Batched queries', 'low', 4, /query.*query.*query/i],
+    ['GQL-007', 'Numbered aliases', 'medium', 2, /alias\d+:/i],
+    ['GQL-008', 'Inline fragment spread', 'low', 4, /\.\.\.on/i],
+    ['GQL-009', 'Repeated @include directive', 'medium', 2, /@include.*@include/i],
+    ['GQL-010', 'Repeated @skip directive', 'medium', 2, /@skip.*@skip/i],
+    ['GQL-011', 'Duplicated field selection', 'low', 4, /(\w+)\s*\{[^}]*\1\s*\{/]
+  ])
+];
+
+// Matched against the serialized input
+export const PROTOTYPE_POLLUTION_RULES = define('prototype-pollution', [
+  ['PROTO-001', '__proto__ key or access', 'critical', 1, /__proto__/],
+  ['PROTO-002', 'constructor.prototype access', 'critical', 1, /constructor\.prototype/i],
+  ['PROTO-003', '__proto__ bracket access (double quotes)', 'critical', 1, /\["__proto__"\]/],
+  ['PROTO-004', "__proto__ bracket access (single quotes)", 'critical', 1, /\['__proto__'\]/],
+  ['PROTO-005', 'constructor bracket access', 'high', 2, /\[constructor\]/i],
+  ['PROTO-006', '.constructor.prototype access', 'critical', 1, /\.constructor\.prototype/i],
+  ['PROTO-007', 'JSON __proto__ key (double quotes)', 'critical', 1, /\{"__proto__"/],
+  ['PROTO-008', 'JSON __proto__ key (single quotes)', 'critical', 1, /\{'__proto__'/],
+  ['PROTO-009', 'Object.assign with __proto__', 'critical', 1, /Object\.assign.*__proto__/i],
+  ['PROTO-010', 'jQuery extend with __proto__', 'critical', 1, /\$\.extend.*__proto__/i],
+  ['PROTO-011', 'lodash merge with __proto__', 'critical', 1, /lodash\.merge.*__proto__/i]
+]);
+
+export const DESERIALIZATION_RULES = define('deserialization', [
+  ['DESER-001', 'Base64 Java serialized object', 'critical', 1, /rO0AB/],
+  ['DESER-002', 'Hex Java serialized object', 'critical', 1, /aced0005/i],
+  ['DESER-003', 'java.lang.Runtime gadget', 'critical', 1, /java\.lang\.Runtime/i],
+  ['DESER-004', 'java.lang.ProcessBuilder gadget', 'critical', 1, /java\.lang\.ProcessBuilder/i],
+  // eslint-disable-next-line no-control-regex
+  ['DESER-005', 'Python pickle protocol header', 'high', 2, /\x80\x03/],
+  ['DESER-006', 'pickle.loads call', 'critical', 1, /pickle\.loads/i],
+  ['DESER-007', 'cPickle.loads call', 'critical', 1, /cPickle\.loads/i],
+  ['DESER-008', 'PHP serialized object', 'critical', 1, /O:\d+:"[^"]*":\d+:\{/],
+  ['DESER-009', 'PHP serialized array', 'medium', 3, /a:\d+:\{/],
+  ['DESER-010', '.NET ObjectDataProvider gadget', 'critical', 1, /\$type.*System\.Windows\.Data\.ObjectDataProvider/i],
+  ['DESER-011', '.NET Process gadget', 'critical', 1, /\$type.*System\.Diagnostics\.Process/i],
+  // eslint-disable-next-line no-control-regex
+  ['DESER-012', 'Ruby Marshal header', 'high', 2, /\x04\x08/],
+  ['DESER-013', 'node-serialize reference', 'critical', 1, /node-serialize/i],
+  ['DESER-014', 'node-serialize function marker', 'critical', 1, /_$$ND_FUNC$$_/]
+]);
+
+export const DETECTION_RULES: readonly DetectionRule[] = [
+  ...SQL_FINGERPRINT_RULES, ...UNICODE_SQL_RULES, ...POLYGLOT_RULES, ...NOSQL_RULES, ...NOSQL_STRONG_RULES,
+  ...COMMAND_RULES, ...PATH_TRAVERSAL_RULES, ...XXE_RULES, ...SSRF_RULES, ...XSS_CONTEXT_RULES, ...MUTATION_XSS_RULES,
+  ...LDAP_RULES, ...TEMPLATE_RULES, ...FILE_UPLOAD_RULES, ...JWT_RULES, ...GRAPHQL_RULES,
+  ...PROTOTYPE_POLLUTION_RULES, ...DESERIALIZATION_RULES
+];
+
+const RULES_BY_ID = new Map(DETECTION_RULES.map(rule => [rule.id, rule]));
+
+export function getDetectionRule(id: string): DetectionRule | undefined {
+  return RULES_BY_ID.get(id);
+}
+
+/**
+ * The rules of `rules` whose pattern matches `value`
+ */
+export function matchRules(rules: readonly DetectionRule[], value: string): DetectionRule[] {
+  return rules.filter(rule => rule.pattern?.test(value));
+}
+
+/**
+ * IDs of matched rules, for `metadata.rules`
+ */
+export function ruleIds(rules: readonly DetectionRule[]): string[] {
+  return rules.map(rule => rule.id);
+}
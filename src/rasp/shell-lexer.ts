@@ -0,0 +1,153 @@
+/**
+ * Minimal POSIX shell lexer, enough to tell which parts of a command line are
+ * words, operators and substitutions. Not a full parser: it doesn't expand
+ * anything, it only records where each token starts and ends.
+ */
+
+export type ShellTokenType = 'word' | 'operator' | 'substitution' | 'expansion' | 'comment';
+
+export interface ShellToken {
+  type: ShellTokenType;
+  value: string;
+  start: number;
+  end: number; // Exclusive
+  word: number; // Index of the shell word the token belongs to, -1 for operators and comments
+}
+
+// Longest first, so '&&' wins over '&'
+const OPERATORS = ['&&', '||', ';;', '|&', '>>', '<<', '>&', '<&', '>|', '<>', ';', '&', '|', '<', '>', '(', ')', '\n'];
+
+export function tokenizeShell(command: string): ShellToken[] {
+  const tokens: ShellToken[] = [];
+  const length = command.length;
+  let word = -1;
+  let wordCount = 0;
+  let literalStart = -1;
+  let i = 0;
+
+  const startLiteral = () => {
+    if (word === -1) word = wordCount++;
+    if (literalStart === -1) literalStart = i;
+  };
+
+  const flushLiteral = () => {
+    if (literalStart !== -1 && i > literalStart) {
+      tokens.push({ type: 'word', value: command.slice(literalStart, i), start: literalStart, end: i, word });
+    }
+    literalStart = -1;
+  };
+
+  const endWord = () => {
+    flushLiteral();
+    word = -1;
+  };
+
+  // $(...), `...`, ${...} or $NAME inside the current word
+  const pushDynamic = (): boolean => {
+    const dynamic = scanDynamic(command, i);
+    if (!dynamic) return false;
+
+    if (word === -1) word = wordCount++;
+    flushLiteral();
+    tokens.push({ type: dynamic.type, value: command.slice(i, dynamic.end), start: i, end: dynamic.end, word });
+    i = dynamic.end;
+    return true;
+  };
+
+  while (i < length) {
+    const char = command[i];
+
+    if (char === ' ' || char === '\t' || char === '\r') {
+      endWord();
+      i++;
+      continue;
+    }
+
+    if (char === '#' && word === -1) {
+      const end = command.indexOf('\n', i);
+      tokens.push({ type: 'comment', value: command.slice(i, end === -1 ? length : end), start: i, end: end === -1 ? length : end, word: -1 });
+      i = end === -1 ? length : end;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => command.startsWith(op, i));
+    if (operator) {
+      endWord();
+      tokens.push({ type: 'operator', value: operator, start: i, end: i + operator.length, word: -1 });
+      i += operator.length;
+      continue;
+    }
+
+    if ((char === '$' || char === '`') && pushDynamic()) {
+      continue;
+    }
+
+    startLiteral();
+
+    if (char === '\\') {
+      i += 2;
+    } else if (char === "'") {
+      const end = command.indexOf("'", i + 1);
+      i = end === -1 ? length : end + 1;
+    } else if (char === '"') {
+      i++;
+      while (i < length && command[i] !== '"') {
+        if (command[i] === '\\') {
+          i += 2;
+        } else if ((command[i] === '$' || command[i] === '`') && pushDynamic()) {
+          startLiteral();
+        } else {
+          i++;
+        }
+      }
+      i = Math.min(i + 1, length);
+    } else {
+      i++;
+    }
+  }
+
+  endWord();
+  return tokens;
+}
+
+function scanDynamic(command: string, start: number): { type: 'substitution' | 'expansion'; end: number } | null {
+  if (command[start] === '`') {
+    let i = start + 1;
+    while (i < command.length && command[i] !== '`') {
+      i += command[i] === '\\' ? 2 : 1;
+    }
+    return { type: 'substitution', end: Math.min(i + 1, command.length) };
+  }
+
+  const next = command[start + 1];
+
+  // $(command) and $((arithmetic))
+  if (next === '(') {
+    return { type: 'substitution', end: findClosing(command, start + 1, '(', ')') };
+  }
+
+  if (next === '{') {
+    return { type: 'expansion', end: findClosing(command, start + 1, '{', '}') };
+  }
+
+  const name = /^(?:[A-Za-z_][A-Za-z0-9_]*|[0-9@*#?$!-])/.exec(command.slice(start + 1));
+  if (name) {
+    return { type: 'expansion', end: start + 1 + name[0].length };
+  }
+
+  return null;
+}
+
+function findClosing(command: string, open: number, openChar: string, closeChar: string): number {
+  let depth = 0;
+  for (let i = open; i < command.length; i++) {
+    if (command[i] === '\\') {
+      i++;
+    } else if (command[i] === openChar) {
+      depth++;
+    } else if (command[i] === closeChar && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return command.length;
+}
@@ -0,0 +1,129 @@
+import { AimlessConfig, SecurityThreat, ThreatType } from '../../types';
+import { tokenizeShell } from '../shell-lexer';
+import { findTaintedRanges, TaintedValue } from '../taint';
+import { createSinkReporter, getTaintSource, SinkGuard, SinkGuardOptions } from './shared';
+
+/**
+ * Request input is only allowed inside a single word of the command line.
+ * A tainted value that spans several words, or overlaps an operator, a
+ * substitution or an expansion, changed what the shell will run.
+ */
+export function detectShellInjection(command: string, taintedValues: Iterable<string | TaintedValue> | undefined): SecurityThreat | null {
+  const ranges = findTaintedRanges(command, taintedValues);
+  if (ranges.length === 0) return null;
+
+  const tokens = tokenizeShell(command);
+
+  for (const range of ranges) {
+    const overlapping = tokens.filter(token => token.start < range.end && token.end > range.start);
+    const structural = overlapping.find(token => token.type !== 'word');
+    const words = new Set(overlapping.map(token => token.word));
+
+    if (!structural && words.size <= 1) continue;
+
+    return {
+      type: ThreatType.COMMAND_INJECTION,
+      severity: 'critical',
+      description: structural
+        ? `Request input adds shell ${structural.type} "${structural.value.substring(0, 20)}" to a command`
+        : `Request input spans ${words.size} words of a shell command`,
+      payload: range.value.substring(0, 100),
+      timestamp: new Date(),
+      blocked: true,
+      confidence: 100,
+      metadata: {
+        location: range.location, // Where the input came from, e.g. 'query.file'
+        command: command.substring(0, 200),
+        token: structural?.value,
+        words: words.size
+      }
+    };
+  }
+
+  return null;
+}
+
+// Functions that always run through a shell, and those that do with `shell: true`
+const SHELL_FUNCTIONS = ['exec', 'execSync'];
+const SHELL_OPTION_FUNCTIONS = ['spawn', 'spawnSync', 'execFile', 'execFileSync'];
+
+/**
+ * Wrap child_process functions that run a shell. Each call is checked with
+ * detectShellInjection against the current taint source (by default the
+ * request opened by the Express middleware), and blocked calls
+ * throw SinkBlockedError instead of starting a process.
+ *
+ * Code that destructured the functions before installation keeps the
+ * originals, so install the guard at startup.
+ */
+export function installChildProcessGuard(config: AimlessConfig = {}, options: SinkGuardOptions = {}): SinkGuard {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const childProcess = require('child_process');
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const { promisify } = require('util');
+  const report = createSinkReporter(config, options);
+  const taintSource = getTaintSource(options);
+  const originals = new Map<string, (...args: any[]) => any>();
+
+  // exec() calls module.exports.execFile() with shell: true, check that command once
+  let checking = false;
+
+  const check = (name: string, command: string) => {
+    const threat = detectShellInjection(command, taintSource());
+    if (threat) report(`child_process.${name}`, threat);
+  };
+
+  const wrap = (name: string, getCommand: (args: any[]) => string | null) => {
+    const original = childProcess[name];
+    if (typeof original !== 'function') return;
+    originals.set(name, original);
+
+    const guard = (fn: (...args: any[]) => any) => function (this: unknown, ...args: any[]) {
+      if (checking) return fn.apply(this, args);
+
+      const command = getCommand(args);
+      if (command !== null) check(name, command);
+
+      checking = true;
+      try {
+        return fn.apply(this, args);
+      } finally {
+        checking = false;
+      }
+    };
+
+    const wrapped = guard(original);
+
+    // util.promisify(exec) resolves to { stdout, stderr } through a custom implementation
+    const custom = original[promisify.custom];
+    if (typeof custom === 'function') {
+      Object.defineProperty(wrapped, promisify.custom, { value: guard(custom) });
+    }
+
+    childProcess[name] = wrapped;
+  };
+
+  for (const name of SHELL_FUNCTIONS) {
+    wrap(name, args => typeof args[0] === 'string' ? args[0] : null);
+  }
+
+  for (const name of SHELL_OPTION_FUNCTIONS) {
+    wrap(name, ([file, argsOrOptions, maybeOptions]) => {
+      const args = Array.isArray(argsOrOptions) ? argsOrOptions : [];
+      const spawnOptions = Array.isArray(argsOrOptions) ? maybeOptions : argsOrOptions;
+      if (!spawnOptions?.shell || typeof file !== 'string') return null;
+
+      // Node joins the command and arguments with spaces before handing them to the shell
+      return [file, ...args].join(' ');
+    });
+  }
+
+  return {
+    uninstall: () => {
+      originals.forEach((original, name) => {
+        childProcess[name] = original;
+      });
+      originals.clear();
+    }
+  };
+}
@@ -0,0 +1,159 @@
+import { AimlessConfig, SecurityThreat, ThreatType } from '../../types';
+import { findTaintedRanges, TaintedValue } from '../taint';
+import { createSinkReporter, getTaintSource, SinkGuard, SinkGuardOptions } from './shared';
+
+export interface CodeGuardOptions extends SinkGuardOptions {
+  // Files allowed to compile request input, matched against the calling stack frame (substring or RegExp)
+  allowedCallers?: (string | RegExp)[];
+}
+
+/**
+ * Any request input in code about to be compiled is a threat: there is no
+ * safe place for it in a JavaScript source string.
+ */
+export function detectCodeInjection(code: string, taintedValues: Iterable<string | TaintedValue> | undefined): SecurityThreat | null {
+  const [range] = findTaintedRanges(code, taintedValues);
+  if (!range) return null;
+
+  return {
+    type: ThreatType.CODE_INJECTION,
+    severity: 'critical',
+    description: 'Request input reaches dynamically compiled code',
+    payload: range.value.substring(0, 100),
+    timestamp: new Date(),
+    blocked: true,
+    confidence: 100,
+    metadata: {
+      location: range.location,
+      code: code.substring(0, 200)
+    }
+  };
+}
+
+type Wrapper = ((...args: any[]) => unknown) | (new (...args: any[]) => unknown);
+
+/**
+ * File of the frame that called `wrapper`
+ */
+function getCallerFile(wrapper: Wrapper): string | undefined {
+  const prepare = Error.prepareStackTrace;
+  try {
+    Error.prepareStackTrace = (_, callSites) => callSites;
+    const holder: { stack?: NodeJS.CallSite[] } = {};
+    Error.captureStackTrace(holder, wrapper);
+    return holder.stack?.find(site => site.getFileName())?.getFileName() || undefined;
+  } finally {
+    Error.prepareStackTrace = prepare;
+  }
+}
+
+// The constructors reachable as `fn.constructor`, e.g. `({}).constructor.constructor('return process')()`
+const FUNCTION_CONSTRUCTORS: (new (...args: string[]) => unknown)[] = [
+  Function,
+  Object.getPrototypeOf(async function () { /* empty */ }).constructor,
+  Object.getPrototypeOf(function* () { /* empty */ }).constructor,
+  Object.getPrototypeOf(async function* () { /* empty */ }).constructor
+];
+
+/**
+ * Wrap eval, the Function constructors (global `Function` and every
+ * `fn.constructor`), vm.Script, vm.runInContext/runInNewContext/
+ * runInThisContext/compileFunction and setTimeout/setInterval called with a
+ * string. Blocked calls throw SinkBlockedError before anything is compiled.
+ *
+ * The wrapped eval is an indirect eval: code runs in the global scope, not
+ * the caller's. Code relying on direct eval reading local variables breaks.
+ */
+export function installCodeExecutionGuard(config: AimlessConfig = {}, options: CodeGuardOptions = {}): SinkGuard {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const vm = require('vm');
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const { promisify } = require('util');
+  const report = createSinkReporter(config, options);
+  const taintSource = getTaintSource(options);
+  const allowedCallers = options.allowedCallers || [];
+  const restore: (() => void)[] = [];
+
+  const check = (sink: string, code: unknown, wrapper: Wrapper) => {
+    if (typeof code !== 'string') return;
+
+    const threat = detectCodeInjection(code, taintSource());
+    if (!threat) return;
+
+    // Only walk the stack once something was found
+    const caller = getCallerFile(wrapper);
+    if (caller && allowedCallers.some(allowed => typeof allowed === 'string' ? caller.includes(allowed) : allowed.test(caller))) {
+      return;
+    }
+
+    threat.metadata = { ...threat.metadata, caller };
+    report(sink, threat);
+  };
+
+  // Through descriptors, AsyncFunction.prototype.constructor and friends are read-only
+  const replace = (target: any, name: string, value: unknown) => {
+    const descriptor = Object.getOwnPropertyDescriptor(target, name);
+    Object.defineProperty(target, name, { ...descriptor, value });
+    restore.push(() => {
+      Object.defineProperty(target, name, descriptor!);
+    });
+  };
+
+  const originalEval = globalThis.eval;
+  const guardedEval = function (code: unknown) {
+    check('eval', code, guardedEval);
+    return originalEval(code as string);
+  };
+  replace(globalThis, 'eval', guardedEval);
+
+  for (const Constructor of FUNCTION_CONSTRUCTORS) {
+    const guardedConstructor = function (this: unknown, ...args: unknown[]) {
+      check(Constructor.name, args.map(String).join(','), guardedConstructor);
+      return new Constructor(...(args as string[]));
+    };
+    // instanceof Function keeps working
+    guardedConstructor.prototype = Constructor.prototype;
+
+    replace(Constructor.prototype, 'constructor', guardedConstructor);
+    if (Constructor === Function) replace(globalThis, 'Function', guardedConstructor);
+  }
+
+  const OriginalScript = vm.Script;
+  class GuardedScript extends OriginalScript {
+    constructor(code: unknown, scriptOptions?: unknown) {
+      check('vm.Script', code, GuardedScript);
+      super(code, scriptOptions);
+    }
+  }
+  replace(vm, 'Script', GuardedScript);
+
+  for (const name of ['runInContext', 'runInNewContext', 'runInThisContext', 'compileFunction']) {
+    const original = vm[name];
+    const guarded = function (this: unknown, code: unknown, ...args: unknown[]) {
+      // compileFunction(code, params)
+      const params = name === 'compileFunction' && Array.isArray(args[0]) ? `${args[0].join(',')},` : '';
+      check(`vm.${name}`, typeof code === 'string' ? params + code : code, guarded);
+      return original.call(this, code, ...args);
+    };
+    replace(vm, name, guarded);
+  }
+
+  // Node rejects string callbacks on its own, other runtimes compile them
+  for (const name of ['setTimeout', 'setInterval']) {
+    const original = (globalThis as any)[name];
+    const guarded = function (this: unknown, handler: unknown, ...args: unknown[]) {
+      check(name, handler, guarded);
+      return original.call(this, handler, ...args);
+    };
+    // Keep util.promisify(setTimeout)
+    const custom = original[promisify.custom];
+    if (custom) Object.defineProperty(guarded, promisify.custom, { value: custom });
+    replace(globalThis, name, guarded);
+  }
+
+  return {
+    uninstall: () => {
+      restore.splice(0).reverse().forEach(undo => undo());
+    }
+  };
+}
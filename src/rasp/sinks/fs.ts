@@ -0,0 +1,197 @@
+import { AimlessConfig, SecurityThreat, ThreatType } from '../../types';
+import { TaintedValue } from '../taint';
+import { createSinkReporter, getTaintSource, SinkGuard, SinkGuardOptions } from './shared';
+
+export interface FsGuardOptions extends SinkGuardOptions {
+  roots?: string[]; // Directories request input may reach, defaults to the working directory
+}
+
+// Leading ../ and ./ segments, removed to find what a traversal pointed at
+const LEADING_TRAVERSAL = /^(?:\.{1,2}(?:\/|$))+/;
+
+// Callback and sync functions taking a path first
+const PATH_FUNCTIONS = [
+  'readFile', 'readFileSync', 'writeFile', 'writeFileSync', 'appendFile', 'appendFileSync',
+  'open', 'openSync', 'createReadStream', 'createWriteStream'
+];
+const PROMISE_FUNCTIONS = ['readFile', 'writeFile', 'appendFile', 'open'];
+
+function isWithin(root: string, target: string): boolean {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const path = require('path');
+  const relative = path.relative(root, target);
+  return relative === '' || (relative !== '..' && !relative.startsWith('..' + path.sep) && !path.isAbsolute(relative));
+}
+
+/**
+ * Whether `value` sits in `path` as whole segments: `avatars/me.png` in
+ * /app/uploads/avatars/me.png, not `application/json` in
+ * /usr/share/mime/application/json.xml. Both use `/` separators
+ */
+function includesSegments(path: string, value: string): boolean {
+  for (let index = path.indexOf(value); index !== -1; index = path.indexOf(value, index + 1)) {
+    const end = index + value.length;
+    const starts = index === 0 || path[index - 1] === '/' || value.startsWith('/');
+    const ends = end === path.length || path[end] === '/' || value.endsWith('/');
+    if (starts && ends) return true;
+  }
+  return false;
+}
+
+/**
+ * The tainted value that moved a path. Only values with a separator or a
+ * `..` can leave the directory the code picked; they are found as written
+ * (string concatenation) or, for traversals path.join()/resolve() already
+ * collapsed, by what they pointed at.
+ */
+function findPathTaint(raw: string, resolved: string, values: Iterable<string | TaintedValue> | undefined): TaintedValue | null {
+  if (!values) return null;
+  const target = resolved.replace(/\\/g, '/');
+  const written = raw.replace(/\\/g, '/');
+
+  for (const entry of values) {
+    const tainted = typeof entry === 'string' ? { value: entry, location: '' } : entry;
+    const value = tainted?.value;
+    if (typeof value !== 'string' || value.length < 2) continue;
+
+    const normalized = value.replace(/\\/g, '/');
+    if (!normalized.includes('/') && normalized !== '..') continue;
+    if (includesSegments(written, normalized)) return tainted;
+
+    // '../..' on its own only moves up, '../../etc/passwd' shows up at the end
+    const tail = normalized.replace(LEADING_TRAVERSAL, '').replace(/^\/+/, '');
+    if (tail.length < normalized.length && (tail === '' || (tail.length >= 2 && target.includes('/' + tail)))) {
+      return tainted;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the path a file system call will use and report it when it lies
+ * outside every allowed root and request input built it. Paths the app built
+ * on its own, like config or certificate files, are never reported.
+ */
+export function detectPathEscape(
+  filePath: string,
+  taintedValues: Iterable<string | TaintedValue> | undefined,
+  roots: string[]
+): SecurityThreat | null {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const path = require('path');
+  const resolved = path.resolve(filePath);
+  if (roots.some(root => isWithin(path.resolve(root), resolved))) return null;
+
+  const taint = findPathTaint(filePath, resolved, taintedValues);
+  if (!taint) return null;
+
+  return {
+    type: ThreatType.PATH_TRAVERSAL,
+    severity: 'critical',
+    description: 'Request input makes a file path escape its allowed roots',
+    payload: taint.value.substring(0, 100),
+    timestamp: new Date(),
+    blocked: true,
+    confidence: 100,
+    metadata: {
+      location: taint.location || undefined,
+      path: resolved,
+      roots
+    }
+  };
+}
+
+/**
+ * A path argument as a string: strings, Buffers and file: URLs. File
+ * descriptors and anything else are skipped.
+ */
+function toPath(arg: unknown): string | null {
+  if (typeof arg === 'string') return arg;
+  if (typeof Buffer !== 'undefined' && Buffer.isBuffer(arg)) return arg.toString();
+  if (arg instanceof URL && arg.protocol === 'file:') {
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    return require('url').fileURLToPath(arg);
+  }
+  return null;
+}
+
+/**
+ * Wrap fs read, write and open functions (callback, sync and fs.promises)
+ * and createReadStream/createWriteStream. Each path is resolved and checked
+ * with detectPathEscape, and blocked calls throw SinkBlockedError (or
+ * reject, for fs.promises) before the file is touched.
+ *
+ * Code that destructured the functions before installation keeps the
+ * originals, so install the guard at startup.
+ */
+export function installFsGuard(config: AimlessConfig = {}, options: FsGuardOptions = {}): SinkGuard {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const fs = require('fs');
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const path = require('path');
+  const report = createSinkReporter(config, options);
+  const taintSource = getTaintSource(options);
+  const roots: string[] = (options.roots || [process.cwd()]).map((root: string) => path.resolve(root));
+  const originalOpen = fs.open;
+  const restore: (() => void)[] = [];
+
+  // readFileSync() opens through fs.openSync(), check that path once
+  let checking = false;
+
+  const check = (name: string, arg: unknown) => {
+    const filePath = toPath(arg);
+    if (filePath === null) return;
+
+    const threat = detectPathEscape(filePath, taintSource(), roots);
+    if (threat) report(`fs.${name}`, threat);
+  };
+
+  // Streams open their file on a later tick through fs.open(), hand them the original
+  const withOriginalOpen = (streamOptions: unknown) => {
+    const base = typeof streamOptions === 'string' ? { encoding: streamOptions } : (streamOptions as Record<string, any>) || {};
+    if (base.fs || base.fd !== undefined) return streamOptions;
+    return { ...base, fs: { open: originalOpen, read: fs.read, write: fs.write, writev: fs.writev, close: fs.close } };
+  };
+
+  const wrap = (target: any, name: string, wrapper: (original: (...args: any[]) => any) => (...args: any[]) => any) => {
+    const original = target?.[name];
+    if (typeof original !== 'function') return;
+
+    target[name] = wrapper(original);
+    restore.push(() => {
+      target[name] = original;
+    });
+  };
+
+  for (const name of PATH_FUNCTIONS) {
+    wrap(fs, name, original => function (this: unknown, ...args: any[]) {
+      if (checking) return original.apply(this, args);
+      check(name, args[0]);
+
+      if (name === 'createReadStream' || name === 'createWriteStream') {
+        args[1] = withOriginalOpen(args[1]);
+      }
+
+      checking = true;
+      try {
+        return original.apply(this, args);
+      } finally {
+        checking = false;
+      }
+    });
+  }
+
+  for (const name of PROMISE_FUNCTIONS) {
+    wrap(fs.promises, name, original => async function (this: unknown, ...args: any[]) {
+      check(`promises.${name}`, args[0]);
+      return original.apply(this, args);
+    });
+  }
+
+  return {
+    uninstall: () => {
+      restore.splice(0).reverse().forEach(undo => undo());
+    }
+  };
+}
@@ -0,0 +1,283 @@
+import { AimlessConfig, SecurityThreat, ThreatType } from '../../types';
+import { AddressCategory, classifyAddress, isIPAddress } from '../ip-ranges';
+import { addRequestTaint, TaintedValue } from '../taint';
+import { createSinkReporter, getTaintSource, SinkGuard, SinkGuardOptions } from './shared';
+
+/**
+ * Resolve a hostname to the addresses a connection may use
+ */
+export type HostResolver = (hostname: string) => Promise<string[]>;
+
+export interface SSRFGuardOptions extends SinkGuardOptions {
+  resolver?: HostResolver; // Defaults to dns.lookup(), or the lookup option of the request
+  allowedHosts?: string[]; // Hostnames request input may point at even when they are internal
+  maxRedirects?: number; // Redirects fetch() follows, default 20
+}
+
+// The app's own origin, sent by every browser and routinely used to call back into the app
+const SELF_REFERENCING = new Set(['header.host', 'header.origin', 'header.referer']);
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * The hostname of a URL as written, after any userinfo and before the port
+ */
+function rawHostname(url: string): string {
+  const authority = url.replace(/^[a-z][a-z0-9+.-]*:[\\/]*/i, '').split(/[\\/?#]/)[0];
+  const host = authority.slice(authority.lastIndexOf('@') + 1);
+  return host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.split(':')[0];
+}
+
+/**
+ * The tainted value that supplied the whole hostname of an outbound
+ * request. Input that only fills in a path, a query or a subdomain label
+ * leaves the destination to the code and isn't checked.
+ */
+export function findHostTaint(
+  url: string,
+  taintedValues: Iterable<string | TaintedValue> | undefined,
+  hostOnly = false
+): TaintedValue | null {
+  if (!taintedValues) return null;
+
+  const host = rawHostname(url).toLowerCase();
+  if (host.length < 2) return null;
+
+  for (const entry of taintedValues) {
+    const tainted = typeof entry === 'string' ? { value: entry, location: '' } : entry;
+    if (typeof tainted?.value !== 'string' || SELF_REFERENCING.has(tainted.location)) continue;
+
+    if (tainted.value.toLowerCase().includes(host) && (hostOnly || url.includes(tainted.value))) {
+      return tainted;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * A threat for the first non-public address in `addresses`, or null
+ */
+export function checkAddresses(url: string, hostname: string, addresses: string[]): SecurityThreat | null {
+  for (const address of addresses) {
+    const category: AddressCategory | null = classifyAddress(address);
+    if (!category) continue;
+
+    return {
+      type: ThreatType.SSRF,
+      severity: 'critical',
+      description: `Request input points an outbound request at a ${category} address`,
+      payload: url.substring(0, 200),
+      timestamp: new Date(),
+      blocked: true,
+      confidence: 100,
+      metadata: { url: url.substring(0, 200), hostname, address, category }
+    };
+  }
+
+  return null;
+}
+
+function defaultResolver(lookup?: (...args: any[]) => void): HostResolver {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const resolve = lookup || require('dns').lookup;
+  return hostname => new Promise((fulfill, reject) => {
+    resolve(hostname, { all: true }, (error: Error | null, entries: { address: string }[] | string) => {
+      if (error) return reject(error);
+      fulfill(Array.isArray(entries) ? entries.map(entry => entry.address) : [entries]);
+    });
+  });
+}
+
+/**
+ * The URL an http(s).request() / get() call will connect to, from a URL
+ * string, a URL object or request options
+ */
+function getRequestTarget(args: any[], protocol: string): { url: string; options: Record<string, any>; hostOnly: boolean } | null {
+  const [first, second] = args;
+  const fromOptions = (options: Record<string, any>) => {
+    const host = String(options.hostname || options.host || 'localhost');
+    return `${options.protocol || protocol}//${host.includes(':') && !host.startsWith('[') ? `[${host}]` : host}`;
+  };
+
+  if (typeof first === 'string' || first instanceof URL) {
+    const options = second && typeof second === 'object' ? second : {};
+    const hostOnly = Boolean(options.hostname || options.host);
+    return { url: hostOnly ? fromOptions(options) : String(first), options, hostOnly };
+  }
+
+  if (first && typeof first === 'object') {
+    return { url: fromOptions(first), options: first, hostOnly: true };
+  }
+
+  return null;
+}
+
+/**
+ * Hook http.request/get, https.request/get and global fetch. When request
+ * input supplied the hostname of an outbound request, the hostname is
+ * resolved and the request is blocked if any address is loopback, private,
+ * link-local, cloud metadata or otherwise not public.
+ *
+ * For http(s) the vetted addresses are the ones the socket connects to (the
+ * check runs as the request's `lookup`), and responses redirecting a checked
+ * request taint the redirect target, so clients following redirects, like
+ * follow-redirects, check every hop. fetch() redirects are followed manually
+ * and every hop is checked before it is requested.
+ */
+export function installSSRFGuard(config: AimlessConfig = {}, options: SSRFGuardOptions = {}): SinkGuard {
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const http = require('http');
+  // eslint-disable-next-line @typescript-eslint/no-var-requires
+  const https = require('https');
+  const report = createSinkReporter(config, options);
+  const taintSource = getTaintSource(options);
+  const allowedHosts = new Set((options.allowedHosts || []).map(host => host.toLowerCase()));
+  const maxRedirects = options.maxRedirects ?? 20;
+  const restore: (() => void)[] = [];
+
+  // Throws SinkBlockedError when a blocked address is reported
+  const check = (sink: string, url: URL, addresses: string[], taint: TaintedValue) => {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    if (allowedHosts.has(hostname.toLowerCase())) return;
+
+    const threat = checkAddresses(url.href, hostname, addresses);
+    if (threat) {
+      threat.metadata = { ...threat.metadata, location: taint.location || undefined };
+      report(sink, threat);
+    }
+  };
+
+  const resolveAndCheck = async (sink: string, url: URL, taint: TaintedValue, resolver: HostResolver) => {
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    check(sink, url, isIPAddress(hostname) ? [hostname] : await resolver(hostname), taint);
+  };
+
+  // Redirect targets of a checked request are request-derived too
+  const taintRedirect = (response: { statusCode?: number; headers: Record<string, any> }) => {
+    const location = response.headers.location;
+    if (REDIRECT_STATUSES.has(response.statusCode || 0) && typeof location === 'string') {
+      addRequestTaint({ value: location, location: 'redirect' });
+    }
+  };
+
+  const wrapRequest = (module: any, name: string, protocol: string) => {
+    const original = module[name];
+    const sink = `${protocol.slice(0, -1)}.${name}`;
+
+    module[name] = function (this: unknown, ...args: any[]) {
+      const target = getRequestTarget(args, protocol);
+      const taint = target && findHostTaint(target.url, taintSource(), target.hostOnly);
+      if (!target || !taint) return original.apply(this, args);
+
+      const url = new URL(target.url);
+      const hostname = url.hostname.replace(/^\[|\]$/g, '');
+
+      if (isIPAddress(hostname)) {
+        // Literal addresses never go through lookup
+        check(sink, url, [hostname], taint);
+      } else {
+        // Check the addresses the socket will connect to, so DNS can't change between check and use
+        const resolver = options.resolver || defaultResolver(target.options.lookup);
+        const lookup = (host: string, lookupOptions: { all?: boolean; family?: number }, callback: (...result: any[]) => void) => {
+          const settle = (...result: any[]) => process.nextTick(() => callback(...result));
+
+          resolver(host).then(resolved => {
+            check(sink, url, resolved, taint);
+
+            const addresses = resolved
+              .map(address => ({ address, family: address.includes(':') ? 6 : 4 }))
+              .filter(entry => !lookupOptions.family || entry.family === lookupOptions.family);
+
+            if (addresses.length === 0) {
+              settle(Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: 'ENOTFOUND', hostname: host }));
+            } else if (lookupOptions.all) {
+              settle(null, addresses);
+            } else {
+              settle(null, addresses[0].address, addresses[0].family);
+            }
+          }).catch(error => settle(error));
+        };
+
+        const requestOptions = { ...target.options, lookup };
+        if (typeof args[0] === 'string' || args[0] instanceof URL) {
+          args = [args[0], requestOptions, ...args.slice(args[1] && typeof args[1] === 'object' ? 2 : 1)];
+        } else {
+          args = [requestOptions, ...args.slice(1)];
+        }
+      }
+
+      const request = original.apply(this, args);
+      request.on('response', taintRedirect);
+      return request;
+    };
+
+    restore.push(() => {
+      module[name] = original;
+    });
+  };
+
+  wrapRequest(http, 'request', 'http:');
+  wrapRequest(http, 'get', 'http:');
+  wrapRequest(https, 'request', 'https:');
+  wrapRequest(https, 'get', 'https:');
+
+  const originalFetch = globalThis.fetch;
+  if (typeof originalFetch === 'function') {
+    const resolver = options.resolver || defaultResolver();
+
+    globalThis.fetch = async function (input: any, init?: any): Promise<Response> {
+      const href = typeof input === 'string' || input instanceof URL ? String(input) : input?.url;
+      const taint = typeof href === 'string' ? findHostTaint(href, taintSource()) : null;
+      if (!taint) return originalFetch(input, init);
+
+      let current = new URL(href);
+      await resolveAndCheck('fetch', current, taint, resolver);
+
+      const redirect = init?.redirect ?? input?.redirect ?? 'follow';
+      if (redirect !== 'follow') return originalFetch(input, init);
+
+      let method = String(init?.method ?? input?.method ?? 'GET').toUpperCase();
+      let body = init?.body;
+      const headers = new Headers(init?.headers ?? input?.headers);
+      const signal = init?.signal ?? input?.signal;
+
+      let response = await originalFetch(input, { ...init, redirect: 'manual' });
+
+      for (let hops = 0; REDIRECT_STATUSES.has(response.status); hops++) {
+        const location = response.headers.get('location');
+        if (!location) return response;
+        if (hops >= maxRedirects) throw new TypeError('fetch failed: redirect count exceeded');
+
+        const next = new URL(location, current);
+        await response.body?.cancel();
+        await resolveAndCheck('fetch', next, taint, resolver);
+
+        // The method and header changes fetch makes when it follows redirects itself
+        if ((response.status === 303 && method !== 'GET' && method !== 'HEAD') || ((response.status === 301 || response.status === 302) && method === 'POST')) {
+          method = 'GET';
+          body = undefined;
+          ['content-type', 'content-length', 'content-encoding', 'content-language', 'content-location'].forEach(name => headers.delete(name));
+        }
+        if (next.origin !== current.origin) {
+          ['authorization', 'cookie', 'proxy-authorization'].forEach(name => headers.delete(name));
+        }
+
+        current = next;
+        response = await originalFetch(next, { ...init, method, headers, body, signal, redirect: 'manual' });
+      }
+
+      return response;
+    };
+
+    restore.push(() => {
+      globalThis.fetch = originalFetch;
+    });
+  }
+
+  return {
+    uninstall: () => {
+      restore.splice(0).reverse().forEach(undo => undo());
+    }
+  };
+}
@@ -0,0 +1,60 @@
+import { AimlessConfig, SecurityThreat } from '../../types';
+import { RequestInspector } from '../../middleware/core';
+import { getTaintedRequest, requestTaintSource, TaintSource } from '../taint';
+
+export interface SinkGuardOptions {
+  taintSource?: TaintSource; // Request-derived strings reachable at the sink, defaults to the middleware's request context
+  blockMode?: boolean; // Throw at the call site, defaults to rasp.blockMode
+}
+
+/**
+ * An installed sink hook
+ */
+export interface SinkGuard {
+  uninstall: () => void;
+}
+
+/**
+ * Thrown at the sink when a call is blocked, instead of running it
+ */
+export class SinkBlockedError extends Error {
+  readonly code = 'AIMLESS_SINK_BLOCKED';
+  readonly threat: SecurityThreat;
+
+  constructor(threat: SecurityThreat) {
+    super(`Blocked by Aimless Security: ${threat.description}`);
+    this.name = 'SinkBlockedError';
+    this.threat = threat;
+  }
+}
+
+/**
+ * Report sink threats through the inspector, so they are logged, sent to
+ * webhooks and counted in analytics like request threats. Throws
+ * SinkBlockedError when the threat blocks.
+ */
+export function createSinkReporter(config: AimlessConfig, options: SinkGuardOptions) {
+  const inspector = new RequestInspector(config);
+
+  return (sink: string, threat: SecurityThreat): void => {
+    // Attribute the threat to the request being handled when there is one
+    const request = getTaintedRequest();
+    threat.metadata = { ...threat.metadata, sink };
+
+    const decision = inspector.inspectPayload(undefined, {
+      method: request?.method || 'SINK',
+      path: request?.path || sink,
+      ip: request?.ip || 'unknown',
+      headers: request?.headers,
+      threats: [threat]
+    }, { blockMode: options.blockMode });
+
+    if (decision.action === 'block') {
+      throw new SinkBlockedError(threat);
+    }
+  };
+}
+
+export function getTaintSource(options: SinkGuardOptions): TaintSource {
+  return options.taintSource || requestTaintSource;
+}
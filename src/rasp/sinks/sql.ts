@@ -0,0 +1,161 @@
+import { AimlessConfig, SecurityThreat, ThreatType } from '../../types';
+import { SQLDialect, tokenizeSQL } from '../sql-lexer';
+import { findTaintedRanges, TaintedValue } from '../taint';
+import { createSinkReporter, getTaintSource, SinkGuard, SinkGuardOptions } from './shared';
+import { requirePeer } from '../../optional-peer';
+
+export type SQLDriver = 'pg' | 'mysql2' | 'sqlite3';
+
+export interface SQLGuardOptions extends SinkGuardOptions {
+  // Driver modules to instrument, by default every one of pg, mysql2 and sqlite3 that can be required
+  drivers?: Partial<Record<SQLDriver, any>>;
+}
+
+/**
+ * Request input is only allowed inside a single token of the query: one
+ * string literal, number, identifier or keyword. A tainted value that spans
+ * several tokens, or includes the quote or comment marker around one,
+ * changed the structure of the query.
+ */
+export function detectSQLStructureChange(
+  sql: string,
+  taintedValues: Iterable<string | TaintedValue> | undefined,
+  dialect: SQLDialect = 'generic'
+): SecurityThreat | null {
+  const ranges = findTaintedRanges(sql, taintedValues);
+  if (ranges.length === 0) return null;
+
+  const tokens = tokenizeSQL(sql, dialect);
+
+  for (const range of ranges) {
+    const overlapping = tokens.filter(token => token.start < range.end && token.end > range.start);
+    if (overlapping.length === 0) continue;
+
+    if (overlapping.length === 1) {
+      const [token] = overlapping;
+      // Surrounding whitespace is harmless, quotes and comment markers aren't
+      const value = range.value;
+      const start = range.start + (value.length - value.trimStart().length);
+      const end = range.end - (value.length - value.trimEnd().length);
+      if (start >= token.contentStart && end <= token.contentEnd) continue;
+    }
+
+    return {
+      type: ThreatType.SQL_INJECTION,
+      severity: 'critical',
+      description: overlapping.length > 1
+        ? `Request input spans ${overlapping.length} SQL tokens`
+        : `Request input closes a SQL ${overlapping[0].type}`,
+      payload: range.value.substring(0, 100),
+      timestamp: new Date(),
+      blocked: true,
+      confidence: 100,
+      metadata: {
+        location: range.location,
+        query: sql.substring(0, 200),
+        dialect,
+        tokens: overlapping.slice(0, 5).map(token => `${token.type}:${token.value.substring(0, 20)}`)
+      }
+    };
+  }
+
+  return null;
+}
+
+interface DriverHook {
+  dialect: SQLDialect;
+  getPrototype: (driver: any) => any;
+  methods: string[];
+}
+
+// Hooking the connection is enough, pools run their queries through it
+const DRIVERS: Record<SQLDriver, DriverHook> = {
+  pg: {
+    dialect: 'postgres',
+    getPrototype: pg => pg.Client?.prototype,
+    methods: ['query']
+  },
+  mysql2: {
+    dialect: 'mysql',
+    getPrototype: mysql => mysql.Connection?.prototype,
+    methods: ['query', 'execute', 'prepare']
+  },
+  sqlite3: {
+    dialect: 'sqlite',
+    getPrototype: sqlite => sqlite.Database?.prototype,
+    methods: ['run', 'get', 'all', 'each', 'map', 'exec', 'prepare']
+  }
+};
+
+/**
+ * The SQL text of a query call: a string, `{ text }` (pg) or `{ sql }` (mysql2)
+ */
+function getQueryText(query: unknown): string | null {
+  if (typeof query === 'string') return query;
+  if (query && typeof query === 'object') {
+    const { text, sql } = query as { text?: unknown; sql?: unknown };
+    if (typeof text === 'string') return text;
+    if (typeof sql === 'string') return sql;
+  }
+  return null;
+}
+
+function loadDriver(name: SQLDriver): any {
+  try {
+    return requirePeer(name);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Wrap the query functions of the pg, mysql2 and sqlite3 drivers. The SQL
+ * text is checked with detectSQLStructureChange before the driver sees it,
+ * so bound parameters are never part of it, and blocked queries throw
+ * SinkBlockedError at the call site instead of running.
+ */
+export function installSQLGuard(config: AimlessConfig = {}, options: SQLGuardOptions = {}): SinkGuard {
+  const report = createSinkReporter(config, options);
+  const taintSource = getTaintSource(options);
+  const restore: (() => void)[] = [];
+
+  const drivers = options.drivers
+    ? Object.entries(options.drivers) as [SQLDriver, any][]
+    : (Object.keys(DRIVERS) as SQLDriver[]).map(name => [name, loadDriver(name)] as [SQLDriver, any]);
+
+  for (const [name, driver] of drivers) {
+    const hook = DRIVERS[name];
+    const prototype = hook && driver ? hook.getPrototype(driver) : null;
+    if (!prototype) continue;
+
+    for (const method of hook.methods) {
+      const original = prototype[method];
+      if (typeof original !== 'function') continue;
+
+      // Subclass prototypes (mysql2) inherit the method, put it back the same way
+      const hadOwn = Object.prototype.hasOwnProperty.call(prototype, method);
+      prototype[method] = function (this: unknown, ...args: any[]) {
+        const sql = getQueryText(args[0]);
+        if (sql !== null) {
+          const threat = detectSQLStructureChange(sql, taintSource(), hook.dialect);
+          if (threat) report(`${name}.${method}`, threat);
+        }
+        return original.apply(this, args);
+      };
+
+      restore.push(() => {
+        if (hadOwn) {
+          prototype[method] = original;
+        } else {
+          delete prototype[method];
+        }
+      });
+    }
+  }
+
+  return {
+    uninstall: () => {
+      restore.splice(0).reverse().forEach(undo => undo());
+    }
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * Small SQL lexer, enough to tell where literals, identifiers, keywords and
+ * operators start and end in a query. It doesn't parse statements, and
+ * dialect differences are limited to what changes token boundaries:
+ * backslash escapes, `#` comments and double-quoted strings in MySQL,
+ * dollar-quoted strings in PostgreSQL.
+ */
+
+export type SQLDialect = 'generic' | 'mysql' | 'postgres' | 'sqlite';
+
+export type SQLTokenType =
+  | 'string'
+  | 'number'
+  | 'identifier'
+  | 'keyword'
+  | 'variable'
+  | 'operator'
+  | 'punctuation'
+  | 'comment';
+
+export interface SQLToken {
+  type: SQLTokenType;
+  value: string;
+  start: number;
+  end: number; // Exclusive
+  // Inside the quotes or comment markers, the same as start/end for other tokens
+  contentStart: number;
+  contentEnd: number;
+}
+
+const KEYWORDS = new Set([
+  'ADD', 'ALL', 'ALTER', 'AND', 'ANY', 'AS', 'ASC', 'BEGIN', 'BETWEEN', 'BY', 'CASE', 'CAST', 'COLLATE',
+  'COLUMN', 'COMMIT', 'CONSTRAINT', 'CREATE', 'CROSS', 'DATABASE', 'DECLARE', 'DEFAULT', 'DELETE', 'DESC',
+  'DISTINCT', 'DROP', 'ELSE', 'END', 'EXCEPT', 'EXEC', 'EXECUTE', 'EXISTS', 'FALSE', 'FETCH', 'FOR', 'FROM',
+  'FULL', 'GRANT', 'GROUP', 'HAVING', 'IF', 'IN', 'INDEX', 'INNER', 'INSERT', 'INTERSECT', 'INTO', 'IS',
+  'JOIN', 'LEFT', 'LIKE', 'LIMIT', 'LOAD_FILE', 'NOT', 'NULL', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER',
+  'OUTFILE', 'PROCEDURE', 'REPLACE', 'RETURNING', 'REVOKE', 'RIGHT', 'ROLLBACK', 'SELECT', 'SET', 'SHUTDOWN',
+  'SLEEP', 'TABLE', 'THEN', 'TOP', 'TRUE', 'TRUNCATE', 'UNION', 'UPDATE', 'USING', 'VALUES', 'WAITFOR',
+  'WHEN', 'WHERE', 'WITH', 'XOR'
+]);
+
+// Longest first, so '<=>' wins over '<='
+const OPERATORS = [
+  '<=>', '->>', '<>', '!=', '<=', '>=', '||', '&&', '::', '<<', '>>', '->',
+  '=', '<', '>', '+', '-', '*', '/', '%', '!', '|', '&', '^', '~'
+];
+
+const PUNCTUATION = '(),;.[]{}';
+
+export function tokenizeSQL(sql: string, dialect: SQLDialect = 'generic'): SQLToken[] {
+  const tokens: SQLToken[] = [];
+  const length = sql.length;
+  const mysql = dialect === 'mysql';
+  let i = 0;
+
+  const push = (type: SQLTokenType, end: number, contentStart = i, contentEnd = end) => {
+    tokens.push({ type, value: sql.slice(i, end), start: i, end, contentStart, contentEnd });
+    i = end;
+  };
+
+  while (i < length) {
+    const char = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    // -- and # comments run to the end of the line
+    if ((char === '-' && next === '-') || (char === '#' && mysql)) {
+      const newline = sql.indexOf('\n', i);
+      const end = newline === -1 ? length : newline;
+      push('comment', end, i + (char === '#' ? 1 : 2));
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      const close = sql.indexOf('*/', i + 2);
+      push('comment', close === -1 ? length : close + 2, i + 2, close === -1 ? length : close);
+      continue;
+    }
+
+    if (char === "'" || (char === '"' && mysql)) {
+      push('string', ...scanQuoted(sql, i, char, mysql));
+      continue;
+    }
+
+    // E'...', N'...', X'...', B'...'
+    if (/[ENXBenxb]/.test(char) && next === "'") {
+      push('string', ...scanQuoted(sql, i + 1, "'", mysql || char === 'E' || char === 'e'));
+      continue;
+    }
+
+    if (char === '"' || char === '`') {
+      push('identifier', ...scanQuoted(sql, i, char, false));
+      continue;
+    }
+
+    if (char === '[' && dialect !== 'postgres' && dialect !== 'mysql') {
+      const close = sql.indexOf(']', i + 1);
+      push('identifier', close === -1 ? length : close + 1, i + 1, close === -1 ? length : close);
+      continue;
+    }
+
+    if (char === '$') {
+      // $tag$ ... $tag$
+      const tag = /^\$[A-Za-z_]*\$/.exec(sql.slice(i));
+      if (tag && dialect !== 'mysql') {
+        const close = sql.indexOf(tag[0], i + tag[0].length);
+        const end = close === -1 ? length : close + tag[0].length;
+        push('string', end, i + tag[0].length, close === -1 ? length : close);
+        continue;
+      }
+
+      // $1 placeholders
+      const placeholder = /^\$\d+/.exec(sql.slice(i));
+      if (placeholder) {
+        push('variable', i + placeholder[0].length);
+        continue;
+      }
+    }
+
+    if (char === '?') {
+      push('variable', i + 1);
+      continue;
+    }
+
+    // :name placeholders and @name / @@name variables
+    if ((char === ':' && /[A-Za-z_]/.test(next || '')) || char === '@') {
+      const variable = /^(?::|@@?)[A-Za-z0-9_$.]*/.exec(sql.slice(i));
+      push('variable', i + Math.max(variable![0].length, 1));
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next || ''))) {
+      const number = /^(?:0x[0-9a-fA-F]+|0b[01]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/.exec(sql.slice(i));
+      push('number', i + number![0].length);
+      continue;
+    }
+
+    if (/[A-Za-z_\u0080-\uffff]/.test(char)) {
+      const word = /^[A-Za-z0-9_$\u0080-\uffff]+/.exec(sql.slice(i));
+      const value = word![0];
+      push(KEYWORDS.has(value.toUpperCase()) ? 'keyword' : 'identifier', i + value.length);
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => sql.startsWith(op, i));
+    if (operator) {
+      push('operator', i + operator.length);
+      continue;
+    }
+
+    if (PUNCTUATION.includes(char)) {
+      push('punctuation', i + 1);
+      continue;
+    }
+
+    // Anything else stands on its own
+    push('operator', i + 1);
+  }
+
+  return tokens;
+}
+
+/**
+ * End and content bounds of a quoted token opening at `quote`. A doubled
+ * quote is an escaped quote; backslashes escape only when `backslash` is set.
+ */
+function scanQuoted(sql: string, quote: number, char: string, backslash: boolean): [number, number, number] {
+  let i = quote + 1;
+
+  while (i < sql.length) {
+    if (backslash && sql[i] === '\\') {
+      i += 2;
+    } else if (sql[i] === char && sql[i + 1] === char) {
+      i += 2;
+    } else if (sql[i] === char) {
+      return [i + 1, quote + 1, i];
+    } else {
+      i++;
+    }
+  }
+
+  // Unterminated, runs to the end of the query
+  return [sql.length, quote + 1, sql.length];
+}
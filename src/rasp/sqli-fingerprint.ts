@@ -0,0 +1,225 @@
+/**
+ * libinjection-style SQL injection detection for input values. The value is
+ * tokenized as it would read in the three places input lands in a query:
+ * bare (a number or column position), right after an opening `'` and right
+ * after an opening `"`. Each token sequence is folded into a short
+ * fingerprint, one character per token, and matched against known attack
+ * shapes.
+ *
+ * The signature set is a curated list of attack structures (tautologies,
+ * UNION, stacked queries, comment truncation, blind and ORDER BY probes),
+ * not libinjection's generated list of several thousand fingerprints.
+ */
+
+import { SQLToken, tokenizeSQL } from './sql-lexer';
+
+export type SQLInputContext = 'bare' | 'single-quote' | 'double-quote';
+
+export type SQLAttackType = 'tautology' | 'union' | 'stacked' | 'blind' | 'comment' | 'order-by';
+
+export interface SQLFingerprintMatch {
+  fingerprint: string;
+  context: SQLInputContext;
+  attackType: SQLAttackType;
+  confidence: number;
+}
+
+// Fingerprints keep this many tokens, like libinjection
+const FINGERPRINT_LENGTH = 5;
+
+/*
+ * Token letters:
+ *   s string, 1 number (and TRUE/FALSE/NULL), n identifier, v variable,
+ *   f function call, k keyword, E statement keyword, U set operator,
+ *   B GROUP BY/ORDER BY/HAVING/LIMIT, & AND/OR/XOR, o other operator,
+ *   c comment, and ( ) , ; as themselves
+ */
+const WORD_TYPES: Record<string, string> = {
+  UNION: 'U', INTERSECT: 'U', EXCEPT: 'U', MINUS: 'U',
+  SELECT: 'E', INSERT: 'E', UPDATE: 'E', DELETE: 'E', DROP: 'E', CREATE: 'E', ALTER: 'E', EXEC: 'E',
+  EXECUTE: 'E', TRUNCATE: 'E', DECLARE: 'E', SHUTDOWN: 'E', WAITFOR: 'E', GRANT: 'E', REVOKE: 'E',
+  MERGE: 'E', REPLACE: 'E', HANDLER: 'E', CALL: 'E',
+  AND: '&', OR: '&', XOR: '&',
+  NOT: 'o', IN: 'o', IS: 'o', LIKE: 'o', RLIKE: 'o', REGEXP: 'o', BETWEEN: 'o', DIV: 'o', MOD: 'o',
+  SOUNDS: 'o', COLLATE: 'o',
+  GROUP: 'B', ORDER: 'B', HAVING: 'B', LIMIT: 'B', PROCEDURE: 'B',
+  TRUE: '1', FALSE: '1', NULL: '1',
+  DELAY: 'k' // WAITFOR DELAY
+};
+
+// Operators folded away between two numbers: 1+1 reads as 1, 1=1 doesn't
+const ARITHMETIC = new Set(['+', '-', '*', '/', '%', '^', '|', '&', '<<', '>>', 'DIV', 'MOD']);
+
+// Operators that can stand in front of a value
+const UNARY = new Set(['+', '-', '!', '~', 'NOT']);
+
+// Prefixes of known attack fingerprints, with the confidence the structure gives
+const SIGNATURES: [string, SQLAttackType, number][] = [
+  // UNION [ALL] SELECT after the value
+  ['sUE', 'union', 100], ['sU(E', 'union', 100], ['s)UE', 'union', 100], ['s)U(E', 'union', 100],
+  ['1UE', 'union', 100], ['1U(E', 'union', 100], ['1)UE', 'union', 100], ['1)U(E', 'union', 100],
+  ['nUE', 'union', 95], ['n)UE', 'union', 95],
+  // A second statement
+  ['s;E', 'stacked', 100], ['s);E', 'stacked', 100], ['1;E', 'stacked', 100], ['1);E', 'stacked', 100],
+  ['n;E', 'stacked', 90],
+  // Comparisons and calls joined with AND/OR
+  ['s&so', 'tautology', 95], ['s&1o', 'tautology', 95], ['s&no', 'tautology', 95], ['s&vo', 'tautology', 95],
+  ['s&(', 'tautology', 95], ['s)&', 'tautology', 95], ['s&1c', 'tautology', 90], ['s&nc', 'tautology', 85],
+  ['1&1o', 'tautology', 90], ['1&so', 'tautology', 90], ['1&no', 'tautology', 90], ['1&vo', 'tautology', 90],
+  ['1&(', 'tautology', 90], ['1)&', 'tautology', 90], ['n&1o', 'tautology', 80], ['n&so', 'tautology', 80],
+  // Function calls (SLEEP, BENCHMARK, EXTRACTVALUE...) evaluated for their side effect or error
+  ['s&f(', 'blind', 95], ['1&f(', 'blind', 95], ['sof(', 'blind', 90], ['so(E', 'blind', 95],
+  ['s&(E', 'blind', 95], ['1&(E', 'blind', 95], ['sEks', 'blind', 90], ['1Eks', 'blind', 90],
+  // Column count probes
+  ['sB1', 'order-by', 70], ['s)B1', 'order-by', 70], ['1B1', 'order-by', 70]
+];
+
+// Whole fingerprints, for shapes that are only an attack with nothing after them
+const EXACT_SIGNATURES: [string, SQLAttackType, number][] = [
+  ['sos', 'tautology', 85], ['sosc', 'tautology', 90], ['s&1', 'tautology', 75],
+  ['sc', 'comment', 80], ['s)c', 'comment', 80], ['s;c', 'comment', 80]
+];
+
+interface TypedToken {
+  type: string;
+  token: SQLToken;
+  word: string; // Upper-cased value, for words and operators
+}
+
+/**
+ * MySQL runs the content of `/*! ... *\/` comments (after an optional
+ * version number), so it is tokenized as code
+ */
+function expandExecutableComments(tokens: SQLToken[], source: string): SQLToken[] {
+  return tokens.flatMap(token => {
+    if (token.type !== 'comment' || !token.value.startsWith('/*!')) return [token];
+    const content = source.slice(token.contentStart + 1, token.contentEnd).replace(/^\d{5,6}/, '');
+    return tokenizeSQL(content, 'mysql');
+  });
+}
+
+function classify(tokens: SQLToken[]): TypedToken[] {
+  // Comments inside the value only hide keywords, a trailing one truncates the query
+  const kept = tokens.filter((token, index) => token.type !== 'comment' || index === tokens.length - 1);
+
+  const typed: TypedToken[] = [];
+  kept.forEach((token, index) => {
+    const word = token.value.toUpperCase();
+    const next = kept[index + 1];
+    let type: string;
+
+    switch (token.type) {
+      case 'string': type = 's'; break;
+      case 'number': type = '1'; break;
+      case 'variable': type = 'v'; break;
+      case 'comment': type = 'c'; break;
+      case 'punctuation': type = '(),;'.includes(token.value) ? token.value : (token.value === '.' ? '.' : 'o'); break;
+      case 'operator': type = word === '&&' || word === '||' ? '&' : 'o'; break;
+      default: {
+        type = WORD_TYPES[word] || (token.type === 'keyword' ? 'k' : 'n');
+        // Words that aren't already structure become calls in front of a parenthesis
+        if ((type === 'n' || type === 'k') && next?.value === '(') type = 'f';
+      }
+    }
+
+    // ORDER BY and GROUP BY are one token, UNION ALL / UNION DISTINCT too
+    const previous = typed[typed.length - 1];
+    if (word === 'BY' && previous?.type === 'B') return;
+    if ((word === 'ALL' || word === 'DISTINCT') && previous?.type === 'U') return;
+
+    typed.push({ type, token, word });
+  });
+
+  return typed;
+}
+
+/**
+ * Fold token runs that read as a single value: adjacent strings (MySQL
+ * concatenates them), qualified names, arithmetic between numbers, unary
+ * operators and repeated parentheses
+ */
+function fold(tokens: TypedToken[]): TypedToken[] {
+  const folded: TypedToken[] = [];
+
+  for (const token of tokens) {
+    const previous = folded[folded.length - 1];
+    const beforePrevious = folded[folded.length - 2];
+
+    if (token.type === 's' && previous?.type === 's') continue;
+    if ((token.type === '(' || token.type === ')') && previous?.type === token.type) continue;
+
+    if (token.type === 'n' && previous?.type === '.' && beforePrevious?.type === 'n') {
+      folded.pop();
+      continue;
+    }
+
+    if (token.type === '1' && previous?.type === 'o' && ARITHMETIC.has(previous.word) && beforePrevious?.type === '1') {
+      folded.pop();
+      continue;
+    }
+
+    // -1, NOT 1, !x at the start of an expression
+    if (previous?.type === 'o' && UNARY.has(previous.word) && 'sn1vf('.includes(token.type) &&
+      (!beforePrevious || 'o&(,;BkE'.includes(beforePrevious.type))) {
+      folded.pop();
+    }
+
+    folded.push(token);
+  }
+
+  return folded;
+}
+
+function parse(value: string, context: SQLInputContext): TypedToken[] {
+  const source = (context === 'single-quote' ? "'" : context === 'double-quote' ? '"' : '') + value;
+  return fold(classify(expandExecutableComments(tokenizeSQL(source, 'mysql'), source))).slice(0, FINGERPRINT_LENGTH);
+}
+
+/**
+ * The folded fingerprint of `value` read in `context`, one letter per token
+ * (see WORD_TYPES), cut to the first five tokens
+ */
+export function fingerprintSQL(value: string, context: SQLInputContext = 'bare'): string {
+  return parse(value, context).map(token => token.type).join('');
+}
+
+function matchSignature(tokens: TypedToken[]): [SQLAttackType, number] | null {
+  const fingerprint = tokens.map(token => token.type).join('');
+
+  for (const [shape, attackType, confidence] of EXACT_SIGNATURES) {
+    if (fingerprint !== shape) continue;
+    // admin'-- truncates the query, a quote before '#1 choice' doesn't
+    const { token } = tokens[tokens.length - 1];
+    if (attackType === 'comment' && token.value.slice(token.contentStart - token.start, token.contentEnd - token.start).trim() !== '') continue;
+    return [attackType, confidence];
+  }
+
+  for (const [shape, attackType, confidence] of SIGNATURES) {
+    if (fingerprint.startsWith(shape)) return [attackType, confidence];
+  }
+
+  return null;
+}
+
+/**
+ * Check `value` in every context it could have been written for and return
+ * the most confident match, or null when no context parses as an attack.
+ * Quote contexts are only tried when the value contains that quote.
+ */
+export function detectSQLFingerprint(value: string): SQLFingerprintMatch | null {
+  const contexts: SQLInputContext[] = ['bare'];
+  if (value.includes("'")) contexts.push('single-quote');
+  if (value.includes('"')) contexts.push('double-quote');
+
+  let best: SQLFingerprintMatch | null = null;
+
+  for (const context of contexts) {
+    const tokens = parse(value, context);
+    const match = matchSignature(tokens);
+    if (match && (!best || match[1] > best.confidence)) {
+      best = { fingerprint: tokens.map(token => token.type).join(''), context, attackType: match[0], confidence: match[1] };
+    }
+  }
+
+  return best;
+}
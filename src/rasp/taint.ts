@@ -0,0 +1,199 @@
+import type { AsyncLocalStorage } from 'async_hooks';
+import { inputPath } from './input-paths';
+
+/**
+ * A request-derived string and where it came from, e.g. `query.file`,
+ * `body.items[3].comment`, `header.user-agent` or `cookie.session`
+ */
+export interface TaintedValue {
+  value: string;
+  location: string;
+}
+
+/**
+ * Request-derived strings that may reach a sink. Called at the sink, so it
+ * can read whatever tracks the current request.
+ */
+export type TaintSource = () => Iterable<string | TaintedValue> | undefined;
+
+/**
+ * The request a taint context was opened for
+ */
+export interface TaintedRequest {
+  method?: string;
+  path?: string;
+  ip?: string;
+  query?: unknown;
+  body?: unknown;
+  headers?: Record<string, string | string[] | undefined>;
+}
+
+export interface TaintedRange {
+  value: string;
+  start: number;
+  end: number; // Exclusive
+  location?: string;
+}
+
+// Shorter values match everywhere and say nothing about where they came from
+const MIN_TAINT_LENGTH = 2;
+
+// Headers the browser or HTTP stack fills from a small vocabulary (`*/*`,
+// `application/json`, `gzip`), found in any path or command built later
+const STRUCTURAL_HEADER = /^(?:accept(?:-.+)?|content-(?:type|length|encoding)|user-agent|connection|keep-alive|cache-control|pragma|te|transfer-encoding|upgrade|upgrade-insecure-requests|dnt|priority|sec-.+)$/;
+
+// Bounds for walking request bodies
+const MAX_DEPTH = 10;
+const MAX_VALUES = 1000;
+
+/**
+ * Every occurrence of a tainted value in a string built for a sink
+ */
+export function findTaintedRanges(text: string, values: Iterable<string | TaintedValue> | undefined): TaintedRange[] {
+  const ranges: TaintedRange[] = [];
+  if (!values) return ranges;
+
+  // First location wins when the same string arrived twice
+  const locations = new Map<string, string | undefined>();
+  for (const entry of values) {
+    const value = typeof entry === 'string' ? entry : entry?.value;
+    if (typeof value !== 'string' || value.length < MIN_TAINT_LENGTH || locations.has(value)) continue;
+    locations.set(value, typeof entry === 'string' ? undefined : entry.location);
+  }
+
+  locations.forEach((location, value) => {
+    let index = text.indexOf(value);
+    while (index !== -1) {
+      ranges.push({ value, start: index, end: index + value.length, location });
+      index = text.indexOf(value, index + 1);
+    }
+  });
+
+  return ranges;
+}
+
+/**
+ * Flatten the query, body, headers and cookies of a request into tainted
+ * values. Structural headers (Accept*, Content-Type, User-Agent...) are left out
+ */
+export function collectTaintedValues(request: TaintedRequest): TaintedValue[] {
+  const values: TaintedValue[] = [];
+  const seen = new WeakSet<object>();
+
+  const walk = (value: unknown, location: string, depth: number) => {
+    if (values.length >= MAX_VALUES) return;
+
+    if (typeof value === 'string') {
+      values.push({ value, location });
+    } else if (typeof value === 'number') {
+      values.push({ value: String(value), location });
+    } else if (value && typeof value === 'object' && depth < MAX_DEPTH && !seen.has(value)) {
+      seen.add(value);
+      if (Array.isArray(value)) {
+        value.forEach((item, index) => walk(item, inputPath(location, index), depth + 1));
+      } else {
+        for (const [key, item] of Object.entries(value)) {
+          walk(item, inputPath(location, key), depth + 1);
+        }
+      }
+    }
+  };
+
+  walk(request.query, 'query', 0);
+  walk(request.body, 'body', 0);
+
+  for (const [name, value] of Object.entries(request.headers || {})) {
+    if (name === 'cookie') {
+      parseCookies(value).forEach(([cookie, cookieValue]) => walk(cookieValue, `cookie.${cookie}`, 0));
+    } else if (!STRUCTURAL_HEADER.test(name.toLowerCase())) {
+      walk(value, `header.${name}`, 0);
+    }
+  }
+
+  return values;
+}
+
+function parseCookies(header: string | string[] | undefined): [string, string][] {
+  const cookies: [string, string][] = [];
+  const lines = Array.isArray(header) ? header : header ? [header] : [];
+
+  for (const line of lines) {
+    for (const pair of line.split(';')) {
+      const separator = pair.indexOf('=');
+      if (separator === -1) continue;
+
+      const raw = pair.slice(separator + 1).trim();
+      let value = raw;
+      try {
+        value = decodeURIComponent(raw);
+      } catch {
+        // Keep malformed encodings as sent
+      }
+      cookies.push([pair.slice(0, separator).trim(), value]);
+    }
+  }
+
+  return cookies;
+}
+
+interface RequestTaintStore {
+  request: TaintedRequest;
+  values?: TaintedValue[];
+}
+
+// Created on first use, AsyncLocalStorage doesn't exist on edge runtimes
+let storage: AsyncLocalStorage<RequestTaintStore> | null | undefined;
+
+function getStorage(): AsyncLocalStorage<RequestTaintStore> | null {
+  if (storage === undefined) {
+    try {
+      // eslint-disable-next-line @typescript-eslint/no-var-requires
+      storage = new (require('async_hooks').AsyncLocalStorage)();
+    } catch {
+      storage = null;
+    }
+  }
+  return storage ?? null;
+}
+
+/**
+ * Run `fn` (and everything it schedules) with the request as the taint
+ * context. Values are only collected when a sink asks for them.
+ */
+export function runWithRequestTaint<T>(request: TaintedRequest, fn: () => T): T {
+  const store = getStorage();
+  return store ? store.run({ request }, fn) : fn();
+}
+
+/**
+ * The request being handled, if any
+ */
+export function getTaintedRequest(): TaintedRequest | undefined {
+  return getStorage()?.getStore()?.request;
+}
+
+/**
+ * Tainted values of the request being handled, if any
+ */
+export function getRequestTaint(): TaintedValue[] | undefined {
+  const store = getStorage()?.getStore();
+  if (!store) return undefined;
+
+  if (!store.values) {
+    store.values = collectTaintedValues(store.request);
+  }
+  return store.values;
+}
+
+/**
+ * Mark a value derived from the current request as tainted too, e.g. a
+ * redirect target returned for a tainted URL. No-op outside a request.
+ */
+export function addRequestTaint(value: TaintedValue): void {
+  getRequestTaint()?.push(value);
+}
+
+/**
+ * Default taint source of the sink guards: the request opened by the middleware
+ */
+export const requestTaintSource: TaintSource = getRequestTaint;
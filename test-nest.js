@@ -0,0 +1,252 @@
+/**
+ * NestJS Integration Tests
+ * Tests AimlessModule, the global guard and interceptor, and the decorators
+ */
+
+require('reflect-metadata');
+const { Controller, Post, Body, Inject, Module } = require('@nestjs/common');
+const { NestFactory } = require('@nestjs/core');
+const { RpcException } = require('@nestjs/microservices');
+const { of } = require('rxjs');
+const {
+  AimlessModule,
+  AimlessInterceptor,
+  AimlessProtect,
+  AimlessSkip,
+  AIMLESS_THREATS
+} = require('./dist/index.js');
+
+let testsPassed = 0;
+let testsFailed = 0;
+const pending = [];
+
+function test(name, fn) {
+  const run = async () => {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      testsPassed++;
+    } catch (error) {
+      console.error(`❌ ${name}`);
+      console.error(`   Error: ${error.message}`);
+      testsFailed++;
+    }
+  };
+  pending.push(run);
+}
+
+console.log('🧪 Testing NestJS Integration\n');
+
+const sqlInjection = { comment: "1' OR '1'='1' UNION SELECT password FROM users--" };
+
+// Decorators applied by hand, as TypeScript would emit them
+function decorateMethod(target, name, decorators) {
+  const descriptor = Object.getOwnPropertyDescriptor(target.prototype, name);
+  Object.defineProperty(target.prototype, name, Reflect.decorate(decorators, target.prototype, name, descriptor));
+}
+
+class CommentsController {
+  constructor(aimless) {
+    this.aimless = aimless;
+  }
+
+  create(body) {
+    return { received: body, threats: this.aimless.threats.length, blocked: this.aimless.blocked };
+  }
+
+  skipped(body) {
+    return { received: body };
+  }
+}
+
+Inject(AIMLESS_THREATS)(CommentsController, undefined, 0);
+Body()(CommentsController.prototype, 'create', 0);
+Body()(CommentsController.prototype, 'skipped', 0);
+decorateMethod(CommentsController, 'create', [Post()]);
+decorateMethod(CommentsController, 'skipped', [Post('skipped'), AimlessSkip()]);
+Controller('comments')(CommentsController);
+
+class AdminController {
+  create(body) {
+    return { received: body };
+  }
+}
+
+Body()(AdminController.prototype, 'create', 0);
+decorateMethod(AdminController, 'create', [Post()]);
+Reflect.decorate([Controller('admin'), AimlessProtect({ maxThreatLevel: 'low', requireAuth: true })], AdminController);
+
+async function startNest(config) {
+  class AppModule {}
+  Module({
+    imports: [AimlessModule.forRoot({ logging: { enabled: false }, ...config })],
+    controllers: [CommentsController, AdminController]
+  })(AppModule);
+
+  const app = await NestFactory.create(AppModule, { logger: false });
+  await app.listen(0, '127.0.0.1');
+  const { port } = app.getHttpServer().address();
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return { app, request };
+}
+
+// ============================================================================
+// Guard
+// ============================================================================
+
+test('Nest: clean requests reach the controller', async () => {
+  const { app, request } = await startNest({ rasp: { blockMode: true } });
+  try {
+    const { status, body } = await request('POST', '/comments', { comment: 'Great article, thanks' });
+    if (status !== 201) throw new Error(`Expected 201, got ${status}`);
+    if (body.threats !== 0) throw new Error('Expected no threats');
+  } finally {
+    await app.close();
+  }
+});
+
+test('Nest: guard inspects the parsed body and blocks in block mode', async () => {
+  const { app, request } = await startNest({ rasp: { blockMode: true } });
+  try {
+    const { status, body } = await request('POST', '/comments', sqlInjection);
+    if (status !== 403) throw new Error(`Expected 403, got ${status}`);
+    if (!body.message.includes('Aimless Security')) throw new Error('Expected the block payload');
+  } finally {
+    await app.close();
+  }
+});
+
+test('Nest: AIMLESS_THREATS exposes threats in monitor mode', async () => {
+  const { app, request } = await startNest({ rasp: { blockMode: false } });
+  try {
+    const { status, body } = await request('POST', '/comments', sqlInjection);
+    if (status !== 201) throw new Error(`Monitor mode should not block, got ${status}`);
+    if (body.threats === 0) throw new Error('Threats should be injectable');
+    if (body.blocked) throw new Error('Request should not be marked blocked');
+  } finally {
+    await app.close();
+  }
+});
+
+test('Nest: @AimlessSkip() bypasses the checks', async () => {
+  const { app, request } = await startNest({ rasp: { blockMode: true } });
+  try {
+    const { status } = await request('POST', '/comments/skipped', sqlInjection);
+    if (status !== 201) throw new Error(`Expected 201, got ${status}`);
+  } finally {
+    await app.close();
+  }
+});
+
+test('Nest: @AimlessProtect() requires auth on the controller', async () => {
+  const { app, request } = await startNest({ rasp: { blockMode: false } });
+  try {
+    const anonymous = await request('POST', '/admin', { name: 'report' });
+    if (anonymous.status !== 403) throw new Error(`Expected 403 without auth, got ${anonymous.status}`);
+
+    const authenticated = await request('POST', '/admin', { name: 'report' }, { authorization: 'Bearer token' });
+    if (authenticated.status !== 201) throw new Error(`Expected 201 with auth, got ${authenticated.status}`);
+  } finally {
+    await app.close();
+  }
+});
+
+test('Nest: @AimlessProtect() maxThreatLevel blocks even in monitor mode', async () => {
+  const { app, request } = await startNest({ rasp: { blockMode: false } });
+  try {
+    const { status } = await request('POST', '/admin', sqlInjection, { authorization: 'Bearer token' });
+    if (status !== 403) throw new Error(`Expected 403, got ${status}`);
+
+    // Other controllers keep the global monitor mode
+    const comments = await request('POST', '/comments', sqlInjection);
+    if (comments.status !== 201) throw new Error(`Expected 201, got ${comments.status}`);
+  } finally {
+    await app.close();
+  }
+});
+
+// ============================================================================
+// Interceptor
+// ============================================================================
+
+function rpcContext(data) {
+  class OrdersController {
+    create() {}
+  }
+  return {
+    getType: () => 'rpc',
+    getClass: () => OrdersController,
+    getHandler: () => OrdersController.prototype.create,
+    switchToRpc: () => ({ getData: () => data, getContext: () => ({}) })
+  };
+}
+
+test('Nest: interceptor rejects malicious microservice payloads', async () => {
+  const interceptor = new AimlessInterceptor({ logging: { enabled: false }, rasp: { blockMode: true } });
+  const next = { handle: () => of('handled') };
+
+  const result = await interceptor.intercept(rpcContext({ id: 1, note: 'ok' }), next);
+  if (!result) throw new Error('Clean payload should be handled');
+
+  try {
+    await interceptor.intercept(rpcContext(sqlInjection), next);
+    throw new Error('Malicious payload should be rejected');
+  } catch (error) {
+    if (!(error instanceof RpcException)) throw error;
+    if (error.getError().status !== 403) throw new Error('Expected status 403 in the RPC error');
+  }
+});
+
+test('Nest: interceptor waits for asynchronous custom detectors', async () => {
+  const interceptor = new AimlessInterceptor({
+    logging: { enabled: false },
+    rasp: {
+      blockMode: true,
+      detectors: [{
+        name: 'order-limit',
+        detect: async ({ body }) => body.id > 100
+          ? [{ type: 'anomalous_behavior', severity: 'high', description: 'Order over the limit', timestamp: new Date(), blocked: true }]
+          : []
+      }]
+    }
+  });
+  const next = { handle: () => of('handled') };
+
+  if (!await interceptor.intercept(rpcContext({ id: 1 }), next)) throw new Error('Clean payload should be handled');
+
+  try {
+    await interceptor.intercept(rpcContext({ id: 101 }), next);
+    throw new Error('Payload flagged by the detector should be rejected');
+  } catch (error) {
+    if (!(error instanceof RpcException)) throw error;
+  }
+});
+
+// Results
+(async () => {
+  for (const run of pending) {
+    await run();
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50));
+
+  if (testsFailed > 0) {
+    console.log('\n⚠️  Some NestJS tests failed.');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 All NestJS integration tests passed!');
+    process.exit(0);
+  }
+})();
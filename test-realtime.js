@@ -0,0 +1,558 @@
+/**
+ * Real-time Integration Tests
+ * Tests WebSocket upgrade checks, per-message inspection and Socket.IO middleware
+ */
+
+const http = require('http');
+const { WebSocket, WebSocketServer } = require('ws');
+const { Server: SocketIOServer } = require('socket.io');
+const { io: ioClient } = require('socket.io-client');
+const { Aimless } = require('./dist/index.js');
+
+let testsPassed = 0;
+let testsFailed = 0;
+const pending = [];
+
+function test(name, fn) {
+  const run = async () => {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      testsPassed++;
+    } catch (error) {
+      console.error(`❌ ${name}`);
+      console.error(`   Error: ${error.message}`);
+      testsFailed++;
+    }
+  };
+  pending.push(run);
+}
+
+console.log('🧪 Testing Real-time Integrations\n');
+
+// ============================================================================
+// ws
+// ============================================================================
+
+/**
+ * Start a ws server on a random port. Messages that reach the
+ * application are collected in `received`.
+ */
+async function startWsServer(config, options, useVerifyClient = false) {
+  const aimless = new Aimless({ logging: { enabled: false }, ...config });
+  const guard = aimless.websocket();
+  const server = http.createServer();
+  const wss = new WebSocketServer({
+    server,
+    ...(useVerifyClient ? { verifyClient: guard.verifyClient } : {})
+  });
+  const received = [];
+  const sockets = [];
+
+  guard.attach(wss, options);
+  wss.on('connection', (socket) => {
+    sockets.push(socket);
+    socket.on('message', (data) => received.push(data.toString()));
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    received,
+    sockets,
+    close: () => new Promise(resolve => {
+      wss.clients.forEach(client => client.terminate());
+      wss.close(() => server.close(resolve));
+    })
+  };
+}
+
+function connect(url, options) {
+  return new Promise((resolve, reject) => {
+    const client = new WebSocket(url, options);
+    client.once('open', () => resolve(client));
+    client.once('unexpected-response', (req, res) => resolve({ rejected: res.statusCode }));
+    client.once('error', reject);
+  });
+}
+
+function waitForClose(client) {
+  return new Promise(resolve => client.once('close', (code) => resolve(code)));
+}
+
+// Messages are processed in order, so a clean message sent last marks the end
+async function sendAndFlush(client, server, messages) {
+  const marker = `flush-${Math.random()}`;
+  for (const message of messages) client.send(message);
+  client.send(marker);
+
+  const start = Date.now();
+  while (!server.received.includes(marker)) {
+    if (Date.now() - start > 2000) throw new Error('Timed out waiting for messages');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('ws: clean JSON messages reach the application', async () => {
+  const server = await startWsServer({ rasp: { blockMode: true } });
+  try {
+    const client = await connect(server.url);
+    await sendAndFlush(client, server, [JSON.stringify({ type: 'chat', text: 'Hello, world!' })]);
+
+    if (server.received.length !== 2) throw new Error(`Expected 2 messages, got ${server.received.length}`);
+    if (server.sockets[0].aimless.blocked) throw new Error('Clean message should not be blocked');
+    client.close();
+  } finally {
+    await server.close();
+  }
+});
+
+test('ws: "drop" swallows malicious messages and keeps the connection', async () => {
+  const server = await startWsServer({ rasp: { blockMode: false } }, { action: 'drop' });
+  try {
+    const client = await connect(server.url);
+    await sendAndFlush(client, server, [
+      JSON.stringify({ text: "' OR '1'='1' --" }),
+      JSON.stringify({ text: '<script>alert(1)</script>' }),
+      'fine'
+    ]);
+
+    if (server.received.some(m => m.includes('OR') || m.includes('script'))) {
+      throw new Error('Malicious messages should be dropped');
+    }
+    if (!server.received.includes('fine')) throw new Error('Clean message should be delivered');
+    if (client.readyState !== WebSocket.OPEN) throw new Error('Connection should stay open');
+    client.close();
+  } finally {
+    await server.close();
+  }
+});
+
+test('ws: "close" closes the socket with 1008 in block mode', async () => {
+  const server = await startWsServer({ rasp: { blockMode: true } });
+  try {
+    const client = await connect(server.url);
+    const closed = waitForClose(client);
+    client.send(JSON.stringify({ query: { $where: 'sleep(5000)' }, text: '<img src=x onerror=alert(1)>' }));
+
+    const code = await closed;
+    if (code !== 1008) throw new Error(`Expected close code 1008, got ${code}`);
+    if (server.received.length) throw new Error('Blocked message should not reach the application');
+  } finally {
+    await server.close();
+  }
+});
+
+test('ws: "report" delivers messages and records threats', async () => {
+  const server = await startWsServer({ rasp: { blockMode: true } }, { action: 'report' });
+  try {
+    const client = await connect(server.url);
+    await sendAndFlush(client, server, ['<script>alert(1)</script>']);
+
+    if (!server.received.includes('<script>alert(1)</script>')) {
+      throw new Error('Report mode should deliver the message');
+    }
+    if (server.sockets[0].aimless.blocked) throw new Error('Report mode should never block');
+    client.close();
+  } finally {
+    await server.close();
+  }
+});
+
+test('ws: options can be set per connection', async () => {
+  const server = await startWsServer(
+    { rasp: { blockMode: true } },
+    (request) => ({ action: request.url.startsWith('/monitor') ? 'report' : 'drop' })
+  );
+  try {
+    const monitored = await connect(`${server.url}/monitor`);
+    await sendAndFlush(monitored, server, ['<script>alert(1)</script>']);
+    const strict = await connect(`${server.url}/chat`);
+    await sendAndFlush(strict, server, ['<script>alert(2)</script>']);
+
+    if (!server.received.includes('<script>alert(1)</script>')) throw new Error('/monitor should report only');
+    if (server.received.includes('<script>alert(2)</script>')) throw new Error('/chat should drop');
+    monitored.close();
+    strict.close();
+  } finally {
+    await server.close();
+  }
+});
+
+test('ws: verifyClient rejects upgrades denied by access control', async () => {
+  const server = await startWsServer({
+    rasp: {
+      accessControl: { mode: 'blocklist', blockedEndpoints: ['/admin/*'] }
+    }
+  }, {}, true);
+  try {
+    const result = await connect(`${server.url}/admin/socket`);
+    if (result.rejected !== 403) throw new Error(`Expected 403, got ${result.rejected}`);
+
+    const allowed = await connect(`${server.url}/chat`);
+    if (allowed.rejected) throw new Error('Other paths should be allowed');
+    allowed.close();
+  } finally {
+    await server.close();
+  }
+});
+
+test('ws: malicious upgrade query closes the connection without verifyClient', async () => {
+  const server = await startWsServer({ rasp: { blockMode: true } });
+  try {
+    const client = await connect(`${server.url}/?token=${encodeURIComponent("' UNION SELECT password FROM users--")}`);
+    const code = await waitForClose(client);
+    if (code !== 1008) throw new Error(`Expected close code 1008, got ${code}`);
+  } finally {
+    await server.close();
+  }
+});
+
+test('ws: anomaly state is tracked per connection', async () => {
+  const server = await startWsServer({ rasp: { anomalyDetection: true } }, { action: 'drop' });
+  try {
+    const flooding = await connect(server.url);
+    const quiet = await connect(server.url);
+
+    // Burst detection fires after 20 messages within 10 seconds. Once it does
+    // the flush marker is dropped too, so wait instead of flushing
+    for (let i = 0; i < 30; i++) flooding.send(`msg ${i}`);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    await sendAndFlush(quiet, server, ['hello']);
+
+    const delivered = server.received.filter(m => m.startsWith('msg ')).length;
+    if (delivered >= 30) throw new Error('Burst on one connection should be dropped');
+    if (!server.received.includes('hello')) throw new Error('Other connections should not be affected');
+    flooding.close();
+    quiet.close();
+  } finally {
+    await server.close();
+  }
+});
+
+test('ws: asynchronous custom detectors decide, messages keep their order', async () => {
+  const server = await startWsServer({
+    rasp: {
+      blockMode: true,
+      detectors: [{
+        name: 'spam-service',
+        // The first message takes longest, it must still be delivered first
+        detect: async ({ body }) => {
+          await new Promise(resolve => setTimeout(resolve, body === 'first' ? 30 : 0));
+          return body === 'buy now'
+            ? [{ type: 'anomalous_behavior', severity: 'high', description: 'Spam', timestamp: new Date(), blocked: true }]
+            : [];
+        }
+      }]
+    }
+  }, { action: 'drop' });
+  try {
+    const client = await connect(server.url);
+    await sendAndFlush(client, server, ['first', 'buy now', 'second']);
+
+    if (server.received.slice(0, 2).join() !== 'first,second') throw new Error(`Received: ${JSON.stringify(server.received)}`);
+    client.close();
+  } finally {
+    await server.close();
+  }
+});
+
+test('ws: a throwing asynchronous detector fails open, listener errors stay uncaught', async () => {
+  const server = await startWsServer({
+    rasp: {
+      blockMode: true,
+      detectors: [{
+        name: 'flaky-service',
+        detect: async ({ body }) => {
+          if (body === 'first') throw new Error('Service unavailable');
+          return [];
+        }
+      }]
+    }
+  }, { action: 'drop' });
+  const uncaught = [];
+  const onUncaught = error => uncaught.push(error.message);
+  process.on('uncaughtException', onUncaught);
+  try {
+    const client = await connect(server.url);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    server.sockets[0].on('message', data => {
+      if (data.toString() === 'boom') throw new Error('Listener failed');
+    });
+    await sendAndFlush(client, server, ['first', 'boom', 'second']);
+    await new Promise(resolve => setImmediate(resolve));
+
+    if (server.received.slice(0, 3).join() !== 'first,boom,second') throw new Error(`Received: ${JSON.stringify(server.received)}`);
+    if (uncaught.join() !== 'Listener failed') throw new Error(`Uncaught: ${JSON.stringify(uncaught)}`);
+    client.close();
+  } finally {
+    process.off('uncaughtException', onUncaught);
+    await server.close();
+  }
+});
+
+test('ws: binary frames are inspected when they are UTF-8', async () => {
+  const server = await startWsServer({ rasp: { blockMode: true } }, { action: 'drop' });
+  try {
+    const client = await connect(server.url);
+    const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0xff, 0xfe, 0x3c, 0x73]);
+    await sendAndFlush(client, server, [Buffer.from(JSON.stringify({ comment: '<script>alert(1)</script>' })), image]);
+
+    if (server.received.some(m => m.includes('<script>'))) throw new Error('UTF-8 binary frame should be inspected');
+    if (server.received.length !== 2) throw new Error('Non-UTF-8 binary frame should pass');
+    client.close();
+  } finally {
+    await server.close();
+  }
+});
+
+test('ws: skipBinary leaves binary frames uninspected', async () => {
+  const server = await startWsServer({ rasp: { blockMode: true } }, { action: 'drop', skipBinary: true });
+  try {
+    const client = await connect(server.url);
+    await sendAndFlush(client, server, [Buffer.from('<script>alert(1)</script>')]);
+
+    if (!server.received.includes('<script>alert(1)</script>')) throw new Error('Binary frame should pass');
+    client.close();
+  } finally {
+    await server.close();
+  }
+});
+
+// ============================================================================
+// Socket.IO
+// ============================================================================
+
+async function startSocketIOServer(config, options) {
+  const aimless = new Aimless({ logging: { enabled: false }, ...config });
+  const server = http.createServer();
+  const io = new SocketIOServer(server);
+  const received = [];
+  const errors = [];
+  const sockets = [];
+
+  aimless.socketIO(options).attach(io);
+  io.on('connection', (socket) => {
+    sockets.push(socket);
+    socket.on('error', (error) => errors.push(error));
+    // onAny() listeners run before socket middleware, so listen per event
+    for (const event of ['chat', 'search', 'typing', 'presence']) {
+      socket.on(event, (payload, ack) => {
+        received.push({ event, payload });
+        if (typeof ack === 'function') ack('ok');
+      });
+    }
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  const clients = [];
+
+  return {
+    received,
+    errors,
+    sockets,
+    connect: (opts = {}) => new Promise((resolve) => {
+      const client = ioClient(url, { transports: ['websocket'], reconnection: false, ...opts });
+      clients.push(client);
+      client.once('connect', () => resolve({ client }));
+      client.once('connect_error', (error) => resolve({ client, error }));
+    }),
+    close: () => new Promise(resolve => {
+      clients.forEach(client => client.close());
+      io.close(() => resolve());
+    })
+  };
+}
+
+// Acknowledged events have been through the middleware, so an ack marks the end
+function emitWithAck(client, event, payload) {
+  return client.timeout(2000).emitWithAck(event, payload);
+}
+
+test('socket.io: clean handshake and events are delivered', async () => {
+  const server = await startSocketIOServer({ rasp: { blockMode: true } });
+  try {
+    const { client, error } = await server.connect({ auth: { token: 'abc123' } });
+    if (error) throw new Error(`Unexpected connect_error: ${error.message}`);
+
+    await emitWithAck(client, 'chat', { text: 'Hello, world!' });
+    if (server.received.length !== 1) throw new Error('Event should be delivered');
+    if (server.sockets[0].aimless.blocked) throw new Error('Clean event should not be blocked');
+  } finally {
+    await server.close();
+  }
+});
+
+test('socket.io: malicious handshake auth gets connect_error with block payload', async () => {
+  const server = await startSocketIOServer({ rasp: { blockMode: true } });
+  try {
+    const { error } = await server.connect({ auth: { token: "' UNION SELECT password FROM users--" } });
+
+    if (!error) throw new Error('Handshake should be rejected');
+    if (!error.message.includes('Aimless Security')) throw new Error(`Unexpected message: ${error.message}`);
+    if (!error.data || error.data.error !== 'Forbidden') throw new Error('Block payload should be in err.data');
+  } finally {
+    await server.close();
+  }
+});
+
+test('socket.io: malicious event payload is rejected, connection stays open', async () => {
+  const server = await startSocketIOServer({ rasp: { blockMode: true } });
+  try {
+    const { client } = await server.connect();
+
+    client.emit('chat', { text: '<script>alert(document.cookie)</script>' });
+    await emitWithAck(client, 'chat', { text: 'still here' });
+
+    if (server.received.some(r => JSON.stringify(r.payload).includes('script'))) {
+      throw new Error('Malicious event should not be delivered');
+    }
+    if (server.errors.length !== 1) throw new Error(`Expected 1 socket error, got ${server.errors.length}`);
+    if (!client.connected) throw new Error('Connection should stay open');
+  } finally {
+    await server.close();
+  }
+});
+
+test('socket.io: monitor mode delivers events and records threats', async () => {
+  const server = await startSocketIOServer({ rasp: { blockMode: false } });
+  try {
+    const { client } = await server.connect();
+    await emitWithAck(client, 'search', { q: "admin' OR '1'='1" });
+
+    if (server.received.length !== 1) throw new Error('Event should be delivered in monitor mode');
+    if (!server.sockets[0].aimless.threats.length) throw new Error('Threats should be recorded');
+  } finally {
+    await server.close();
+  }
+});
+
+test('socket.io: asynchronous custom detectors decide', async () => {
+  const server = await startSocketIOServer({
+    rasp: {
+      blockMode: true,
+      detectors: [{
+        name: 'spam-service',
+        detect: async ({ body }) => JSON.stringify(body).includes('buy now')
+          ? [{ type: 'anomalous_behavior', severity: 'high', description: 'Spam', timestamp: new Date(), blocked: true }]
+          : []
+      }]
+    }
+  });
+  try {
+    const { client } = await server.connect();
+    client.emit('chat', { text: 'buy now' });
+    await emitWithAck(client, 'chat', { text: 'hello' });
+
+    if (server.received.map(r => r.payload.text).join() !== 'hello') throw new Error(`Received: ${JSON.stringify(server.received)}`);
+    if (!server.errors.length) throw new Error('Blocked event should emit an error');
+  } finally {
+    await server.close();
+  }
+});
+
+test('socket.io: a throwing asynchronous detector fails open', async () => {
+  const server = await startSocketIOServer({
+    rasp: {
+      blockMode: true,
+      detectors: [{
+        name: 'flaky-service',
+        detect: async ({ body }) => {
+          if (JSON.stringify(body).includes('first')) throw new Error('Service unavailable');
+          return [];
+        }
+      }]
+    }
+  });
+  try {
+    const { client } = await server.connect();
+    await emitWithAck(client, 'chat', { text: 'first' });
+    await emitWithAck(client, 'chat', { text: 'second' });
+
+    if (server.received.map(r => r.payload.text).join() !== 'first,second') throw new Error(`Received: ${JSON.stringify(server.received)}`);
+    if (server.errors.length) throw new Error('No event should be rejected');
+  } finally {
+    await server.close();
+  }
+});
+
+test('socket.io: rate limit is per event name', async () => {
+  const server = await startSocketIOServer({}, {
+    rateLimit: { maxEvents: 3, windowMs: 60000 },
+    eventRateLimits: { typing: false }
+  });
+  try {
+    const { client } = await server.connect();
+
+    for (let i = 0; i < 5; i++) client.emit('chat', { text: `message ${i}` });
+    for (let i = 0; i < 5; i++) client.emit('typing', {});
+    await emitWithAck(client, 'presence', { status: 'online' });
+
+    const count = (event) => server.received.filter(r => r.event === event).length;
+    if (count('chat') !== 3) throw new Error(`Expected 3 chat events, got ${count('chat')}`);
+    if (count('typing') !== 5) throw new Error('Unlimited events should all be delivered');
+    if (count('presence') !== 1) throw new Error('Other event names have their own limit');
+    if (!server.errors.some(e => e.data && e.data.error === 'Too Many Requests')) {
+      throw new Error('Rate-limited events should emit an error');
+    }
+  } finally {
+    await server.close();
+  }
+});
+
+test('socket.io: exclusions cover rate limits', async () => {
+  const server = await startSocketIOServer(
+    { rasp: { exclusions: [{ path: '/#typing', threatTypes: ['rate_limit_exceeded'] }] } },
+    { rateLimit: { maxEvents: 1, windowMs: 60000 } }
+  );
+  try {
+    const { client } = await server.connect();
+
+    for (let i = 0; i < 3; i++) client.emit('chat', { text: `message ${i}` });
+    for (let i = 0; i < 3; i++) client.emit('typing', {});
+    await emitWithAck(client, 'typing', {});
+
+    const count = (event) => server.received.filter(r => r.event === event).length;
+    if (count('chat') !== 1) throw new Error(`Expected 1 chat event, got ${count('chat')}`);
+    if (count('typing') !== 4) throw new Error(`Excluded rate limit should not block, got ${count('typing')}`);
+  } finally {
+    await server.close();
+  }
+});
+
+test('socket.io: handshake rate limit uses the "connection" event name', async () => {
+  const server = await startSocketIOServer({}, { eventRateLimits: { connection: { maxEvents: 1, windowMs: 60000 } } });
+  try {
+    const first = await server.connect();
+    const second = await server.connect();
+
+    if (first.error) throw new Error('First connection should succeed');
+    if (!second.error || second.error.message !== 'Rate limit exceeded') {
+      throw new Error('Second connection should be rate limited');
+    }
+  } finally {
+    await server.close();
+  }
+});
+
+// Results
+(async () => {
+  for (const run of pending) {
+    await run();
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50));
+
+  if (testsFailed > 0) {
+    console.log('\n⚠️  Some real-time tests failed.');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 All real-time integration tests passed!');
+    process.exit(0);
+  }
+})();
@@ -0,0 +1,331 @@
+/**
+ * RPC Protection Tests
+ * Tests the tRPC middleware and the gRPC server interceptor
+ */
+
+const { initTRPC, TRPCError } = require('@trpc/server');
+const grpc = require('@grpc/grpc-js');
+const { Aimless } = require('./dist/index.js');
+
+let testsPassed = 0;
+let testsFailed = 0;
+const pending = [];
+
+function test(name, fn) {
+  const run = async () => {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      testsPassed++;
+    } catch (error) {
+      console.error(`❌ ${name}`);
+      console.error(`   Error: ${error.message}`);
+      testsFailed++;
+    }
+  };
+  pending.push(run);
+}
+
+console.log('🧪 Testing RPC Protection\n');
+
+const sqlInjection = { comment: "1' OR '1'='1' UNION SELECT password FROM users--" };
+const xss = { comment: '<script>alert(document.cookie)</script>' };
+
+function withWebhooks(fn) {
+  return async () => {
+    const originalFetch = global.fetch;
+    const payloads = [];
+    global.fetch = async (url, init) => {
+      payloads.push(JSON.parse(init.body));
+      return { ok: true };
+    };
+    try {
+      await fn(payloads);
+    } finally {
+      global.fetch = originalFetch;
+    }
+  };
+}
+
+// ============================================================================
+// tRPC
+// ============================================================================
+
+function createTRPCCaller(config, options) {
+  const aimless = new Aimless({ logging: { enabled: false }, ...config });
+  const t = initTRPC.context().create();
+  const protectedProcedure = t.procedure.use(t.middleware(aimless.trpc(options)));
+
+  const router = t.router({
+    addComment: protectedProcedure
+      .input(input => input)
+      .mutation(({ input, ctx }) => ({ input, threats: ctx.aimless.threats.length }))
+  });
+
+  const caller = t.createCallerFactory(router)({
+    req: { headers: { 'x-forwarded-for': '203.0.113.7' }, socket: { remoteAddress: '127.0.0.1' } }
+  });
+
+  return { aimless, caller };
+}
+
+test('tRPC: clean input reaches the procedure', async () => {
+  const { caller } = createTRPCCaller({ rasp: { blockMode: true } });
+  const result = await caller.addComment({ comment: 'Great article, thanks' });
+
+  if (result.threats !== 0) throw new Error('Expected no threats');
+});
+
+test('tRPC: malicious input is rejected with FORBIDDEN', async () => {
+  const { caller } = createTRPCCaller({ rasp: { blockMode: true } });
+
+  try {
+    await caller.addComment(sqlInjection);
+  } catch (error) {
+    if (!(error instanceof TRPCError)) throw error;
+    if (error.code !== 'FORBIDDEN') throw new Error(`Expected FORBIDDEN, got ${error.code}`);
+    return;
+  }
+  throw new Error('Call should be rejected');
+});
+
+test('tRPC: monitor mode exposes threats on ctx.aimless', async () => {
+  const { caller } = createTRPCCaller({ rasp: { blockMode: false } });
+  const result = await caller.addComment(xss);
+
+  if (result.threats === 0) throw new Error('Threats should be on the context');
+});
+
+test('tRPC: webhooks and analytics fire with the procedure path and client IP', withWebhooks(async (payloads) => {
+  const { aimless, caller } = createTRPCCaller({
+    rasp: {
+      blockMode: true,
+      analytics: { enabled: true },
+      webhooks: { enabled: true, url: 'https://hooks.example.com/aimless' }
+    }
+  });
+
+  await caller.addComment({ comment: 'Great article, thanks' });
+  await caller.addComment(sqlInjection).catch(() => {});
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  if (payloads.length !== 1) throw new Error(`Expected 1 webhook, got ${payloads.length}`);
+  if (payloads[0].path !== 'addComment' || payloads[0].ip !== '203.0.113.7') {
+    throw new Error(`Unexpected webhook source ${payloads[0].path} ${payloads[0].ip}`);
+  }
+  if (payloads[0].reputation !== aimless.getIPReputation('203.0.113.7')) {
+    throw new Error(`Expected the client's reputation, got ${payloads[0].reputation}`);
+  }
+
+  const analytics = aimless.getAnalytics();
+  if (analytics.totalRequests !== 2) throw new Error(`Expected 2 requests, got ${analytics.totalRequests}`);
+  if (analytics.threatsBlocked !== 1) throw new Error(`Expected 1 blocked, got ${analytics.threatsBlocked}`);
+}));
+
+// ============================================================================
+// gRPC
+// ============================================================================
+
+const json = {
+  serialize: value => Buffer.from(JSON.stringify(value)),
+  deserialize: buffer => JSON.parse(buffer.toString())
+};
+
+const commentService = {
+  addComment: {
+    path: '/blog.Comments/AddComment',
+    requestStream: false,
+    responseStream: false,
+    requestSerialize: json.serialize,
+    requestDeserialize: json.deserialize,
+    responseSerialize: json.serialize,
+    responseDeserialize: json.deserialize
+  },
+  importComments: {
+    path: '/blog.Comments/ImportComments',
+    requestStream: true,
+    responseStream: false,
+    requestSerialize: json.serialize,
+    requestDeserialize: json.deserialize,
+    responseSerialize: json.serialize,
+    responseDeserialize: json.deserialize
+  }
+};
+
+const CommentsClient = grpc.makeGenericClientConstructor(commentService, 'Comments');
+
+async function startGrpc(config) {
+  const aimless = new Aimless({ logging: { enabled: false }, ...config });
+  const calls = [];
+  const server = new grpc.Server({ interceptors: [aimless.grpc()] });
+
+  server.addService(commentService, {
+    addComment: (call, callback) => {
+      calls.push(call.request);
+      callback(null, { saved: true });
+    },
+    importComments: (call, callback) => {
+      let count = 0;
+      call.on('data', message => {
+        calls.push(message);
+        count++;
+      });
+      call.on('end', () => callback(null, { imported: count }));
+    }
+  });
+
+  const port = await new Promise((resolve, reject) => {
+    server.bindAsync('127.0.0.1:0', grpc.ServerCredentials.createInsecure(), (error, port) => {
+      if (error) reject(error);
+      else resolve(port);
+    });
+  });
+
+  const client = new CommentsClient(`127.0.0.1:${port}`, grpc.credentials.createInsecure());
+
+  const addComment = (request, metadata = new grpc.Metadata()) => new Promise(resolve => {
+    client.addComment(request, metadata, (error, response) => resolve({ error, response }));
+  });
+
+  const importComments = (messages) => new Promise(resolve => {
+    const stream = client.importComments((error, response) => resolve({ error, response }));
+    messages.forEach(message => stream.write(message));
+    stream.end();
+  });
+
+  const stop = () => {
+    client.close();
+    server.forceShutdown();
+  };
+
+  return { aimless, calls, addComment, importComments, stop };
+}
+
+test('gRPC: clean messages reach the handler', async () => {
+  const grpcServer = await startGrpc({ rasp: { blockMode: true } });
+  try {
+    const { error, response } = await grpcServer.addComment({ comment: 'Great article, thanks' });
+    if (error) throw error;
+    if (!response.saved) throw new Error('Unexpected response');
+  } finally {
+    grpcServer.stop();
+  }
+});
+
+test('gRPC: malicious messages end with PERMISSION_DENIED before the handler', async () => {
+  const grpcServer = await startGrpc({ rasp: { blockMode: true } });
+  try {
+    const { error } = await grpcServer.addComment(sqlInjection);
+    if (!error) throw new Error('Call should be rejected');
+    if (error.code !== grpc.status.PERMISSION_DENIED) throw new Error(`Expected PERMISSION_DENIED, got ${error.code}`);
+    if (grpcServer.calls.length !== 0) throw new Error('Handler should not run');
+  } finally {
+    grpcServer.stop();
+  }
+});
+
+test('gRPC: every message of a client stream is inspected', async () => {
+  const grpcServer = await startGrpc({ rasp: { blockMode: true } });
+  try {
+    const { error } = await grpcServer.importComments([{ comment: 'first' }, xss, { comment: 'third' }]);
+    if (!error || error.code !== grpc.status.PERMISSION_DENIED) throw new Error('Stream should be rejected');
+    if (grpcServer.calls.some(message => message.comment.includes('<script>'))) {
+      throw new Error('Malicious message should not be delivered');
+    }
+  } finally {
+    grpcServer.stop();
+  }
+});
+
+test('gRPC: asynchronous custom detectors decide, stream messages keep their order', async () => {
+  const grpcServer = await startGrpc({
+    rasp: {
+      blockMode: true,
+      detectors: [{
+        name: 'spam-service',
+        // The first message takes longest, it must still reach the handler first
+        detect: async ({ body }) => {
+          await new Promise(resolve => setTimeout(resolve, body.comment === 'first' ? 30 : 0));
+          return body.comment.includes('buy now')
+            ? [{ type: 'anomalous_behavior', severity: 'high', description: 'Spam', timestamp: new Date(), blocked: true }]
+            : [];
+        }
+      }]
+    }
+  });
+  try {
+    const { error, response } = await grpcServer.importComments([{ comment: 'first' }, { comment: 'second' }]);
+    if (error) throw error;
+    if (response.imported !== 2) throw new Error(`Expected 2 imported, got ${response.imported}`);
+    if (grpcServer.calls.map(message => message.comment).join() !== 'first,second') {
+      throw new Error(`Out of order: ${JSON.stringify(grpcServer.calls)}`);
+    }
+
+    const spam = await grpcServer.addComment({ comment: 'buy now' });
+    if (!spam.error || spam.error.code !== grpc.status.PERMISSION_DENIED) throw new Error('Spam should be rejected');
+  } finally {
+    grpcServer.stop();
+  }
+});
+
+test('gRPC: a throwing asynchronous detector fails open', async () => {
+  const grpcServer = await startGrpc({
+    rasp: {
+      blockMode: true,
+      detectors: [{
+        name: 'flaky-service',
+        detect: async ({ body }) => {
+          if (body.comment === 'first') throw new Error('Service unavailable');
+          return [];
+        }
+      }]
+    }
+  });
+  try {
+    const { error, response } = await grpcServer.importComments([{ comment: 'first' }, { comment: 'second' }]);
+    if (error) throw error;
+    if (response.imported !== 2) throw new Error(`Expected 2 imported, got ${response.imported}`);
+  } finally {
+    grpcServer.stop();
+  }
+});
+
+test('gRPC: monitor mode reports with metadata in webhooks', withWebhooks(async (payloads) => {
+  const grpcServer = await startGrpc({
+    rasp: { blockMode: false, webhooks: { enabled: true, url: 'https://hooks.example.com/aimless' } }
+  });
+  try {
+    const metadata = new grpc.Metadata();
+    metadata.set('x-forwarded-for', '198.51.100.4');
+    const { error } = await grpcServer.addComment(sqlInjection, metadata);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    if (error) throw new Error('Monitor mode should not block');
+    if (payloads[0]?.event !== 'threat') throw new Error('Expected a threat webhook');
+    if (payloads[0].path !== '/blog.Comments/AddComment' || payloads[0].ip !== '198.51.100.4') {
+      throw new Error(`Unexpected webhook source ${payloads[0].path} ${payloads[0].ip}`);
+    }
+  } finally {
+    grpcServer.stop();
+  }
+}));
+
+// Results
+(async () => {
+  for (const run of pending) {
+    await run();
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50));
+
+  if (testsFailed > 0) {
+    console.log('\n⚠️  Some RPC tests failed.');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 All RPC protection tests passed!');
+    process.exit(0);
+  }
+})();
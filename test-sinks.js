@@ -0,0 +1,764 @@
+/**
+ * Sink Protection Tests
+ * Tests the runtime hooks that check request input where it is used
+ */
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const vm = require('vm');
+const { promisify } = require('util');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const pg = require('pg');
+const {
+  Aimless,
+  SinkBlockedError,
+  tokenizeShell,
+  detectShellInjection,
+  collectTaintedValues,
+  getRequestTaint,
+  runWithRequestTaint,
+  tokenizeSQL,
+  detectSQLStructureChange,
+  detectPathEscape,
+  classifyAddress
+} = require('./dist/index.js');
+
+let testsPassed = 0;
+let testsFailed = 0;
+const pending = [];
+
+function test(name, fn) {
+  const run = async () => {
+    try {
+      await fn();
+      console.log(`✅ ${name}`);
+      testsPassed++;
+    } catch (error) {
+      console.error(`❌ ${name}`);
+      console.error(`   Error: ${error.message}`);
+      testsFailed++;
+    }
+  };
+  pending.push(run);
+}
+
+console.log('🧪 Testing Sink Protection\n');
+
+function expectBlocked(fn) {
+  try {
+    fn();
+  } catch (error) {
+    if (error instanceof SinkBlockedError) return error;
+    throw error;
+  }
+  throw new Error('Call should be blocked');
+}
+
+// ============================================================================
+// Shell lexer
+// ============================================================================
+
+test('Shell lexer: quotes keep words together, operators split commands', () => {
+  const tokens = tokenizeShell(`grep -r "a b; c" 'd | e' && echo $(whoami) "x$HOME"`);
+  const summary = tokens.map(t => `${t.type}:${t.value}`);
+
+  const expected = [
+    'word:grep', 'word:-r', 'word:"a b; c"', "word:'d | e'", 'operator:&&',
+    'word:echo', 'substitution:$(whoami)', 'word:"x', 'expansion:$HOME', 'word:"'
+  ];
+  if (summary.join(' ') !== expected.join(' ')) throw new Error(`Unexpected tokens: ${summary.join(' ')}`);
+  if (tokens[7].word !== tokens[8].word) throw new Error('Expansion should belong to the quoted word');
+});
+
+test('Shell injection: input inside one word is fine, changing the structure is not', () => {
+  if (detectShellInjection('convert "my photo.png" out.jpg', ['my photo.png'])) {
+    throw new Error('Quoted input should be allowed');
+  }
+
+  const breakout = detectShellInjection("convert 'x'; rm -rf /; ''.png out.jpg", ["x'; rm -rf /; '"]);
+  if (!breakout || breakout.metadata.token !== ';') throw new Error('Quote breakout should be detected');
+
+  if (!detectShellInjection('ping -c 1 "$(cat /etc/passwd)"', ['$(cat /etc/passwd)'])) {
+    throw new Error('Substitution inside double quotes should be detected');
+  }
+  if (!detectShellInjection('ls /tmp -la', ['/tmp -la'])) {
+    throw new Error('Argument splitting should be detected');
+  }
+});
+
+// ============================================================================
+// child_process
+// ============================================================================
+
+function installGuard(tainted, config = { rasp: { blockMode: true } }) {
+  const aimless = new Aimless({ logging: { enabled: false }, ...config });
+  return aimless.protectChildProcess({ taintSource: () => tainted });
+}
+
+test('child_process: exec and execSync run when input stays an argument', async () => {
+  const guard = installGuard(['hello world']);
+  try {
+    const output = childProcess.execSync('echo "hello world"').toString().trim();
+    if (output !== 'hello world') throw new Error(`Unexpected output ${output}`);
+
+    const { stdout } = await promisify(childProcess.exec)('echo "hello world"');
+    if (stdout.trim() !== 'hello world') throw new Error('promisify(exec) should still work');
+  } finally {
+    guard.uninstall();
+  }
+});
+
+test('child_process: injected commands are blocked before running', async () => {
+  const tainted = ['x"; echo pwned; "'];
+  const guard = installGuard(tainted);
+  try {
+    const error = expectBlocked(() => childProcess.execSync(`echo "${tainted[0]}"`));
+    if (error.threat.metadata.sink !== 'child_process.execSync') throw new Error('Sink should be recorded');
+
+    expectBlocked(() => childProcess.exec(`echo "${tainted[0]}"`, () => {}));
+
+    try {
+      await promisify(childProcess.exec)(`echo "${tainted[0]}"`);
+      throw new Error('promisify(exec) should be blocked');
+    } catch (error) {
+      if (!(error instanceof SinkBlockedError)) throw error;
+    }
+  } finally {
+    guard.uninstall();
+  }
+});
+
+test('child_process: spawn is only checked with shell: true', () => {
+  const tainted = ['file.txt; id'];
+  const guard = installGuard(tainted);
+  try {
+    // Without a shell the whole value is one argument
+    const plain = childProcess.spawnSync('echo', [tainted[0]]);
+    if (plain.stdout.toString().trim() !== tainted[0]) throw new Error('Plain spawn should run');
+
+    expectBlocked(() => childProcess.spawnSync('echo', [tainted[0]], { shell: true }));
+    expectBlocked(() => childProcess.execFileSync(`cat ${tainted[0]}`, { shell: true }));
+  } finally {
+    guard.uninstall();
+  }
+});
+
+test('child_process: monitor mode reports without blocking', () => {
+  const tainted = ['a && echo second'];
+  const guard = installGuard(tainted, { rasp: { blockMode: false } });
+  try {
+    const output = childProcess.execSync(`echo ${tainted[0]}`).toString();
+    if (!output.includes('second')) throw new Error('Command should run in monitor mode');
+  } finally {
+    guard.uninstall();
+  }
+});
+
+test('child_process: exclusions cover sink threats', () => {
+  const tainted = ['a && echo second'];
+  const guard = installGuard(tainted, {
+    rasp: { blockMode: true, exclusions: [{ path: 'child_process.*', threatTypes: ['command_injection'] }] }
+  });
+  try {
+    const output = childProcess.execSync(`echo ${tainted[0]}`).toString();
+    if (!output.includes('second')) throw new Error('Excluded threat should not block');
+  } finally {
+    guard.uninstall();
+  }
+});
+
+test('child_process: uninstall restores the original functions', () => {
+  const original = childProcess.execSync;
+  const guard = installGuard(['x; id']);
+  if (childProcess.execSync === original) throw new Error('execSync should be wrapped');
+  guard.uninstall();
+  if (childProcess.execSync !== original) throw new Error('execSync should be restored');
+});
+
+// ============================================================================
+// Request taint context
+// ============================================================================
+
+test('Taint: request values are collected with their location', () => {
+  const values = collectTaintedValues({
+    query: { file: 'report.pdf' },
+    body: { items: [{ comment: 'first' }, { comment: 'second' }], count: 42 },
+    headers: {
+      'x-file': 'upload.txt',
+      cookie: 'session=abc123; theme=dark%20mode',
+      accept: '*/*',
+      'content-type': 'application/json',
+      'user-agent': 'curl/8.4.0'
+    }
+  });
+  const byLocation = Object.fromEntries(values.map(v => [v.location, v.value]));
+
+  const expected = {
+    'query.file': 'report.pdf',
+    'body.items[1].comment': 'second',
+    'body.count': '42',
+    'header.x-file': 'upload.txt',
+    'cookie.theme': 'dark mode'
+  };
+  for (const [location, value] of Object.entries(expected)) {
+    if (byLocation[location] !== value) throw new Error(`Expected ${location} = ${value}, got ${byLocation[location]}`);
+  }
+  if (byLocation['header.cookie']) throw new Error('Cookies should be split into cookie.* values');
+  for (const header of ['accept', 'content-type', 'user-agent']) {
+    if (byLocation[`header.${header}`]) throw new Error(`Structural header ${header} should not be tainted`);
+  }
+});
+
+async function startExpress(config, handler) {
+  const aimless = new Aimless({ logging: { enabled: false }, ...config });
+  const app = express();
+  app.use(express.json());
+  app.use(aimless.middleware());
+  app.post('/convert', handler);
+  app.use((error, req, res, next) => {
+    res.status(error instanceof SinkBlockedError ? 403 : 500).json({ error: error.message, threat: error.threat });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  const request = async (query, body) => {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/convert?${new URLSearchParams(query)}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  return { aimless, request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+test('Taint: the Express middleware opens a context the sink guards use', async () => {
+  const originalFetch = global.fetch;
+  const webhooks = [];
+
+  const { aimless, request, close } = await startExpress({
+    rasp: {
+      blockMode: true,
+      // Request analysis off, so only the sink can stop the command
+      injectionProtection: false,
+      webhooks: { enabled: true, url: 'https://hooks.example.com/aimless' }
+    }
+  }, async (req, res, next) => {
+    try {
+      // The context survives async hops
+      await new Promise(resolve => setTimeout(resolve, 5));
+      const output = childProcess.execSync(`echo ${req.body.options.format} ${req.query.file}`).toString();
+      res.json({ output: output.trim() });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  const guard = aimless.protectChildProcess();
+  try {
+    const clean = await request({ file: 'report.pdf' }, { options: { format: 'png' } });
+    if (clean.status !== 200 || clean.body.output !== 'png report.pdf') throw new Error(`Unexpected response ${JSON.stringify(clean.body)}`);
+
+    global.fetch = async (url, init) => {
+      if (String(url).startsWith('https://hooks.example.com')) {
+        webhooks.push(JSON.parse(init.body));
+        return { ok: true };
+      }
+      return originalFetch(url, init);
+    };
+
+    const attack = await request({ file: 'report.pdf' }, { options: { format: 'png; id' } });
+    if (attack.status !== 403) throw new Error(`Expected 403, got ${attack.status}`);
+    if (attack.body.threat.metadata.location !== 'body.options.format') {
+      throw new Error(`Expected location body.options.format, got ${attack.body.threat.metadata.location}`);
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    const webhook = webhooks.find(w => w.threats.some(t => t.metadata?.sink));
+    if (!webhook || webhook.path !== '/convert' || webhook.method !== 'POST') {
+      throw new Error('Sink threat should be attributed to the request');
+    }
+  } finally {
+    global.fetch = originalFetch;
+    guard.uninstall();
+    await close();
+  }
+});
+
+test('Taint: nothing is tainted outside a request', () => {
+  if (getRequestTaint() !== undefined) throw new Error('No request context expected');
+
+  const guard = new Aimless({ logging: { enabled: false }, rasp: { blockMode: true } }).protectChildProcess();
+  try {
+    childProcess.execSync('echo a; echo b');
+  } finally {
+    guard.uninstall();
+  }
+});
+
+// ============================================================================
+// SQL drivers
+// ============================================================================
+
+test('SQL lexer: literals, comments and placeholders are single tokens', () => {
+  const tokens = tokenizeSQL(`SELECT "a b", 'it''s' FROM t WHERE x = $1 -- note`, 'postgres');
+  const summary = tokens.map(t => `${t.type}:${t.value}`);
+
+  const expected = [
+    'keyword:SELECT', 'identifier:"a b"', 'punctuation:,', "string:'it''s'", 'keyword:FROM',
+    'identifier:t', 'keyword:WHERE', 'identifier:x', 'operator:=', 'variable:$1', 'comment:-- note'
+  ];
+  if (summary.join(' ') !== expected.join(' ')) throw new Error(`Unexpected tokens: ${summary.join(' ')}`);
+
+  // Backslashes only escape quotes in MySQL
+  if (tokenizeSQL(`'a\\' OR 1`, 'mysql').length !== 1) throw new Error('MySQL string should run to the end');
+  if (tokenizeSQL(`'a\\' OR 1`, 'postgres').length !== 3) throw new Error('Postgres string should end at the quote');
+});
+
+test('SQL injection: input inside one token is fine, changing the structure is not', () => {
+  const allowed = [
+    [`SELECT * FROM users WHERE name = 'John Smith'`, 'John Smith'],
+    [`SELECT * FROM users WHERE id = 42`, '42'],
+    [`SELECT * FROM users ORDER BY name DESC`, 'DESC']
+  ];
+  for (const [sql, input] of allowed) {
+    if (detectSQLStructureChange(sql, [input])) throw new Error(`Should be allowed: ${sql}`);
+  }
+
+  const blocked = [
+    [`SELECT * FROM users WHERE name = 'admin'--'`, "admin'--"],
+    [`SELECT * FROM users WHERE id = 1 OR 1=1`, '1 OR 1=1'],
+    // Closing the quote is enough, even when the rest of the query stays valid
+    [`SELECT * FROM users WHERE name = 'abc' ''`, "abc' '"]
+  ];
+  for (const [sql, input] of blocked) {
+    const threat = detectSQLStructureChange(sql, [input]);
+    if (!threat || threat.type !== 'sql_injection') throw new Error(`Should be blocked: ${sql}`);
+  }
+});
+
+function openDatabase() {
+  const db = new sqlite3.Database(':memory:');
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (error, rows) => error ? reject(error) : resolve(rows));
+  });
+  return { db, run };
+}
+
+test('SQL drivers: sqlite3 runs parameterized and quoted input, blocks injection before running', async () => {
+  const { db, run } = openDatabase();
+  await run('CREATE TABLE users (name TEXT, role TEXT)');
+  await run(`INSERT INTO users VALUES ('alice', 'admin'), ('bob', 'user')`);
+
+  const guard = new Aimless({ logging: { enabled: false }, rasp: { blockMode: true } }).protectSQL({ drivers: { sqlite3 } });
+  try {
+    await runWithRequestTaint({ query: { name: 'bob', filter: "nobody' OR '1'='1" } }, async () => {
+      const quoted = await run(`SELECT role FROM users WHERE name = 'bob'`);
+      if (quoted.length !== 1 || quoted[0].role !== 'user') throw new Error('Quoted input should run');
+
+      const bound = await run('SELECT role FROM users WHERE name = ?', ["nobody' OR '1'='1"]);
+      if (bound.length !== 0) throw new Error('Bound parameters are never part of the SQL text');
+
+      let error;
+      try {
+        await run(`SELECT role FROM users WHERE name = 'nobody' OR '1'='1'`);
+      } catch (e) {
+        error = e;
+      }
+      if (!(error instanceof SinkBlockedError)) throw new Error('Injected query should be blocked');
+      if (error.threat.metadata.sink !== 'sqlite3.all' || error.threat.metadata.location !== 'query.filter') {
+        throw new Error(`Unexpected metadata ${JSON.stringify(error.threat.metadata)}`);
+      }
+    });
+
+    // exec runs several statements, the table must survive
+    await runWithRequestTaint({ body: { name: "x'); DROP TABLE users; --" } }, async () => {
+      expectBlocked(() => db.exec(`INSERT INTO users VALUES ('x'); DROP TABLE users; --', 'user')`));
+    });
+    const rows = await run('SELECT COUNT(*) AS count FROM users');
+    if (rows[0].count !== 2) throw new Error('Table should be untouched');
+  } finally {
+    guard.uninstall();
+    db.close();
+  }
+});
+
+test('SQL drivers: pg queries are checked before reaching the connection', () => {
+  const guard = new Aimless({ logging: { enabled: false }, rasp: { blockMode: true } }).protectSQL({ drivers: { pg } });
+  try {
+    runWithRequestTaint({ query: { id: '1; DELETE FROM users' } }, () => {
+      // Never connected, a query that got through would only be queued
+      const client = new pg.Client();
+      const error = expectBlocked(() => client.query({ text: 'SELECT * FROM users WHERE id = 1; DELETE FROM users' }));
+      if (error.threat.metadata.dialect !== 'postgres') throw new Error('Postgres dialect should be used');
+    });
+  } finally {
+    guard.uninstall();
+  }
+});
+
+test('SQL drivers: uninstall restores the driver methods', () => {
+  const original = sqlite3.Database.prototype.all;
+  const guard = new Aimless({ logging: { enabled: false } }).protectSQL({ drivers: { sqlite3 } });
+  if (sqlite3.Database.prototype.all === original) throw new Error('all should be wrapped');
+  guard.uninstall();
+  if (sqlite3.Database.prototype.all !== original) throw new Error('all should be restored');
+});
+
+// ============================================================================
+// fs
+// ============================================================================
+
+test('Path escape: only tainted paths outside the roots are reported', () => {
+  const roots = ['/app/uploads'];
+
+  if (detectPathEscape('/app/uploads/report.pdf', ['report.pdf'], roots)) throw new Error('Paths inside the root should be allowed');
+  if (detectPathEscape('/etc/ssl/cert.pem', ['cert.pem'], roots)) throw new Error('Paths the app built alone should be allowed');
+
+  // Concatenated, the traversal is still in the path
+  if (!detectPathEscape('/app/uploads/../../etc/passwd', ['../../etc/passwd'], roots)) throw new Error('Concatenated traversal should be detected');
+
+  // path.join() collapsed it, what it pointed at is left
+  const joined = detectPathEscape(path.join('/app/uploads', '../../etc/passwd'), [{ value: '../../etc/passwd', location: 'query.file' }], roots);
+  if (!joined || joined.metadata.location !== 'query.file' || joined.metadata.path !== '/etc/passwd') throw new Error('Joined traversal should be detected');
+
+  if (!detectPathEscape(path.join('/app/uploads', '..', 'config.json'), ['..'], roots)) throw new Error('Bare .. segments should be detected');
+
+  // Input has to make up whole segments of the path
+  if (detectPathEscape('/usr/share/mime/application/json.xml', ['application/json'], roots)) throw new Error('Part of a segment should not taint a path');
+  if (!detectPathEscape('/app/uploads/../../etc/passwd.txt', ['../../etc/passwd'], roots)) throw new Error('Traversal with a suffix should be detected');
+});
+
+test('fs: reads inside the root run, escaping reads are blocked in every API', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aimless-fs-'));
+  const uploads = path.join(dir, 'uploads');
+  fs.mkdirSync(uploads);
+  fs.writeFileSync(path.join(uploads, 'report.txt'), 'report');
+  fs.writeFileSync(path.join(dir, 'secret.txt'), 'secret');
+
+  const guard = new Aimless({ logging: { enabled: false }, rasp: { blockMode: true } }).protectFileSystem({ roots: [uploads] });
+  try {
+    await runWithRequestTaint({ query: { file: 'report.txt' } }, async () => {
+      if (fs.readFileSync(path.join(uploads, 'report.txt'), 'utf8') !== 'report') throw new Error('readFileSync should run');
+      if (await fs.promises.readFile(path.join(uploads, 'report.txt'), 'utf8') !== 'report') throw new Error('fs.promises should run');
+
+      const streamed = await new Promise((resolve, reject) => {
+        let data = '';
+        fs.createReadStream(path.join(uploads, 'report.txt'), 'utf8')
+          .on('data', chunk => { data += chunk; })
+          .on('end', () => resolve(data))
+          .on('error', reject);
+      });
+      if (streamed !== 'report') throw new Error('createReadStream should run');
+    });
+
+    await runWithRequestTaint({ query: { file: '../secret.txt' } }, async () => {
+      const target = path.join(uploads, '../secret.txt');
+
+      const error = expectBlocked(() => fs.readFileSync(target));
+      if (error.threat.metadata.sink !== 'fs.readFileSync' || error.threat.metadata.location !== 'query.file') {
+        throw new Error(`Unexpected metadata ${JSON.stringify(error.threat.metadata)}`);
+      }
+      expectBlocked(() => fs.readFile(target, () => {}));
+      expectBlocked(() => fs.createReadStream(target));
+      expectBlocked(() => fs.writeFileSync(path.join(uploads, '../secret.txt'), 'overwritten'));
+
+      try {
+        await fs.promises.readFile(target);
+        throw new Error('fs.promises should be blocked');
+      } catch (error) {
+        if (!(error instanceof SinkBlockedError)) throw error;
+      }
+    });
+
+    if (fs.readFileSync(path.join(dir, 'secret.txt'), 'utf8') !== 'secret') throw new Error('File should be untouched');
+  } finally {
+    guard.uninstall();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('fs: monitor mode reports once per stream', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aimless-fs-'));
+  fs.writeFileSync(path.join(dir, 'secret.txt'), 'secret');
+  const uploads = path.join(dir, 'uploads');
+
+  const originalFetch = global.fetch;
+  const webhooks = [];
+  global.fetch = async (url, init) => {
+    webhooks.push(JSON.parse(init.body));
+    return { ok: true };
+  };
+
+  const guard = new Aimless({
+    logging: { enabled: false },
+    rasp: { blockMode: false, webhooks: { enabled: true, url: 'https://hooks.example.com/aimless', events: ['all'] } }
+  }).protectFileSystem({ roots: [uploads] });
+  try {
+    await runWithRequestTaint({ query: { file: '../secret.txt' } }, () => new Promise((resolve, reject) => {
+      fs.createReadStream(path.join(uploads, '../secret.txt')).on('close', resolve).on('error', reject).resume();
+    }));
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    const sinks = webhooks.flatMap(w => w.threats.map(t => t.metadata.sink));
+    if (sinks.join() !== 'fs.createReadStream') throw new Error(`Expected one report, got ${sinks.join()}`);
+  } finally {
+    global.fetch = originalFetch;
+    guard.uninstall();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('fs: uninstall restores the original functions', () => {
+  const original = fs.readFileSync;
+  const originalPromise = fs.promises.readFile;
+  const guard = new Aimless({ logging: { enabled: false } }).protectFileSystem();
+  if (fs.readFileSync === original || fs.promises.readFile === originalPromise) throw new Error('fs should be wrapped');
+  guard.uninstall();
+  if (fs.readFileSync !== original || fs.promises.readFile !== originalPromise) throw new Error('fs should be restored');
+});
+
+// ============================================================================
+// Outbound requests
+// ============================================================================
+
+test('IP ranges: internal IPv4 and IPv6 addresses, including mapped forms', () => {
+  const expected = {
+    '127.0.0.1': 'loopback',
+    '10.1.2.3': 'private',
+    '172.31.255.255': 'private',
+    '169.254.169.254': 'metadata',
+    '169.254.10.1': 'link-local',
+    '0.0.0.0': 'unspecified',
+    '8.8.8.8': null,
+    '::1': 'loopback',
+    '[::1]': 'loopback',
+    '::ffff:127.0.0.1': 'loopback',
+    '::ffff:a9fe:a9fe': 'metadata',
+    '64:ff9b::10.0.0.1': 'private',
+    '2002:c0a8:101::1': 'private',
+    'fe80::1%eth0': 'link-local',
+    'fd12:3456::1': 'private',
+    'fd00:ec2::254': 'metadata',
+    '2606:4700:4700::1111': null,
+    'example.com': null
+  };
+  for (const [address, category] of Object.entries(expected)) {
+    if (classifyAddress(address) !== category) throw new Error(`${address}: expected ${category}, got ${classifyAddress(address)}`);
+  }
+});
+
+// Offline DNS for the outbound tests
+const resolver = async hostname => {
+  const records = { 'internal.test': ['10.0.0.5'], 'metadata.test': ['169.254.169.254'], 'dual.test': ['93.184.216.34', '::1'] };
+  if (!records[hostname]) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+  return records[hostname];
+};
+
+async function startRedirectServer() {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/to-metadata') {
+      res.writeHead(302, { location: 'http://metadata.test/latest/meta-data' });
+    } else if (req.url === '/to-ok') {
+      res.writeHead(303, { location: '/ok' });
+    } else {
+      res.writeHead(200);
+      res.write(`${req.method} ${req.url}`);
+    }
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { origin: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+function installOutboundGuard(options = {}) {
+  return new Aimless({ logging: { enabled: false }, rasp: { blockMode: true } })
+    .protectOutboundRequests({ resolver, allowedHosts: ['127.0.0.1'], ...options });
+}
+
+async function expectRejected(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    if (error instanceof SinkBlockedError) return error;
+    throw error;
+  }
+  throw new Error('Request should be blocked');
+}
+
+test('SSRF: fetch blocks internal destinations and checks every redirect', async () => {
+  const { origin, close } = await startRedirectServer();
+  const guard = installOutboundGuard();
+  try {
+    await runWithRequestTaint({ query: { url: 'http://internal.test/admin' } }, async () => {
+      const error = await expectRejected(fetch('http://internal.test/admin'));
+      if (error.threat.type !== 'ssrf' || error.threat.metadata.address !== '10.0.0.5' || error.threat.metadata.location !== 'query.url') {
+        throw new Error(`Unexpected threat ${JSON.stringify(error.threat.metadata)}`);
+      }
+    });
+
+    await runWithRequestTaint({ query: { url: 'http://[::ffff:169.254.169.254]/' } }, async () => {
+      const error = await expectRejected(fetch('http://[::ffff:169.254.169.254]/'));
+      if (error.threat.metadata.category !== 'metadata') throw new Error('Mapped metadata address should be blocked');
+    });
+
+    // A public-looking first hop redirecting inside
+    await runWithRequestTaint({ body: { webhook: `${origin}/to-metadata` } }, async () => {
+      const error = await expectRejected(fetch(`${origin}/to-metadata`));
+      if (error.threat.metadata.hostname !== 'metadata.test') throw new Error('Redirect target should be checked');
+
+      // Redirects that stay allowed are followed, 303 turns the POST into a GET
+      const response = await fetch(`${origin}/to-ok`, { method: 'POST', body: 'x' });
+      if (await response.text() !== 'GET /ok') throw new Error('Allowed redirect should be followed');
+    });
+
+    // Destinations the code picked are never checked
+    const own = await fetch(`${origin}/ok`);
+    if (await own.text() !== 'GET /ok') throw new Error('Untainted request should run');
+  } finally {
+    guard.uninstall();
+    await close();
+  }
+});
+
+test('SSRF: http.get checks the addresses it connects to and tainted redirects', async () => {
+  const { origin, close } = await startRedirectServer();
+  const guard = installOutboundGuard();
+  const get = url => new Promise((resolve, reject) => {
+    http.get(url, res => {
+      res.resume();
+      res.on('end', () => resolve(res));
+    }).on('error', reject);
+  });
+
+  try {
+    await runWithRequestTaint({ query: { host: 'dual.test' } }, async () => {
+      // Any internal address of a hostname is enough
+      const error = await expectRejected(get({ hostname: 'dual.test', path: '/' }));
+      if (error.threat.metadata.address !== '::1') throw new Error('IPv6 loopback record should be blocked');
+    });
+
+    await runWithRequestTaint({ query: { url: 'http://127.0.0.2:9/' } }, async () => {
+      // Literal addresses throw at the call
+      expectBlocked(() => http.get('http://127.0.0.2:9/'));
+    });
+
+    await runWithRequestTaint({ query: { url: `${origin}/to-metadata` } }, async () => {
+      const first = await get(`${origin}/to-metadata`);
+      // What a redirect-following client does with the Location
+      await expectRejected(get(first.headers.location));
+    });
+  } finally {
+    guard.uninstall();
+    await close();
+  }
+});
+
+test('SSRF: uninstall restores fetch and http', () => {
+  const originalFetch = global.fetch;
+  const originalRequest = http.request;
+  const guard = installOutboundGuard();
+  if (global.fetch === originalFetch || http.request === originalRequest) throw new Error('fetch and http should be wrapped');
+  guard.uninstall();
+  if (global.fetch !== originalFetch || http.request !== originalRequest) throw new Error('fetch and http should be restored');
+});
+
+// ============================================================================
+// Dynamic code execution
+// ============================================================================
+
+function installCodeGuard(options = {}) {
+  return new Aimless({ logging: { enabled: false }, rasp: { blockMode: true } }).protectCodeExecution(options);
+}
+
+test('Code execution: eval, Function and vm block request input', () => {
+  const originalEval = global.eval;
+  const guard = installCodeGuard();
+  try {
+    runWithRequestTaint({ body: { expression: 'process.exit(1)' } }, () => {
+      // Code without request input runs as before
+      if (eval('1 + 2') !== 3) throw new Error('eval should run');
+      if (new Function('a', 'b', 'return a + b')(1, 2) !== 3) throw new Error('Function should run');
+      if (vm.runInNewContext('x * 2', { x: 21 }) !== 42) throw new Error('vm should run');
+      if (!((() => {}) instanceof Function)) throw new Error('instanceof Function should still work');
+
+      const error = expectBlocked(() => eval('var result = process.exit(1)'));
+      if (error.threat.type !== 'code_injection' || error.threat.metadata.location !== 'body.expression') {
+        throw new Error(`Unexpected threat ${JSON.stringify(error.threat.metadata)}`);
+      }
+      if (error.threat.metadata.caller !== __filename) throw new Error('Caller file should be recorded');
+
+      expectBlocked(() => new Function('return process.exit(1)'));
+      expectBlocked(() => Function('return process.exit(1)'));
+      // The classic escape goes through fn.constructor
+      expectBlocked(() => ({}).constructor.constructor('return process.exit(1)'));
+      expectBlocked(() => (async () => {}).constructor('await process.exit(1)'));
+      expectBlocked(() => vm.runInNewContext('process.exit(1)', {}));
+      expectBlocked(() => new vm.Script('process.exit(1)'));
+      expectBlocked(() => setTimeout('process.exit(1)', 1));
+    });
+  } finally {
+    guard.uninstall();
+  }
+  if (global.eval !== originalEval) throw new Error('eval should be restored');
+});
+
+test('Code execution: allowed callers compile request input', () => {
+  const engine = path.join(os.tmpdir(), `aimless-template-engine-${process.pid}.js`);
+  fs.writeFileSync(engine, "module.exports = name => new Function('return ' + JSON.stringify('Hello ' + name))();\n");
+  const render = require(engine);
+
+  const allowed = installCodeGuard({ allowedCallers: [/aimless-template-engine/] });
+  try {
+    runWithRequestTaint({ query: { name: 'Ada Lovelace' } }, () => {
+      if (render('Ada Lovelace') !== 'Hello Ada Lovelace') throw new Error('Allowed engine should render');
+    });
+  } finally {
+    allowed.uninstall();
+  }
+
+  const strict = installCodeGuard();
+  try {
+    runWithRequestTaint({ query: { name: 'Ada Lovelace' } }, () => {
+      expectBlocked(() => render('Ada Lovelace'));
+    });
+  } finally {
+    strict.uninstall();
+    fs.rmSync(engine, { force: true });
+  }
+});
+
+test('Code execution: uninstall restores every hook', () => {
+  const originals = [global.eval, global.Function, Function.prototype.constructor, vm.Script, vm.runInContext, global.setTimeout];
+  const guard = installCodeGuard();
+  guard.uninstall();
+  const restored = [global.eval, global.Function, Function.prototype.constructor, vm.Script, vm.runInContext, global.setTimeout];
+  if (restored.some((fn, i) => fn !== originals[i])) throw new Error('All hooks should be restored');
+});
+
+// Results
+(async () => {
+  for (const run of pending) {
+    await run();
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log(`✅ Tests Passed: ${testsPassed}`);
+  console.log(`❌ Tests Failed: ${testsFailed}`);
+  console.log('='.repeat(50));
+
+  if (testsFailed > 0) {
+    console.log('\n⚠️  Some sink protection tests failed.');
+    process.exit(1);
+  } else {
+    console.log('\n🎉 All sink protection tests passed!');
+    process.exit(0);
+  }
+})();